@@ -0,0 +1,258 @@
+const logger = require('../utils/logger');
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Sale = require('../models/sale.model');
+const AccountEntry = require('../models/accountEntry.model');
+const accountUtil = require('../utils/account.util');
+const paymentUtil = require('../utils/payment.util');
+const saleStatusUtil = require('../utils/saleStatus.util');
+const registerSessionUtil = require('../utils/registerSession.util');
+
+/**
+ * Obtener el estado de cuenta de un cliente: saldo, antigüedad y movimientos
+ */
+exports.getAccount = async (req, res) => {
+  try {
+    const customerId = req.params.id;
+    const { startDate, endDate } = req.query;
+    logger.info(`Consultando cuenta de crédito del cliente ${customerId}`);
+    
+    // Verificar si es una petición con API key o token JWT
+    const isApiKeyAuth = req.headers['x-api-key'] && !req.user;
+    
+    // Un cliente solo puede ver su propia cuenta
+    if (!isApiKeyAuth && req.user && req.user.role === 'customer' && req.user.id !== customerId) {
+      logger.warn(`Usuario no autorizado (${req.user.username}) intentó acceder a la cuenta de otro cliente`);
+      return res.status(403).json({ message: 'No autorizado para acceder a esta información' });
+    }
+    
+    const customer = await User.findById(customerId).select('-password');
+    
+    if (!customer) {
+      logger.warn(`Cliente con ID ${customerId} no encontrado`);
+      return res.status(404).json({ message: 'Cliente no encontrado' });
+    }
+    
+    // Antigüedad de saldos sobre las ventas a crédito aún pendientes
+    const openSales = await Sale.find({
+      customer: customer._id,
+      paymentStatus: 'pendiente',
+      dueDate: { $exists: true }
+    }).sort({ dueDate: 1 });
+    
+    const { aging, charges } = accountUtil.computeAging(openSales);
+    
+    // Estado de cuenta: saldo anterior al período y movimientos con saldo acumulado
+    const range = {};
+    if (startDate) range.$gte = new Date(startDate);
+    if (endDate) range.$lte = new Date(endDate);
+    
+    let openingBalance = 0;
+    if (range.$gte) {
+      const previous = await AccountEntry.aggregate([
+        { $match: { customer: customer._id, createdAt: { $lt: range.$gte } } },
+        {
+          $group: {
+            _id: null,
+            balance: { $sum: { $cond: [{ $eq: ['$type', 'cargo'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+          }
+        }
+      ]);
+      openingBalance = previous.length > 0 ? paymentUtil.roundAmount(previous[0].balance) : 0;
+    }
+    
+    const entryFilter = { customer: customer._id };
+    if (Object.keys(range).length > 0) entryFilter.createdAt = range;
+    
+    const entries = await AccountEntry.find(entryFilter)
+      .sort({ createdAt: 1 })
+      .populate('user', 'username')
+      .lean();
+    
+    let running = openingBalance;
+    const movements = entries.map(entry => {
+      running = paymentUtil.roundAmount(running + (entry.type === 'cargo' ? entry.amount : -entry.amount));
+      return { ...entry, balance: running };
+    });
+    
+    const balance = paymentUtil.roundAmount(customer.creditBalance || 0);
+    
+    return res.status(200).json({
+      customer: {
+        _id: customer._id,
+        username: customer.username,
+        firstName: customer.firstName,
+        lastName: customer.lastName,
+        creditLimit: customer.creditLimit || 0,
+        creditDays: customer.creditDays
+      },
+      balance,
+      availableCredit: paymentUtil.roundAmount(Math.max((customer.creditLimit || 0) - balance, 0)),
+      aging,
+      openCharges: charges,
+      statement: {
+        startDate: startDate || null,
+        endDate: endDate || null,
+        openingBalance,
+        movements,
+        closingBalance: running
+      }
+    });
+  } catch (error) {
+    logger.error(`Error al obtener cuenta de crédito: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener cuenta de crédito', error: error.message });
+  }
+};
+
+/**
+ * Registrar un abono del cliente aplicado a una o varias ventas a crédito.
+ * Sin asignación explícita, el pago cubre primero las ventas más antiguas por vencimiento.
+ */
+exports.recordPayment = async (req, res) => {
+  // Usar una transacción para garantizar integridad de datos
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    const customerId = req.params.id;
+    const { method, reference, allocations, notes } = req.body;
+    const amount = paymentUtil.roundAmount(Number(req.body.amount));
+    logger.info(`Registrando abono de ${amount} para el cliente ${customerId}`);
+    
+    if (isNaN(amount) || amount <= 0) {
+      logger.warn(`Monto de abono inválido: ${req.body.amount}`);
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'El monto del abono debe ser mayor a cero' });
+    }
+    
+    if (!paymentUtil.PAYMENT_METHODS.includes(method)) {
+      logger.warn(`Método de pago inválido en abono: ${method}`);
+      await session.abortTransaction();
+      return res.status(400).json({ message: `Método de pago inválido: ${method}` });
+    }
+    
+    const customer = await User.findById(customerId).session(session);
+    
+    if (!customer) {
+      logger.warn(`Cliente con ID ${customerId} no encontrado`);
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Cliente no encontrado' });
+    }
+    
+    // El cobro entra a la caja del turno abierto de quien lo recibe
+    const registerSession = await registerSessionUtil.findOpenSession(req.user ? req.user.id : null, session);
+    
+    if (!registerSession) {
+      logger.warn(`Intento de registrar abono sin turno de caja abierto`);
+      await session.abortTransaction();
+      return res.status(409).json({ message: 'El cajero no tiene un turno de caja abierto' });
+    }
+    
+    const openSales = await Sale.find({
+      customer: customer._id,
+      paymentStatus: 'pendiente',
+      dueDate: { $exists: true }
+    }).sort({ dueDate: 1, createdAt: 1 }).session(session);
+    
+    // Determinar a qué ventas se aplica el abono
+    const applied = [];
+    
+    if (Array.isArray(allocations) && allocations.length > 0) {
+      for (const allocation of allocations) {
+        const sale = openSales.find(s => s._id.toString() === String(allocation.sale));
+        const allocationAmount = paymentUtil.roundAmount(Number(allocation.amount));
+        
+        if (!sale) {
+          logger.warn(`Venta ${allocation.sale} no es un cargo pendiente del cliente ${customerId}`);
+          await session.abortTransaction();
+          return res.status(400).json({ message: `La venta ${allocation.sale} no es un cargo pendiente del cliente` });
+        }
+        
+        if (applied.some(a => a.sale === sale)) {
+          logger.warn(`Venta ${sale.saleNumber} asignada más de una vez en el abono`);
+          await session.abortTransaction();
+          return res.status(400).json({ message: `La venta ${sale.saleNumber} está repetida en la asignación` });
+        }
+        
+        if (isNaN(allocationAmount) || allocationAmount <= 0 || allocationAmount > accountUtil.outstanding(sale)) {
+          logger.warn(`Monto asignado inválido para la venta ${sale.saleNumber}: ${allocation.amount}`);
+          await session.abortTransaction();
+          return res.status(400).json({
+            message: `Monto inválido para la venta ${sale.saleNumber}. Pendiente: ${accountUtil.outstanding(sale)}`
+          });
+        }
+        
+        applied.push({ sale, amount: allocationAmount });
+      }
+      
+      const allocated = paymentUtil.roundAmount(applied.reduce((sum, a) => sum + a.amount, 0));
+      if (allocated !== amount) {
+        logger.warn(`La asignación del abono (${allocated}) no coincide con el monto (${amount})`);
+        await session.abortTransaction();
+        return res.status(400).json({ message: `La suma asignada (${allocated}) debe ser igual al monto del abono (${amount})` });
+      }
+    } else {
+      let remaining = amount;
+      
+      for (const sale of openSales) {
+        if (remaining <= 0) break;
+        
+        const allocationAmount = Math.min(accountUtil.outstanding(sale), remaining);
+        if (allocationAmount <= 0) continue;
+        
+        applied.push({ sale, amount: allocationAmount });
+        remaining = paymentUtil.roundAmount(remaining - allocationAmount);
+      }
+      
+      if (remaining > 0) {
+        logger.warn(`Abono de ${amount} excede el saldo del cliente ${customerId}`);
+        await session.abortTransaction();
+        return res.status(400).json({ message: `El abono excede el saldo pendiente del cliente por ${remaining}` });
+      }
+    }
+    
+    // Registrar el pago en cada venta y completar las que quedan saldadas
+    for (const { sale, amount: allocationAmount } of applied) {
+      sale.payments.push({ method, amount: allocationAmount, reference, registerSession: registerSession._id });
+      
+      const methods = [...new Set(sale.payments.map(p => p.method))];
+      sale.paymentMethod = methods.length > 1 ? 'mixto' : methods[0];
+      
+      if (accountUtil.outstanding(sale) <= 0) {
+        saleStatusUtil.applyTransition(sale, 'completado', {
+          userId: req.user ? req.user.id : undefined,
+          note: 'Saldada con abono a la cuenta'
+        });
+      }
+      
+      await sale.save({ session });
+    }
+    
+    const entry = await accountUtil.postCredit({
+      customer: customer._id,
+      type: 'abono',
+      amount,
+      method,
+      reference,
+      allocations: applied.map(a => ({ sale: a.sale._id, saleNumber: a.sale.saleNumber, amount: a.amount })),
+      registerSession: registerSession._id,
+      user: req.user ? req.user.id : undefined,
+      notes
+    }, session);
+    
+    // Confirmar transacción
+    await session.commitTransaction();
+    
+    logger.info(`Abono ${entry._id} de ${amount} registrado para el cliente ${customerId}`);
+    return res.status(201).json({ message: 'Abono registrado exitosamente', entry });
+  } catch (error) {
+    // Revertir cambios en caso de error
+    await session.abortTransaction();
+    
+    logger.error(`Error al registrar abono: ${error.message}`);
+    return res.status(500).json({ message: 'Error al registrar abono', error: error.message });
+  } finally {
+    // Finalizar sesión
+    session.endSession();
+  }
+};
@@ -0,0 +1,630 @@
+const logger = require('../utils/logger');
+const mongoose = require('mongoose');
+const Sale = require('../models/sale.model');
+const User = require('../models/user.model');
+const Product = require('../models/product.model');
+const CommissionRule = require('../models/commissionRule.model');
+const analyticsUtil = require('../utils/analytics.util');
+const paymentUtil = require('../utils/payment.util');
+const commissionUtil = require('../utils/commission.util');
+const basketUtil = require('../utils/basket.util');
+const unitUtil = require('../utils/unit.util');
+
+/**
+ * Filtro base de ventas válidas en un rango (fin exclusivo)
+ */
+function buildMatch(range, req) {
+  const match = {
+    paymentStatus: { $ne: 'cancelado' },
+    createdAt: { $gte: range.start, $lt: range.end }
+  };
+  
+  // Si no es admin, limitar a ventas del usuario
+  if (req.user && req.user.role !== 'admin') {
+    match.seller = new mongoose.Types.ObjectId(req.user.id);
+  }
+  
+  return match;
+}
+
+/**
+ * Totales de un período: tickets, ingresos, devoluciones y unidades
+ */
+async function periodTotals(match) {
+  const result = await Sale.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        tickets: { $sum: 1 },
+        revenue: { $sum: '$totalAmount' },
+        refunded: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+        units: { $sum: unitUtil.countedUnitsExpr('$items') }
+      }
+    }
+  ]);
+  
+  return analyticsUtil.summarize(result[0]);
+}
+
+/**
+ * Analítica de ventas por zona horaria de la tienda:
+ * serie por hora/día/semana/mes, comparación con el período anterior y con el
+ * mismo período del año pasado, y mapa de calor hora × día de la semana.
+ */
+exports.getSalesAnalytics = async (req, res) => {
+  try {
+    const granularity = req.query.granularity || 'day';
+    const timezone = analyticsUtil.resolveTimezone(req.query.timezone);
+    logger.info(`Generando analítica de ventas (${granularity}, ${timezone})`);
+    
+    if (!timezone) {
+      logger.warn(`Zona horaria inválida en analítica: ${req.query.timezone}`);
+      return res.status(400).json({ message: `Zona horaria inválida: ${req.query.timezone}` });
+    }
+    
+    if (!analyticsUtil.GRANULARITIES.includes(granularity)) {
+      logger.warn(`Granularidad inválida en analítica: ${granularity}`);
+      return res.status(400).json({
+        message: `Granularidad inválida: ${granularity}. Valores permitidos: ${analyticsUtil.GRANULARITIES.join(', ')}`
+      });
+    }
+    
+    const ranges = analyticsUtil.resolveRanges(req.query, timezone);
+    
+    if (ranges.error) {
+      logger.warn(`Rango inválido en analítica: ${ranges.error}`);
+      return res.status(400).json({ message: ranges.error });
+    }
+    
+    const match = buildMatch(ranges.current, req);
+    
+    // Serie agrupada por el inicio local de cada intervalo (semanas de lunes a domingo)
+    const series = await Sale.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: '$createdAt', unit: granularity, timezone, startOfWeek: 'monday' } },
+          tickets: { $sum: 1 },
+          revenue: { $sum: '$totalAmount' },
+          refunded: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+          units: { $sum: unitUtil.countedUnitsExpr('$items') }
+        }
+      },
+      { $sort: { _id: 1 } },
+      {
+        $addFields: {
+          label: {
+            $dateToString: {
+              date: '$_id',
+              timezone,
+              format: granularity === 'hour' ? '%Y-%m-%dT%H:00' : (granularity === 'month' ? '%Y-%m' : '%Y-%m-%d')
+            }
+          }
+        }
+      }
+    ]);
+    
+    // Mapa de calor: tickets e ingresos por día de la semana y hora local
+    const heatmapStats = await Sale.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            weekday: { $dayOfWeek: { date: '$createdAt', timezone } },
+            hour: { $hour: { date: '$createdAt', timezone } }
+          },
+          tickets: { $sum: 1 },
+          revenue: { $sum: '$totalAmount' }
+        }
+      }
+    ]);
+    
+    // Matriz completa 7 × 24 empezando el lunes ($dayOfWeek: 1 = domingo)
+    const heatmap = [1, 2, 3, 4, 5, 6, 0].map(weekday => ({
+      weekday,
+      name: analyticsUtil.WEEKDAYS[weekday],
+      hours: Array.from({ length: 24 }, (_, hour) => {
+        const cell = heatmapStats.find(h => h._id.weekday === weekday + 1 && h._id.hour === hour);
+        return {
+          hour,
+          tickets: cell ? cell.tickets : 0,
+          revenue: cell ? paymentUtil.roundAmount(cell.revenue) : 0
+        };
+      })
+    }));
+    
+    const [current, previous, lastYear] = await Promise.all([
+      periodTotals(match),
+      periodTotals(buildMatch(ranges.previous, req)),
+      periodTotals(buildMatch(ranges.lastYear, req))
+    ]);
+    
+    logger.info('Analítica de ventas generada correctamente');
+    return res.status(200).json({
+      timezone,
+      granularity,
+      period: ranges.current,
+      summary: current,
+      comparisons: {
+        previousPeriod: { period: ranges.previous, ...analyticsUtil.compare(current, previous) },
+        lastYear: { period: ranges.lastYear, ...analyticsUtil.compare(current, lastYear) }
+      },
+      series: series.map(s => ({
+        start: s._id,
+        label: s.label,
+        ...analyticsUtil.summarize(s)
+      })),
+      heatmap
+    });
+  } catch (error) {
+    logger.error(`Error al generar analítica de ventas: ${error.message}`);
+    return res.status(500).json({ message: 'Error al generar analítica de ventas', error: error.message });
+  }
+};
+
+/**
+ * Reporte de rentabilidad: ingresos netos (sin impuesto, luego de descuentos y
+ * devoluciones), costo de lo vendido y margen bruto por producto, categoría,
+ * vendedor o día. Usa el costo guardado en cada venta; las ventas anteriores a
+ * ese registro se estiman con el costo actual del producto.
+ */
+exports.getProfitReport = async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'product';
+    const timezone = analyticsUtil.resolveTimezone(req.query.timezone);
+    logger.info(`Generando reporte de rentabilidad por ${groupBy}`);
+    
+    if (!timezone) {
+      logger.warn(`Zona horaria inválida en reporte de rentabilidad: ${req.query.timezone}`);
+      return res.status(400).json({ message: `Zona horaria inválida: ${req.query.timezone}` });
+    }
+    
+    const groupKeys = {
+      product: { product: '$items.product', productName: '$items.productName' },
+      category: { $ifNull: ['$items.category', '$product.category'] },
+      seller: '$seller',
+      day: { $dateToString: { date: '$createdAt', format: '%Y-%m-%d', timezone } }
+    };
+    
+    if (!groupKeys[groupBy]) {
+      logger.warn(`Agrupación inválida en reporte de rentabilidad: ${groupBy}`);
+      return res.status(400).json({
+        message: `Agrupación inválida: ${groupBy}. Valores permitidos: ${Object.keys(groupKeys).join(', ')}`
+      });
+    }
+    
+    const ranges = analyticsUtil.resolveRanges(req.query, timezone);
+    
+    if (ranges.error) {
+      logger.warn(`Rango inválido en reporte de rentabilidad: ${ranges.error}`);
+      return res.status(400).json({ message: ranges.error });
+    }
+    
+    const rows = await Sale.aggregate([
+      { $match: buildMatch(ranges.current, req) },
+      { $unwind: '$items' },
+      {
+        $lookup: {
+          from: 'products',
+          localField: 'items.product',
+          foreignField: '_id',
+          as: 'product',
+          pipeline: [{ $project: { cost: 1, category: 1 } }]
+        }
+      },
+      { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          seller: 1,
+          createdAt: 1,
+          items: 1,
+          product: 1,
+          // Unidades base que no fueron devueltas (los empaques se convierten con su factor)
+          keptQuantity: {
+            $multiply: [
+              { $subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }] },
+              { $ifNull: ['$items.packageFactor', 1] }
+            ]
+          },
+          unit: { $ifNull: ['$items.unit', unitUtil.DEFAULT_UNIT] },
+          // Precio neto por unidad base efectivamente cobrado, sin impuesto
+          netUnitPrice: {
+            $divide: [
+              { $ifNull: ['$items.taxableBase', '$items.subtotal'] },
+              { $multiply: ['$items.quantity', { $ifNull: ['$items.packageFactor', 1] }] }
+            ]
+          },
+          unitCost: { $ifNull: ['$items.unitCost', { $ifNull: ['$product.cost', 0] }] },
+          estimated: { $cond: [{ $eq: [{ $type: '$items.unitCost' }, 'missing'] }, 1, 0] }
+        }
+      },
+      {
+        // Fuera del reporte por producto, cada línea a granel cuenta como un artículo
+        $addFields: {
+          keptUnits: {
+            $cond: [
+              { $or: [{ $eq: ['$unit', unitUtil.DEFAULT_UNIT] }, { $literal: groupBy === 'product' }] },
+              '$keptQuantity',
+              { $cond: [{ $gt: ['$keptQuantity', 0] }, 1, 0] }
+            ]
+          }
+        }
+      },
+      {
+        $group: {
+          _id: groupKeys[groupBy],
+          unit: { $first: '$unit' },
+          units: { $sum: '$keptUnits' },
+          revenue: { $sum: { $multiply: ['$netUnitPrice', '$keptQuantity'] } },
+          cost: { $sum: { $multiply: ['$unitCost', '$keptQuantity'] } },
+          belowCostUnits: {
+            $sum: { $cond: [{ $lt: ['$netUnitPrice', '$unitCost'] }, '$keptUnits', 0] }
+          },
+          estimatedLines: { $sum: '$estimated' }
+        }
+      }
+    ]);
+    
+    // Nombres de vendedores para el reporte por vendedor
+    let sellers = [];
+    if (groupBy === 'seller') {
+      sellers = await User.find({ _id: { $in: rows.map(r => r._id) } }).select('username firstName lastName');
+    }
+    
+    const describe = row => {
+      switch (groupBy) {
+        case 'product':
+          return { product: row._id.product, productName: row._id.productName, unit: row.unit };
+        case 'seller': {
+          const seller = sellers.find(s => s._id.toString() === String(row._id));
+          return {
+            seller: row._id,
+            username: seller ? seller.username : null,
+            name: seller ? [seller.firstName, seller.lastName].filter(Boolean).join(' ') : null
+          };
+        }
+        case 'category':
+          return { category: row._id };
+        default:
+          return { date: row._id };
+      }
+    };
+    
+    const report = rows.map(row => ({
+      ...describe(row),
+      ...analyticsUtil.margin(row),
+      units: groupBy === 'product' ? unitUtil.roundQuantity(row.units, row.unit) : row.units,
+      belowCostUnits: groupBy === 'product' ? unitUtil.roundQuantity(row.belowCostUnits, row.unit) : row.belowCostUnits,
+      // Se vendieron unidades por debajo del costo
+      belowCost: row.belowCostUnits > 0,
+      costEstimated: row.estimatedLines > 0
+    }));
+    
+    if (groupBy === 'day') {
+      report.sort((a, b) => a.date.localeCompare(b.date));
+    } else {
+      report.sort((a, b) => b.grossMargin - a.grossMargin);
+    }
+    
+    const totals = analyticsUtil.margin(rows.reduce(
+      (sum, row) => ({ revenue: sum.revenue + row.revenue, cost: sum.cost + row.cost }),
+      { revenue: 0, cost: 0 }
+    ));
+    
+    logger.info('Reporte de rentabilidad generado correctamente');
+    return res.status(200).json({
+      timezone,
+      groupBy,
+      period: ranges.current,
+      totals,
+      rows: report,
+      belowCost: report.filter(r => r.belowCost)
+    });
+  } catch (error) {
+    logger.error(`Error al generar reporte de rentabilidad: ${error.message}`);
+    return res.status(500).json({ message: 'Error al generar reporte de rentabilidad', error: error.message });
+  }
+};
+
+/**
+ * Desempeño por vendedor: ventas, ingresos, ticket promedio, unidades por venta,
+ * tasa de cancelación y descuentos otorgados. Los empleados solo ven sus cifras.
+ */
+exports.getSellerPerformance = async (req, res) => {
+  try {
+    const timezone = analyticsUtil.resolveTimezone(req.query.timezone);
+    logger.info('Generando reporte de desempeño por vendedor');
+    
+    if (!timezone) {
+      logger.warn(`Zona horaria inválida en desempeño de vendedores: ${req.query.timezone}`);
+      return res.status(400).json({ message: `Zona horaria inválida: ${req.query.timezone}` });
+    }
+    
+    const ranges = analyticsUtil.resolveRanges(req.query, timezone);
+    
+    if (ranges.error) {
+      logger.warn(`Rango inválido en desempeño de vendedores: ${ranges.error}`);
+      return res.status(400).json({ message: ranges.error });
+    }
+    
+    // Incluye las canceladas para calcular la tasa de cancelación
+    const match = buildMatch(ranges.current, req);
+    delete match.paymentStatus;
+    
+    const rows = await Sale.aggregate([
+      { $match: match },
+      {
+        $project: {
+          seller: 1,
+          totalAmount: 1,
+          refundedAmount: { $ifNull: ['$refundedAmount', 0] },
+          cancelled: { $eq: ['$paymentStatus', 'cancelado'] },
+          units: unitUtil.countedUnitsExpr('$items'),
+          // Descuento del producto sobre el precio de lista más descuentos por promociones
+          discountGiven: {
+            $add: [
+              { $ifNull: ['$promotionDiscount', 0] },
+              {
+                $sum: {
+                  $map: {
+                    input: '$items',
+                    as: 'item',
+                    in: {
+                      $divide: [
+                        { $multiply: ['$$item.quantity', '$$item.unitPrice', { $ifNull: ['$$item.discount', 0] }] },
+                        100
+                      ]
+                    }
+                  }
+                }
+              }
+            ]
+          }
+        }
+      },
+      {
+        $group: {
+          _id: '$seller',
+          tickets: { $sum: 1 },
+          cancelled: { $sum: { $cond: ['$cancelled', 1, 0] } },
+          salesCount: { $sum: { $cond: ['$cancelled', 0, 1] } },
+          revenue: { $sum: { $cond: ['$cancelled', 0, '$totalAmount'] } },
+          refunded: { $sum: { $cond: ['$cancelled', 0, '$refundedAmount'] } },
+          units: { $sum: { $cond: ['$cancelled', 0, '$units'] } },
+          discountGiven: { $sum: { $cond: ['$cancelled', 0, '$discountGiven'] } }
+        }
+      },
+      { $sort: { revenue: -1 } }
+    ]);
+    
+    const sellers = await User.find({ _id: { $in: rows.map(r => r._id) } }).select('username firstName lastName');
+    
+    const report = rows.map(row => {
+      const seller = sellers.find(s => s._id.toString() === String(row._id));
+      
+      return {
+        seller: row._id,
+        username: seller ? seller.username : null,
+        name: seller ? [seller.firstName, seller.lastName].filter(Boolean).join(' ') : null,
+        salesCount: row.salesCount,
+        revenue: paymentUtil.roundAmount(row.revenue),
+        refunded: paymentUtil.roundAmount(row.refunded),
+        netRevenue: paymentUtil.roundAmount(row.revenue - row.refunded),
+        averageTicket: row.salesCount > 0 ? paymentUtil.roundAmount(row.revenue / row.salesCount) : 0,
+        itemsPerSale: row.salesCount > 0 ? paymentUtil.roundAmount(row.units / row.salesCount) : 0,
+        cancelledCount: row.cancelled,
+        cancellationRate: paymentUtil.roundAmount((row.cancelled / row.tickets) * 100),
+        discountGiven: paymentUtil.roundAmount(row.discountGiven)
+      };
+    });
+    
+    logger.info('Reporte de desempeño por vendedor generado correctamente');
+    return res.status(200).json({ timezone, period: ranges.current, sellers: report });
+  } catch (error) {
+    logger.error(`Error al generar desempeño por vendedor: ${error.message}`);
+    return res.status(500).json({ message: 'Error al generar desempeño por vendedor', error: error.message });
+  }
+};
+
+/**
+ * Liquidación mensual de comisiones por vendedor (month=YYYY-MM).
+ * La base son las ventas netas sin impuesto, descontando devoluciones.
+ * Los empleados solo ven su propia liquidación.
+ */
+exports.getCommissionStatement = async (req, res) => {
+  try {
+    const timezone = analyticsUtil.resolveTimezone(req.query.timezone);
+    
+    if (!timezone) {
+      logger.warn(`Zona horaria inválida en liquidación de comisiones: ${req.query.timezone}`);
+      return res.status(400).json({ message: `Zona horaria inválida: ${req.query.timezone}` });
+    }
+    
+    const now = analyticsUtil.localParts(new Date(), timezone);
+    const month = req.query.month || `${now.year}-${String(now.month).padStart(2, '0')}`;
+    const monthMatch = /^(\d{4})-(\d{2})$/.exec(month);
+    logger.info(`Generando liquidación de comisiones de ${month}`);
+    
+    if (!monthMatch || Number(monthMatch[2]) < 1 || Number(monthMatch[2]) > 12) {
+      logger.warn(`Mes inválido en liquidación de comisiones: ${month}`);
+      return res.status(400).json({ message: `Mes inválido: ${month}. Formato esperado: YYYY-MM` });
+    }
+    
+    const lastDay = new Date(Date.UTC(Number(monthMatch[1]), Number(monthMatch[2]), 0)).getUTCDate();
+    const ranges = analyticsUtil.resolveRanges({ startDate: `${month}-01`, endDate: `${month}-${lastDay}` }, timezone);
+    
+    const match = buildMatch(ranges.current, req);
+    
+    // Un administrador puede pedir la liquidación de un solo vendedor
+    if (req.query.sellerId && !match.seller) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.sellerId)) {
+        logger.warn(`ID de vendedor inválido en liquidación de comisiones: ${req.query.sellerId}`);
+        return res.status(400).json({ message: 'ID de vendedor inválido' });
+      }
+      match.seller = new mongoose.Types.ObjectId(req.query.sellerId);
+    }
+    
+    const lines = await Sale.aggregate([
+      { $match: match },
+      { $unwind: '$items' },
+      {
+        $lookup: {
+          from: 'products',
+          localField: 'items.product',
+          foreignField: '_id',
+          as: 'product',
+          pipeline: [{ $project: { category: 1 } }]
+        }
+      },
+      { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+      {
+        $group: {
+          _id: {
+            seller: '$seller',
+            category: { $ifNull: ['$items.category', { $ifNull: ['$product.category', 'otros'] }] }
+          },
+          base: {
+            $sum: {
+              $multiply: [
+                { $ifNull: ['$items.taxableBase', '$items.subtotal'] },
+                {
+                  $divide: [
+                    { $subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }] },
+                    '$items.quantity'
+                  ]
+                }
+              ]
+            }
+          },
+          sales: { $addToSet: '$_id' }
+        }
+      }
+    ]);
+    
+    const rules = await CommissionRule.find({ isActive: true });
+    
+    // Agrupar la base por vendedor y categoría
+    const bySeller = new Map();
+    for (const line of lines) {
+      const key = line._id.seller.toString();
+      const entry = bySeller.get(key) || { seller: line._id.seller, revenue: 0, byCategory: {}, sales: new Set() };
+      
+      entry.revenue += line.base;
+      entry.byCategory[line._id.category] = paymentUtil.roundAmount((entry.byCategory[line._id.category] || 0) + line.base);
+      line.sales.forEach(id => entry.sales.add(id.toString()));
+      bySeller.set(key, entry);
+    }
+    
+    const sellers = await User.find({ _id: { $in: [...bySeller.values()].map(e => e.seller) } })
+      .select('username firstName lastName');
+    
+    const statements = [...bySeller.values()].map(entry => {
+      const seller = sellers.find(s => s._id.toString() === entry.seller.toString());
+      
+      return {
+        seller: entry.seller,
+        username: seller ? seller.username : null,
+        name: seller ? [seller.firstName, seller.lastName].filter(Boolean).join(' ') : null,
+        salesCount: entry.sales.size,
+        revenue: paymentUtil.roundAmount(entry.revenue),
+        byCategory: entry.byCategory,
+        commission: commissionUtil.compute(rules, entry.seller, entry)
+      };
+    }).sort((a, b) => b.commission.total - a.commission.total);
+    
+    logger.info(`Liquidación de comisiones de ${month} generada para ${statements.length} vendedores`);
+    return res.status(200).json({
+      month,
+      timezone,
+      period: ranges.current,
+      statements,
+      total: paymentUtil.roundAmount(statements.reduce((sum, s) => sum + s.commission.total, 0))
+    });
+  } catch (error) {
+    logger.error(`Error al generar liquidación de comisiones: ${error.message}`);
+    return res.status(500).json({ message: 'Error al generar liquidación de comisiones', error: error.message });
+  }
+};
+
+/**
+ * Análisis de canasta: pares de productos o categorías que se compran juntos,
+ * con soporte, confianza y lift. Sirve para ubicar productos en góndola y
+ * planificar promociones de combos. Considera todas las ventas de la tienda.
+ */
+exports.getBasketReport = async (req, res) => {
+  try {
+    const level = req.query.level || 'product';
+    const timezone = analyticsUtil.resolveTimezone(req.query.timezone);
+    logger.info(`Generando análisis de canasta por ${level}`);
+    
+    if (!timezone) {
+      logger.warn(`Zona horaria inválida en análisis de canasta: ${req.query.timezone}`);
+      return res.status(400).json({ message: `Zona horaria inválida: ${req.query.timezone}` });
+    }
+    
+    if (!basketUtil.LEVELS.includes(level)) {
+      logger.warn(`Nivel inválido en análisis de canasta: ${level}`);
+      return res.status(400).json({
+        message: `Nivel inválido: ${level}. Valores permitidos: ${basketUtil.LEVELS.join(', ')}`
+      });
+    }
+    
+    const minSupport = req.query.minSupport !== undefined ? Number(req.query.minSupport) : 0.01;
+    const minConfidence = req.query.minConfidence !== undefined ? Number(req.query.minConfidence) : 0;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+    
+    if (!(minSupport >= 0 && minSupport <= 1) || !(minConfidence >= 0 && minConfidence <= 1)) {
+      logger.warn('Umbrales inválidos en análisis de canasta');
+      return res.status(400).json({ message: 'minSupport y minConfidence deben estar entre 0 y 1' });
+    }
+    
+    if (isNaN(limit) || limit < 1 || limit > 500) {
+      logger.warn(`Límite inválido en análisis de canasta: ${req.query.limit}`);
+      return res.status(400).json({ message: 'El parámetro limit debe estar entre 1 y 500' });
+    }
+    
+    const ranges = analyticsUtil.resolveRanges(req.query, timezone);
+    
+    if (ranges.error) {
+      logger.warn(`Rango inválido en análisis de canasta: ${ranges.error}`);
+      return res.status(400).json({ message: ranges.error });
+    }
+    
+    const match = {
+      paymentStatus: { $ne: 'cancelado' },
+      createdAt: { $gte: ranges.current.start, $lt: ranges.current.end }
+    };
+    
+    const { transactions, pairs } = await basketUtil.analyzePairs({ match, level, minSupport, minConfidence, limit });
+    
+    // Nombres de los productos involucrados
+    let describe = key => ({ category: key });
+    if (level === 'product') {
+      const ids = [...new Set(pairs.flatMap(p => [p.a.toString(), p.b.toString()]))];
+      const products = await Product.find({ _id: { $in: ids } }).select('code name category');
+      const byId = new Map(products.map(p => [p._id.toString(), p]));
+      
+      describe = key => {
+        const product = byId.get(key.toString());
+        return { product: key, code: product ? product.code : null, name: product ? product.name : null };
+      };
+    }
+    
+    const rows = pairs.map(({ a, b, ...metrics }) => ({ a: describe(a), b: describe(b), ...metrics }));
+    
+    logger.info(`Análisis de canasta generado: ${rows.length} pares sobre ${transactions} ventas`);
+    return res.status(200).json({
+      timezone,
+      level,
+      period: ranges.current,
+      transactions,
+      minSupport,
+      minConfidence,
+      pairs: rows
+    });
+  } catch (error) {
+    logger.error(`Error al generar análisis de canasta: ${error.message}`);
+    return res.status(500).json({ message: 'Error al generar análisis de canasta', error: error.message });
+  }
+};
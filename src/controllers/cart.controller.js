@@ -0,0 +1,586 @@
+const logger = require('../utils/logger');
+const Cart = require('../models/cart.model');
+const Product = require('../models/product.model');
+const Sale = require('../models/sale.model');
+const mongoose = require('mongoose');
+const pricingUtil = require('../utils/pricing.util');
+const saleUtil = require('../utils/sale.util');
+const unitUtil = require('../utils/unit.util');
+
+/**
+ * Busca un carrito y verifica que pertenezca al usuario (los administradores ven todos)
+ * @param {Object} req - Petición Express
+ * @returns {Promise<Object>} { cart } o { error, statusCode }
+ */
+async function findOwnCart(req) {
+  const cart = await Cart.findById(req.params.id);
+  
+  if (!cart) {
+    logger.warn(`Carrito con ID ${req.params.id} no encontrado`);
+    return { error: 'Carrito no encontrado', statusCode: 404 };
+  }
+  
+  if (req.user && req.user.role !== 'admin' && cart.seller && cart.seller.toString() !== req.user.id) {
+    logger.warn(`Usuario no autorizado (${req.user.username}) intentó acceder al carrito ${cart._id}`);
+    return { error: 'No autorizado para acceder a este carrito', statusCode: 403 };
+  }
+  
+  return { cart };
+}
+
+/**
+ * Recalcula precios, promociones e impuestos del carrito con los valores vigentes
+ * de los productos. No bloquea por stock: deja avisos para que el cajero decida.
+ * @param {Object} cart - Documento del carrito
+ */
+async function reprice(cart) {
+  const warnings = [];
+  const lines = [];
+  const stockByProduct = new Map();
+  
+  for (const item of cart.items) {
+    const product = await Product.findById(item.product);
+    
+    if (!product || !product.isActive) {
+      warnings.push(`El producto ${item.productName || item.product} ya no está disponible`);
+      continue;
+    }
+    
+    if (product.stock < item.quantity) {
+      warnings.push(`Stock insuficiente para ${product.name}. Disponible: ${product.stock}, En carrito: ${item.quantity}`);
+    }
+    
+    stockByProduct.set(product._id.toString(), product.stock);
+    lines.push({ product, quantity: item.quantity, discount: item.manualDiscount });
+  }
+  
+  let pricing = { items: [], subtotal: 0, tax: 0, totalAmount: 0, promotionDiscount: 0 };
+  
+  if (lines.length > 0) {
+    pricing = await pricingUtil.priceItems(lines, { couponCode: cart.couponCode });
+    
+    // Un cupón que dejó de ser válido no impide seguir usando el carrito
+    if (pricing.error) {
+      warnings.push(pricing.error);
+      pricing = await pricingUtil.priceItems(lines);
+    }
+  }
+  
+  const pricedByProduct = new Map(pricing.items.map(item => [item.product.toString(), item]));
+  
+  for (const item of cart.items) {
+    const priced = pricedByProduct.get(item.product.toString());
+    if (!priced) continue;
+    
+    item.productCode = priced.productCode;
+    item.productName = priced.productName;
+    item.unitPrice = priced.unitPrice;
+    item.discount = priced.discount;
+    item.promotions = priced.promotions;
+    item.promotionDiscount = priced.promotionDiscount;
+    item.subtotal = priced.subtotal;
+    item.taxRate = priced.taxRate;
+    item.taxAmount = priced.taxAmount;
+    item.total = priced.total;
+    item.availableStock = stockByProduct.get(item.product.toString());
+  }
+  
+  cart.subtotal = pricing.subtotal;
+  cart.promotionDiscount = pricing.promotionDiscount;
+  cart.tax = pricing.tax;
+  cart.totalAmount = pricing.totalAmount;
+  cart.warnings = warnings;
+  cart.pricedAt = new Date();
+}
+
+/**
+ * Obtener los carritos del usuario
+ */
+exports.getAllCarts = async (req, res) => {
+  try {
+    logger.info('Obteniendo carritos');
+    
+    const filters = {};
+    
+    if (req.query.status) {
+      filters.status = req.query.status;
+    } else {
+      filters.status = { $in: ['abierto', 'estacionado'] };
+    }
+    
+    // Si no es admin, limitar a carritos del usuario
+    if (req.user && req.user.role !== 'admin') {
+      filters.seller = req.user.id;
+    }
+    
+    const carts = await Cart.find(filters)
+      .populate('customer', 'firstName lastName username')
+      .sort({ updatedAt: -1 });
+    
+    logger.info(`Se encontraron ${carts.length} carritos`);
+    return res.status(200).json(carts);
+  } catch (error) {
+    logger.error(`Error al obtener carritos: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener carritos', error: error.message });
+  }
+};
+
+/**
+ * Obtener un carrito por ID con precios actualizados
+ */
+exports.getCartById = async (req, res) => {
+  try {
+    logger.info(`Buscando carrito con ID: ${req.params.id}`);
+    
+    const { cart, error, statusCode } = await findOwnCart(req);
+    if (error) {
+      return res.status(statusCode).json({ message: error });
+    }
+    
+    if (['abierto', 'estacionado'].includes(cart.status)) {
+      await reprice(cart);
+      await cart.save();
+    }
+    
+    return res.status(200).json(cart);
+  } catch (error) {
+    logger.error(`Error al obtener carrito: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener carrito', error: error.message });
+  }
+};
+
+/**
+ * Crear un nuevo carrito
+ */
+exports.createCart = async (req, res) => {
+  try {
+    const { customer, label, register, couponCode, notes, items = [] } = req.body;
+    logger.info('Creando nuevo carrito');
+    
+    const cartItems = [];
+    for (const item of items) {
+      if (!item.product || item.quantity === undefined) {
+        logger.warn('Intento de crear carrito con items inválidos');
+        return res.status(400).json({ message: 'Cada item requiere un producto y una cantidad válida' });
+      }
+      
+      const product = await Product.findById(item.product);
+      if (!product || !product.isActive) {
+        logger.warn(`Producto con ID ${item.product} no encontrado`);
+        return res.status(404).json({ message: `Producto con ID ${item.product} no encontrado` });
+      }
+      
+      // La precisión de la cantidad depende de la unidad del producto
+      const parsed = unitUtil.parseQuantity(item.quantity, product.unit);
+      if (parsed.error) {
+        logger.warn(`Cantidad inválida para ${product.name}: ${parsed.error}`);
+        return res.status(400).json({ message: parsed.error });
+      }
+      
+      cartItems.push({ product: product._id, quantity: parsed.quantity, manualDiscount: item.discount });
+    }
+    
+    const cart = new Cart({
+      seller: req.user ? req.user.id : undefined,
+      customer,
+      label,
+      register,
+      couponCode,
+      notes,
+      items: cartItems
+    });
+    
+    await reprice(cart);
+    await cart.save();
+    
+    logger.info(`Carrito creado con ID: ${cart._id}`);
+    return res.status(201).json(cart);
+  } catch (error) {
+    logger.error(`Error al crear carrito: ${error.message}`);
+    return res.status(500).json({ message: 'Error al crear carrito', error: error.message });
+  }
+};
+
+/**
+ * Actualizar datos generales del carrito (cliente, cupón, etiqueta, notas)
+ */
+exports.updateCart = async (req, res) => {
+  try {
+    logger.info(`Actualizando carrito con ID: ${req.params.id}`);
+    
+    const { cart, error, statusCode } = await findOwnCart(req);
+    if (error) {
+      return res.status(statusCode).json({ message: error });
+    }
+    
+    if (cart.status !== 'abierto') {
+      logger.warn(`Intento de modificar carrito ${cart._id} en estado ${cart.status}`);
+      return res.status(400).json({ message: `No se puede modificar un carrito ${cart.status}` });
+    }
+    
+    for (const field of ['customer', 'label', 'register', 'notes']) {
+      if (req.body[field] !== undefined) {
+        cart[field] = req.body[field];
+      }
+    }
+    
+    // Validar el cupón antes de aceptarlo
+    if (req.body.couponCode !== undefined) {
+      if (req.body.couponCode) {
+        const lines = [];
+        for (const item of cart.items) {
+          const product = await Product.findById(item.product);
+          if (product) {
+            lines.push({ product, quantity: item.quantity, discount: item.manualDiscount });
+          }
+        }
+        
+        const check = await pricingUtil.priceItems(lines, { couponCode: req.body.couponCode });
+        if (check.error) {
+          logger.warn(`Cupón inválido para carrito: ${check.error}`);
+          return res.status(400).json({ message: check.error });
+        }
+      }
+      
+      cart.couponCode = req.body.couponCode || undefined;
+    }
+    
+    await reprice(cart);
+    await cart.save();
+    
+    logger.info(`Carrito ${cart._id} actualizado`);
+    return res.status(200).json(cart);
+  } catch (error) {
+    logger.error(`Error al actualizar carrito: ${error.message}`);
+    return res.status(500).json({ message: 'Error al actualizar carrito', error: error.message });
+  }
+};
+
+/**
+ * Agregar un producto al carrito (suma la cantidad si ya existe)
+ */
+exports.addItem = async (req, res) => {
+  try {
+    const { product: productId, discount } = req.body;
+    logger.info(`Agregando producto ${productId} al carrito ${req.params.id}`);
+    
+    if (!productId) {
+      logger.warn('Intento de agregar item inválido al carrito');
+      return res.status(400).json({ message: 'Se requiere un producto y una cantidad válida' });
+    }
+    
+    const { cart, error, statusCode } = await findOwnCart(req);
+    if (error) {
+      return res.status(statusCode).json({ message: error });
+    }
+    
+    if (cart.status !== 'abierto') {
+      logger.warn(`Intento de modificar carrito ${cart._id} en estado ${cart.status}`);
+      return res.status(400).json({ message: `No se puede modificar un carrito ${cart.status}` });
+    }
+    
+    const product = await Product.findById(productId);
+    if (!product || !product.isActive) {
+      logger.warn(`Producto con ID ${productId} no encontrado`);
+      return res.status(404).json({ message: `Producto con ID ${productId} no encontrado` });
+    }
+    
+    const parsed = unitUtil.parseQuantity(req.body.quantity === undefined ? 1 : req.body.quantity, product.unit);
+    if (parsed.error) {
+      logger.warn(`Cantidad inválida para ${product.name}: ${parsed.error}`);
+      return res.status(400).json({ message: parsed.error });
+    }
+    
+    const { quantity } = parsed;
+    const existing = cart.items.find(item => item.product.toString() === productId);
+    if (existing) {
+      existing.quantity = unitUtil.roundQuantity(existing.quantity + quantity, product.unit);
+      if (discount !== undefined) {
+        existing.manualDiscount = discount;
+      }
+    } else {
+      cart.items.push({ product: product._id, quantity, manualDiscount: discount });
+    }
+    
+    await reprice(cart);
+    await cart.save();
+    
+    logger.info(`Producto ${product.name} agregado al carrito ${cart._id}`);
+    return res.status(200).json(cart);
+  } catch (error) {
+    logger.error(`Error al agregar item al carrito: ${error.message}`);
+    return res.status(500).json({ message: 'Error al agregar item al carrito', error: error.message });
+  }
+};
+
+/**
+ * Actualizar cantidad o descuento de una línea del carrito
+ */
+exports.updateItem = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    logger.info(`Actualizando producto ${productId} del carrito ${req.params.id}`);
+    
+    const { cart, error, statusCode } = await findOwnCart(req);
+    if (error) {
+      return res.status(statusCode).json({ message: error });
+    }
+    
+    if (cart.status !== 'abierto') {
+      logger.warn(`Intento de modificar carrito ${cart._id} en estado ${cart.status}`);
+      return res.status(400).json({ message: `No se puede modificar un carrito ${cart.status}` });
+    }
+    
+    const item = cart.items.find(i => i.product.toString() === productId);
+    if (!item) {
+      logger.warn(`Producto ${productId} no está en el carrito ${cart._id}`);
+      return res.status(404).json({ message: 'El producto no está en el carrito' });
+    }
+    
+    if (req.body.quantity !== undefined) {
+      // La precisión depende de la unidad del producto; si ya no existe se valida como unidad
+      const product = await Product.findById(item.product).select('unit');
+      const parsed = unitUtil.parseQuantity(req.body.quantity, product ? product.unit : undefined, { allowZero: true });
+      if (parsed.error) {
+        logger.warn(`Cantidad inválida para carrito: ${req.body.quantity}`);
+        return res.status(400).json({ message: parsed.error });
+      }
+      
+      // Cantidad 0 elimina la línea
+      if (parsed.quantity === 0) {
+        cart.items = cart.items.filter(i => i.product.toString() !== productId);
+      } else {
+        item.quantity = parsed.quantity;
+      }
+    }
+    
+    if (req.body.discount !== undefined) {
+      item.manualDiscount = req.body.discount;
+    }
+    
+    await reprice(cart);
+    await cart.save();
+    
+    logger.info(`Carrito ${cart._id} actualizado`);
+    return res.status(200).json(cart);
+  } catch (error) {
+    logger.error(`Error al actualizar item del carrito: ${error.message}`);
+    return res.status(500).json({ message: 'Error al actualizar item del carrito', error: error.message });
+  }
+};
+
+/**
+ * Quitar un producto del carrito
+ */
+exports.removeItem = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    logger.info(`Quitando producto ${productId} del carrito ${req.params.id}`);
+    
+    const { cart, error, statusCode } = await findOwnCart(req);
+    if (error) {
+      return res.status(statusCode).json({ message: error });
+    }
+    
+    if (cart.status !== 'abierto') {
+      logger.warn(`Intento de modificar carrito ${cart._id} en estado ${cart.status}`);
+      return res.status(400).json({ message: `No se puede modificar un carrito ${cart.status}` });
+    }
+    
+    const itemCount = cart.items.length;
+    cart.items = cart.items.filter(i => i.product.toString() !== productId);
+    
+    if (cart.items.length === itemCount) {
+      logger.warn(`Producto ${productId} no está en el carrito ${cart._id}`);
+      return res.status(404).json({ message: 'El producto no está en el carrito' });
+    }
+    
+    await reprice(cart);
+    await cart.save();
+    
+    logger.info(`Producto ${productId} quitado del carrito ${cart._id}`);
+    return res.status(200).json(cart);
+  } catch (error) {
+    logger.error(`Error al quitar item del carrito: ${error.message}`);
+    return res.status(500).json({ message: 'Error al quitar item del carrito', error: error.message });
+  }
+};
+
+/**
+ * Estacionar un carrito para retomarlo más tarde
+ */
+exports.parkCart = async (req, res) => {
+  try {
+    logger.info(`Estacionando carrito con ID: ${req.params.id}`);
+    
+    const { cart, error, statusCode } = await findOwnCart(req);
+    if (error) {
+      return res.status(statusCode).json({ message: error });
+    }
+    
+    if (cart.status !== 'abierto') {
+      logger.warn(`Intento de estacionar carrito ${cart._id} en estado ${cart.status}`);
+      return res.status(400).json({ message: `No se puede estacionar un carrito ${cart.status}` });
+    }
+    
+    cart.status = 'estacionado';
+    cart.parkedAt = new Date();
+    if (req.body.label) {
+      cart.label = req.body.label;
+    }
+    await cart.save();
+    
+    logger.info(`Carrito ${cart._id} estacionado`);
+    return res.status(200).json({ message: 'Carrito estacionado', cart });
+  } catch (error) {
+    logger.error(`Error al estacionar carrito: ${error.message}`);
+    return res.status(500).json({ message: 'Error al estacionar carrito', error: error.message });
+  }
+};
+
+/**
+ * Retomar un carrito estacionado (recalcula precios al reabrirlo)
+ */
+exports.resumeCart = async (req, res) => {
+  try {
+    logger.info(`Retomando carrito con ID: ${req.params.id}`);
+    
+    const { cart, error, statusCode } = await findOwnCart(req);
+    if (error) {
+      return res.status(statusCode).json({ message: error });
+    }
+    
+    if (cart.status !== 'estacionado') {
+      logger.warn(`Intento de retomar carrito ${cart._id} en estado ${cart.status}`);
+      return res.status(400).json({ message: 'Solo se pueden retomar carritos estacionados' });
+    }
+    
+    cart.status = 'abierto';
+    cart.parkedAt = undefined;
+    // Quien retoma el carrito pasa a ser su responsable
+    if (req.user) {
+      cart.seller = req.user.id;
+    }
+    
+    await reprice(cart);
+    await cart.save();
+    
+    logger.info(`Carrito ${cart._id} retomado`);
+    return res.status(200).json({ message: 'Carrito retomado', cart });
+  } catch (error) {
+    logger.error(`Error al retomar carrito: ${error.message}`);
+    return res.status(500).json({ message: 'Error al retomar carrito', error: error.message });
+  }
+};
+
+/**
+ * Descartar un carrito
+ */
+exports.deleteCart = async (req, res) => {
+  try {
+    logger.info(`Descartando carrito con ID: ${req.params.id}`);
+    
+    const { cart, error, statusCode } = await findOwnCart(req);
+    if (error) {
+      return res.status(statusCode).json({ message: error });
+    }
+    
+    if (cart.status === 'convertido') {
+      logger.warn(`Intento de descartar carrito ${cart._id} ya convertido en venta`);
+      return res.status(400).json({ message: 'No se puede descartar un carrito convertido en venta' });
+    }
+    
+    cart.status = 'abandonado';
+    await cart.save();
+    
+    logger.info(`Carrito ${cart._id} descartado`);
+    return res.status(200).json({ message: 'Carrito descartado correctamente', cart });
+  } catch (error) {
+    logger.error(`Error al descartar carrito: ${error.message}`);
+    return res.status(500).json({ message: 'Error al descartar carrito', error: error.message });
+  }
+};
+
+/**
+ * Convertir el carrito en una venta
+ * Usa la misma transacción que la creación directa de ventas
+ */
+exports.checkoutCart = async (req, res) => {
+  // Usar una transacción para garantizar integridad de datos
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    logger.info(`Cerrando carrito con ID: ${req.params.id}`);
+    
+    const { cart, error, statusCode } = await findOwnCart(req);
+    if (error) {
+      await session.abortTransaction();
+      return res.status(statusCode).json({ message: error });
+    }
+    
+    if (!['abierto', 'estacionado'].includes(cart.status)) {
+      logger.warn(`Intento de cerrar carrito ${cart._id} en estado ${cart.status}`);
+      await session.abortTransaction();
+      return res.status(400).json({ message: `No se puede cerrar un carrito ${cart.status}` });
+    }
+    
+    const saleData = {
+      items: cart.items.map(item => ({
+        product: item.product,
+        quantity: item.quantity,
+        discount: item.manualDiscount
+      })),
+      customer: cart.customer,
+      couponCode: cart.couponCode,
+      register: cart.register,
+      notes: cart.notes,
+      payments: req.body.payments,
+      paymentMethod: req.body.paymentMethod,
+      paymentStatus: req.body.paymentStatus
+    };
+    
+    const result = await saleUtil.registerSale(saleData, {
+      session,
+      sellerId: req.user ? req.user.id : cart.seller
+    });
+    
+    if (result.error) {
+      await session.abortTransaction();
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+    
+    // Marcar el carrito como convertido solo si nadie lo cerró antes
+    const converted = await Cart.findOneAndUpdate(
+      { _id: cart._id, status: { $in: ['abierto', 'estacionado'] } },
+      { status: 'convertido', sale: result.sale._id },
+      { new: true, session }
+    );
+    
+    if (!converted) {
+      logger.warn(`El carrito ${cart._id} ya fue cerrado por otra operación`);
+      await session.abortTransaction();
+      return res.status(409).json({ message: 'El carrito ya fue cerrado' });
+    }
+    
+    // Confirmar la transacción
+    await session.commitTransaction();
+    
+    logger.info(`Carrito ${cart._id} convertido en venta ${result.sale.saleNumber}`);
+    
+    const completeSale = await Sale.findById(result.sale._id)
+      .populate('customer', 'firstName lastName username')
+      .populate('seller', 'firstName lastName username');
+    
+    return res.status(201).json(completeSale);
+  } catch (error) {
+    // Revertir cambios en caso de error
+    await session.abortTransaction();
+    
+    logger.error(`Error al cerrar carrito: ${error.message}`);
+    return res.status(500).json({ message: 'Error al cerrar carrito', error: error.message });
+  } finally {
+    // Finalizar sesión
+    session.endSession();
+  }
+};
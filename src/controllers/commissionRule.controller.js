@@ -0,0 +1,138 @@
+const logger = require('../utils/logger');
+const CommissionRule = require('../models/commissionRule.model');
+const commissionUtil = require('../utils/commission.util');
+
+/**
+ * Obtener todas las reglas de comisión
+ */
+exports.getAllRules = async (req, res) => {
+  try {
+    logger.info('Obteniendo reglas de comisión');
+    
+    const filters = {};
+    
+    if (req.query.active !== undefined) {
+      filters.isActive = req.query.active === 'true';
+    }
+    
+    const rules = await CommissionRule.find(filters)
+      .populate('sellers', 'username firstName lastName')
+      .sort({ createdAt: -1 });
+    
+    logger.info(`Se encontraron ${rules.length} reglas de comisión`);
+    return res.status(200).json(rules);
+  } catch (error) {
+    logger.error(`Error al obtener reglas de comisión: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener reglas de comisión', error: error.message });
+  }
+};
+
+/**
+ * Obtener una regla de comisión por ID
+ */
+exports.getRuleById = async (req, res) => {
+  try {
+    const ruleId = req.params.id;
+    logger.info(`Buscando regla de comisión con ID: ${ruleId}`);
+    
+    const rule = await CommissionRule.findById(ruleId).populate('sellers', 'username firstName lastName');
+    
+    if (!rule) {
+      logger.warn(`Regla de comisión con ID ${ruleId} no encontrada`);
+      return res.status(404).json({ message: 'Regla de comisión no encontrada' });
+    }
+    
+    return res.status(200).json(rule);
+  } catch (error) {
+    logger.error(`Error al obtener regla de comisión: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener regla de comisión', error: error.message });
+  }
+};
+
+/**
+ * Crear una nueva regla de comisión
+ */
+exports.createRule = async (req, res) => {
+  try {
+    const ruleData = req.body;
+    logger.info(`Creando regla de comisión: ${ruleData.name}`);
+    
+    if (!ruleData.name || !ruleData.type) {
+      logger.warn('Intento de crear regla de comisión con datos incompletos');
+      return res.status(400).json({ message: 'Se requiere nombre y tipo' });
+    }
+    
+    const validationError = commissionUtil.validateRule(ruleData);
+    if (validationError) {
+      logger.warn(`Regla de comisión inválida: ${validationError}`);
+      return res.status(400).json({ message: validationError });
+    }
+    
+    const newRule = new CommissionRule(ruleData);
+    await newRule.save();
+    
+    logger.info(`Regla de comisión creada con ID: ${newRule._id}`);
+    return res.status(201).json(newRule);
+  } catch (error) {
+    logger.error(`Error al crear regla de comisión: ${error.message}`);
+    return res.status(500).json({ message: 'Error al crear regla de comisión', error: error.message });
+  }
+};
+
+/**
+ * Actualizar una regla de comisión
+ */
+exports.updateRule = async (req, res) => {
+  try {
+    const ruleId = req.params.id;
+    logger.info(`Actualizando regla de comisión con ID: ${ruleId}`);
+    
+    const rule = await CommissionRule.findById(ruleId);
+    
+    if (!rule) {
+      logger.warn(`Intento de actualizar regla de comisión inexistente con ID: ${ruleId}`);
+      return res.status(404).json({ message: 'Regla de comisión no encontrada' });
+    }
+    
+    rule.set(req.body);
+    
+    const validationError = commissionUtil.validateRule(rule);
+    if (validationError) {
+      logger.warn(`Regla de comisión inválida: ${validationError}`);
+      return res.status(400).json({ message: validationError });
+    }
+    
+    await rule.save();
+    
+    logger.info(`Regla de comisión actualizada con éxito: ${rule._id}`);
+    return res.status(200).json(rule);
+  } catch (error) {
+    logger.error(`Error al actualizar regla de comisión: ${error.message}`);
+    return res.status(500).json({ message: 'Error al actualizar regla de comisión', error: error.message });
+  }
+};
+
+/**
+ * Desactivar una regla de comisión
+ */
+exports.deleteRule = async (req, res) => {
+  try {
+    const ruleId = req.params.id;
+    logger.info(`Desactivando regla de comisión con ID: ${ruleId}`);
+    
+    const rule = await CommissionRule.findById(ruleId);
+    if (!rule) {
+      logger.warn(`Intento de desactivar regla de comisión inexistente con ID: ${ruleId}`);
+      return res.status(404).json({ message: 'Regla de comisión no encontrada' });
+    }
+    
+    rule.isActive = false;
+    await rule.save();
+    
+    logger.info(`Regla de comisión desactivada: ${ruleId}`);
+    return res.status(200).json({ message: 'Regla de comisión desactivada correctamente', rule });
+  } catch (error) {
+    logger.error(`Error al desactivar regla de comisión: ${error.message}`);
+    return res.status(500).json({ message: 'Error al desactivar regla de comisión', error: error.message });
+  }
+};
@@ -0,0 +1,296 @@
+const logger = require('../utils/logger');
+const Invoice = require('../models/invoice.model');
+const Sale = require('../models/sale.model');
+const mongoose = require('mongoose');
+const sequenceUtil = require('../utils/sequence.util');
+const invoiceUtil = require('../utils/invoice.util');
+const invoiceGateway = require('../utils/invoiceGateway.util');
+
+/**
+ * Obtener todas las facturas
+ */
+exports.getAllInvoices = async (req, res) => {
+  try {
+    logger.info('Obteniendo todas las facturas');
+    
+    const filters = {};
+    
+    if (req.query.status) {
+      filters.status = req.query.status;
+    }
+    
+    if (req.query.saleId) {
+      filters.sale = req.query.saleId;
+    }
+    
+    // Filtro por fechas de emisión
+    if (req.query.startDate) {
+      filters.issueDate = { ...filters.issueDate, $gte: new Date(req.query.startDate) };
+    }
+    
+    if (req.query.endDate) {
+      filters.issueDate = { ...filters.issueDate, $lte: new Date(req.query.endDate) };
+    }
+    
+    // El XML solo se entrega en el detalle
+    const invoices = await Invoice.find(filters)
+      .select('-xml')
+      .populate('sale', 'saleNumber totalAmount')
+      .sort({ createdAt: -1 });
+    
+    logger.info(`Se encontraron ${invoices.length} facturas`);
+    return res.status(200).json(invoices);
+  } catch (error) {
+    logger.error(`Error al obtener facturas: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener facturas', error: error.message });
+  }
+};
+
+/**
+ * Obtener una factura por ID
+ */
+exports.getInvoiceById = async (req, res) => {
+  try {
+    const invoiceId = req.params.id;
+    logger.info(`Buscando factura con ID: ${invoiceId}`);
+    
+    const invoice = await Invoice.findById(invoiceId)
+      .populate('sale', 'saleNumber totalAmount paymentStatus')
+      .populate('history.user', 'firstName lastName username');
+    
+    if (!invoice) {
+      logger.warn(`Factura con ID ${invoiceId} no encontrada`);
+      return res.status(404).json({ message: 'Factura no encontrada' });
+    }
+    
+    return res.status(200).json(invoice);
+  } catch (error) {
+    logger.error(`Error al obtener factura: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener factura', error: error.message });
+  }
+};
+
+/**
+ * Descargar el XML de una factura
+ */
+exports.getInvoiceXml = async (req, res) => {
+  try {
+    const invoiceId = req.params.id;
+    logger.info(`Descargando XML de factura ${invoiceId}`);
+    
+    const invoice = await Invoice.findById(invoiceId).select('xml accessKey');
+    
+    if (!invoice) {
+      logger.warn(`Factura con ID ${invoiceId} no encontrada`);
+      return res.status(404).json({ message: 'Factura no encontrada' });
+    }
+    
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${invoice.accessKey}.xml"`);
+    return res.status(200).send(invoice.xml);
+  } catch (error) {
+    logger.error(`Error al descargar XML de factura: ${error.message}`);
+    return res.status(500).json({ message: 'Error al descargar XML de factura', error: error.message });
+  }
+};
+
+/**
+ * Generar la factura electrónica de una venta completada
+ */
+exports.createInvoice = async (req, res) => {
+  // Usar una transacción para garantizar integridad de datos
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    const { sale: saleId, buyer: buyerData } = req.body;
+    logger.info(`Generando factura para venta ${saleId}`);
+    
+    if (!saleId) {
+      logger.warn('Intento de generar factura sin venta');
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Se requiere la venta a facturar' });
+    }
+    
+    const issuer = invoiceUtil.issuerConfig();
+    
+    if (!/^\d{13}$/.test(issuer.ruc)) {
+      logger.warn('RUC del emisor no configurado');
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'El RUC del emisor (INVOICE_RUC) no está configurado correctamente' });
+    }
+    
+    // Serie propia de facturas por establecimiento y punto de emisión
+    // Debe ser la primera escritura de la transacción
+    const series = `${issuer.establishment}-${issuer.emissionPoint}`;
+    const counter = await sequenceUtil.increment({
+      key: `invoice:${series}`,
+      defaults: { name: 'invoice', register: series, prefix: '', padding: 9 },
+      session
+    });
+    
+    const sale = await Sale.findById(saleId)
+      .populate('customer', 'firstName lastName email taxId address')
+      .session(session);
+    
+    if (!sale) {
+      logger.warn(`Venta con ID ${saleId} no encontrada`);
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Venta no encontrada' });
+    }
+    
+    if (sale.paymentStatus !== 'completado') {
+      logger.warn(`Intento de facturar venta ${sale.saleNumber} en estado ${sale.paymentStatus}`);
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Solo se pueden facturar ventas completadas' });
+    }
+    
+    // Una venta solo puede tener una factura vigente (las rechazadas pueden reemitirse)
+    const existingInvoice = await Invoice.findOne({ sale: sale._id, status: { $ne: 'rechazada' } }).session(session);
+    if (existingInvoice) {
+      logger.warn(`La venta ${sale.saleNumber} ya tiene la factura ${existingInvoice.documentNumber}`);
+      await session.abortTransaction();
+      return res.status(400).json({ message: `La venta ya tiene la factura ${existingInvoice.documentNumber}` });
+    }
+    
+    const buyer = invoiceUtil.resolveBuyer(sale.customer, buyerData);
+    
+    if (buyer.idType === '07' && sale.totalAmount > invoiceUtil.FINAL_CONSUMER_LIMIT) {
+      logger.warn(`Factura a consumidor final excede el límite para venta ${sale.saleNumber}`);
+      await session.abortTransaction();
+      return res.status(400).json({
+        message: `Las ventas mayores a ${invoiceUtil.FINAL_CONSUMER_LIMIT} requieren identificación del comprador`
+      });
+    }
+    
+    const issueDate = new Date();
+    const accessKey = invoiceUtil.buildAccessKey({
+      date: issueDate,
+      ruc: issuer.ruc,
+      environment: issuer.environment,
+      establishment: issuer.establishment,
+      emissionPoint: issuer.emissionPoint,
+      sequential: counter.seq,
+      timezone: issuer.timezone
+    });
+    
+    const document = invoiceUtil.buildXml(sale, {
+      issuer,
+      buyer,
+      accessKey,
+      sequential: counter.seq,
+      date: issueDate
+    });
+    
+    const invoice = new Invoice({
+      sale: sale._id,
+      documentNumber: `${series}-${counter.seq.toString().padStart(9, '0')}`,
+      establishment: issuer.establishment,
+      emissionPoint: issuer.emissionPoint,
+      sequential: counter.seq,
+      accessKey,
+      environment: issuer.environment,
+      issueDate,
+      buyer,
+      totalWithoutTax: document.totalWithoutTax,
+      totalTax: document.totalTax,
+      totalAmount: sale.totalAmount,
+      xml: document.xml,
+      status: 'generada',
+      history: [{ status: 'generada', user: req.user ? req.user.id : undefined }],
+      createdBy: req.user ? req.user.id : undefined
+    });
+    
+    await invoice.save({ session });
+    
+    sale.invoice = invoice._id;
+    await sale.save({ session });
+    
+    // Confirmar transacción
+    await session.commitTransaction();
+    
+    logger.info(`Factura ${invoice.documentNumber} generada para venta ${sale.saleNumber}`);
+    return res.status(201).json(invoice);
+  } catch (error) {
+    // Revertir cambios en caso de error
+    await session.abortTransaction();
+    
+    logger.error(`Error al generar factura: ${error.message}`);
+    return res.status(500).json({ message: 'Error al generar factura', error: error.message });
+  } finally {
+    // Finalizar sesión
+    session.endSession();
+  }
+};
+
+/**
+ * Enviar una factura al servicio de autorización y registrar su resultado
+ */
+exports.sendInvoice = async (req, res) => {
+  try {
+    const invoiceId = req.params.id;
+    logger.info(`Enviando factura ${invoiceId}`);
+    
+    const invoice = await Invoice.findById(invoiceId);
+    
+    if (!invoice) {
+      logger.warn(`Factura con ID ${invoiceId} no encontrada`);
+      return res.status(404).json({ message: 'Factura no encontrada' });
+    }
+    
+    // Una factura enviada puede reenviarse solo para consultar su autorización
+    if (!['generada', 'enviada'].includes(invoice.status)) {
+      logger.warn(`Intento de enviar factura ${invoice.documentNumber} en estado ${invoice.status}`);
+      return res.status(400).json({ message: `No se puede enviar una factura ${invoice.status}` });
+    }
+    
+    const gateway = invoiceGateway.getGateway();
+    const userId = req.user ? req.user.id : undefined;
+    
+    try {
+      if (invoice.status === 'generada') {
+        const reception = await gateway.send(invoice);
+        
+        if (!reception.received) {
+          invoice.status = 'rechazada';
+          invoice.history.push({ status: 'rechazada', messages: reception.messages, user: userId });
+          await invoice.save();
+          
+          logger.warn(`Factura ${invoice.documentNumber} devuelta en recepción`);
+          return res.status(200).json({ message: 'Factura rechazada en recepción', invoice });
+        }
+        
+        invoice.status = 'enviada';
+        invoice.history.push({ status: 'enviada', messages: reception.messages, user: userId });
+        await invoice.save();
+      }
+      
+      const authorization = await gateway.authorize(invoice);
+      
+      if (authorization.authorized) {
+        invoice.status = 'autorizada';
+        invoice.authorizationNumber = authorization.authorizationNumber;
+        invoice.authorizationDate = authorization.authorizationDate || new Date();
+      } else {
+        invoice.status = 'rechazada';
+      }
+      
+      invoice.history.push({ status: invoice.status, messages: authorization.messages, user: userId });
+      await invoice.save();
+    } catch (gatewayError) {
+      // La factura queda en su último estado para reintentar el envío
+      logger.error(`Error de comunicación con el servicio de facturación: ${gatewayError.message}`);
+      return res.status(502).json({ 
+        message: 'No se pudo comunicar con el servicio de facturación', 
+        error: gatewayError.message,
+        invoice 
+      });
+    }
+    
+    logger.info(`Factura ${invoice.documentNumber} en estado ${invoice.status}`);
+    return res.status(200).json({ message: `Factura ${invoice.status}`, invoice });
+  } catch (error) {
+    logger.error(`Error al enviar factura: ${error.message}`);
+    return res.status(500).json({ message: 'Error al enviar factura', error: error.message });
+  }
+};
@@ -1,6 +1,90 @@
 const logger = require('../utils/logger');
+const mongoose = require('mongoose');
 const Product = require('../models/product.model');
 const responseUtil = require('../utils/response.util');
+const exportUtil = require('../utils/export.util');
+const listQuery = require('../utils/listQuery.util');
+const basketUtil = require('../utils/basket.util');
+const unitUtil = require('../utils/unit.util');
+const inventoryUtil = require('../utils/inventory.util');
+const lotUtil = require('../utils/lot.util');
+const InventoryMovement = require('../models/inventoryMovement.model');
+const Lot = require('../models/lot.model');
+const stockAlertUtil = require('../utils/stockAlert.util');
+
+/**
+ * Filtros de consulta de productos compartidos por el listado y la exportación
+ * @param {Object} req - Petición (query y usuario autenticado)
+ * @returns {Object} Filtros de Mongo
+ */
+function buildProductFilters(req) {
+  const filters = {};
+  
+  if (req.query.category) {
+    filters.category = req.query.category;
+  }
+  
+  if (req.query.active !== undefined) {
+    filters.isActive = req.query.active === 'true';
+  }
+  
+  if (req.query.minPrice !== undefined) {
+    filters.price = { ...filters.price, $gte: Number(req.query.minPrice) };
+  }
+  
+  if (req.query.maxPrice !== undefined) {
+    filters.price = { ...filters.price, $lte: Number(req.query.maxPrice) };
+  }
+  
+  if (req.query.search) {
+    filters.$or = [
+      { name: { $regex: req.query.search, $options: 'i' } },
+      { description: { $regex: req.query.search, $options: 'i' } },
+      { code: { $regex: req.query.search, $options: 'i' } }
+    ];
+  }
+  
+  // Limitar a productos activos si no es admin
+  if (req.user && req.user.role !== 'admin') {
+    filters.isActive = true;
+  }
+  
+  return filters;
+}
+
+/**
+ * Verifica los empaques de un producto y que sus códigos de barras no estén en uso
+ * por otro producto (ni por el código propio del producto)
+ * @param {Array} packages - Empaques recibidos
+ * @param {Object} options - { unit, barcode, productId, session }
+ * @returns {Promise<String|null>} Mensaje de error o null si son válidos
+ */
+async function validateProductPackages(packages, { unit, barcode, productId, session }) {
+  const packagesError = unitUtil.validatePackages(packages, unit);
+  if (packagesError || !packages) {
+    return packagesError;
+  }
+  
+  const barcodes = packages.map(p => p.barcode).filter(Boolean).map(String);
+  if (barcodes.length === 0) {
+    return null;
+  }
+  
+  if (barcode && barcodes.includes(String(barcode))) {
+    return `El código de barras ${barcode} ya es el del producto`;
+  }
+  
+  const conflict = await Product.findOne({
+    ...(productId ? { _id: { $ne: productId } } : {}),
+    $or: [{ barcode: { $in: barcodes } }, { 'packages.barcode': { $in: barcodes } }]
+  }).session(session || null);
+  
+  if (conflict) {
+    return `Algún código de barras de los empaques ya está en uso por el producto ${conflict.name}`;
+  }
+  
+  return null;
+}
 
 /**
  * Obtener todos los productos
@@ -9,46 +93,80 @@ exports.getAllProducts = async (req, res) => {
   try {
     logger.info('Obteniendo todos los productos');
     
-    // Construir filtros
-    const filters = {};
+    const list = listQuery.parse(req.query, {
+      sortable: ['name', 'code', 'price', 'stock', 'category', 'createdAt', 'updatedAt'],
+      defaultSort: 'name'
+    });
     
-    if (req.query.category) {
-      filters.category = req.query.category;
+    if (list.error) {
+      logger.warn(`Parámetros de listado inválidos: ${list.error}`);
+      return responseUtil.sendError(res, list.error, 400);
     }
     
-    if (req.query.active !== undefined) {
-      filters.isActive = req.query.active === 'true';
-    }
+    const result = await listQuery.run(Product, buildProductFilters(req), list);
+    logger.info(`Se encontraron ${result.data.length} productos`);
     
-    if (req.query.minPrice !== undefined) {
-      filters.price = { ...filters.price, $gte: Number(req.query.minPrice) };
-    }
+    // Con bare=true se devuelve el array de productos para compatibilidad con el frontend
+    return listQuery.send(res, result, list);
+  } catch (error) {
+    logger.error(`Error al obtener productos: ${error.message}`);
+    return responseUtil.sendError(res, 'Error al obtener productos', 500, error.message);
+  }
+};
+
+// Columnas de la exportación del catálogo
+const PRODUCT_EXPORT_COLUMNS = [
+  { key: 'code', header: { es: 'Código', en: 'Code' }, value: p => p.code },
+  { key: 'name', header: { es: 'Nombre', en: 'Name' }, value: p => p.name },
+  { key: 'description', header: { es: 'Descripción', en: 'Description' }, value: p => p.description },
+  { key: 'category', header: { es: 'Categoría', en: 'Category' }, value: p => p.category },
+  { key: 'price', header: { es: 'Precio', en: 'Price' }, value: p => p.price },
+  { key: 'cost', header: { es: 'Costo', en: 'Cost' }, value: p => p.cost },
+  { key: 'discount', header: { es: 'Descuento %', en: 'Discount %' }, value: p => p.discount || 0 },
+  { key: 'stock', header: { es: 'Stock', en: 'Stock' }, value: p => p.stock },
+  { key: 'unit', header: { es: 'Unidad', en: 'Unit' }, value: p => p.unit || unitUtil.DEFAULT_UNIT },
+  { key: 'isActive', header: { es: 'Activo', en: 'Active' }, value: p => p.isActive },
+  { key: 'updatedAt', header: { es: 'Actualizado', en: 'Updated' }, value: p => exportUtil.formatDate(p.updatedAt) }
+];
+
+/**
+ * Exportar el catálogo de productos a CSV o XLSX con los mismos filtros del listado
+ */
+exports.exportProducts = async (req, res) => {
+  try {
+    logger.info(`Exportando catálogo de productos (${req.query.format || 'csv'})`);
     
-    if (req.query.maxPrice !== undefined) {
-      filters.price = { ...filters.price, $lte: Number(req.query.maxPrice) };
+    const options = exportUtil.resolveOptions(req.query);
+    if (options.error) {
+      logger.warn(`Exportación de productos inválida: ${options.error}`);
+      return responseUtil.sendError(res, options.error, 400);
     }
     
-    if (req.query.search) {
-      filters.$or = [
-        { name: { $regex: req.query.search, $options: 'i' } },
-        { description: { $regex: req.query.search, $options: 'i' } },
-        { code: { $regex: req.query.search, $options: 'i' } }
-      ];
+    const { columns, error } = exportUtil.resolveColumns(PRODUCT_EXPORT_COLUMNS, req.query.columns);
+    if (error) {
+      logger.warn(`Columnas inválidas en exportación de productos: ${error}`);
+      return responseUtil.sendError(res, error, 400);
     }
     
-    // Limitar a productos activos si no es admin
-    if (req.user && req.user.role !== 'admin') {
-      filters.isActive = true;
-    }
+    const cursor = Product.find(buildProductFilters(req)).sort({ code: 1 }).lean().cursor();
     
-    const products = await Product.find(filters);
-    logger.info(`Se encontraron ${products.length} productos`);
+    await exportUtil.send(res, {
+      ...options,
+      columns,
+      rows: cursor,
+      filename: 'productos',
+      delimiter: req.query.delimiter === ';' ? ';' : ','
+    });
     
-    // Devolver directamente el array de productos para compatibilidad con el frontend
-    return res.status(200).json(products);
+    logger.info('Exportación de productos completada');
   } catch (error) {
-    logger.error(`Error al obtener productos: ${error.message}`);
-    return responseUtil.sendError(res, 'Error al obtener productos', 500, error.message);
+    logger.error(`Error al exportar productos: ${error.message}`);
+    
+    // Si la descarga ya comenzó no se puede responder con JSON
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    return responseUtil.sendError(res, 'Error al exportar productos', 500, error.message);
   }
 };
 
@@ -74,10 +192,117 @@ exports.getProductById = async (req, res) => {
   }
 };
 
+/**
+ * Resolver un código escaneado en el POS: código de barras del producto o código
+ * EAN-13 de balanza (prefijo 2x) con el peso o precio embebido
+ */
+exports.scanBarcode = async (req, res) => {
+  try {
+    const { barcode } = req.params;
+    logger.info(`Resolviendo código escaneado: ${barcode}`);
+    
+    const result = await unitUtil.resolveBarcode(barcode);
+    
+    if (result.error) {
+      logger.warn(`Código escaneado inválido: ${result.error}`);
+      return responseUtil.sendError(res, result.error, result.statusCode);
+    }
+    
+    return responseUtil.sendSuccess(res, {
+      product: result.product,
+      // Empaque leído (six-pack, caja); null si es la unidad base
+      package: result.package,
+      // Cantidad embebida en códigos de balanza; null para códigos normales
+      quantity: result.quantity,
+      unit: result.product.unit,
+      displayQuantity: result.quantity !== null ? unitUtil.formatQuantity(result.quantity, result.product.unit) : null,
+      scale: result.scan
+    }, 'Código resuelto correctamente');
+  } catch (error) {
+    logger.error(`Error al resolver código escaneado: ${error.message}`);
+    return responseUtil.sendError(res, 'Error al resolver código escaneado', 500, error.message);
+  }
+};
+
+/**
+ * Productos que suelen comprarse junto con un producto (venta cruzada en el POS)
+ * Usa las ventas de los últimos días (days, por defecto 90) y solo sugiere
+ * productos activos con stock y asociación positiva (lift > 1).
+ */
+exports.getRelatedProducts = async (req, res) => {
+  try {
+    const productId = req.params.id;
+    const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : 90;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 5;
+    logger.info(`Buscando productos relacionados con ${productId}`);
+    
+    if (!mongoose.isValidObjectId(productId)) {
+      logger.warn(`ID de producto inválido: ${productId}`);
+      return responseUtil.sendError(res, 'ID de producto inválido', 400);
+    }
+    
+    if (isNaN(days) || days < 1 || days > 730 || isNaN(limit) || limit < 1 || limit > 20) {
+      logger.warn('Parámetros inválidos en productos relacionados');
+      return responseUtil.sendError(res, 'days debe estar entre 1 y 730 y limit entre 1 y 20', 400);
+    }
+    
+    const product = await Product.findById(productId).select('code name category');
+    
+    if (!product) {
+      logger.warn(`Producto con ID ${productId} no encontrado`);
+      return responseUtil.sendError(res, 'Producto no encontrado', 404);
+    }
+    
+    const match = {
+      paymentStatus: { $ne: 'cancelado' },
+      createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+    };
+    
+    // Se piden candidatos de más porque algunos pueden estar inactivos o sin stock
+    const { basketsWithProduct, related } = await basketUtil.relatedProducts({
+      match,
+      productId: product._id,
+      limit: limit * 3
+    });
+    
+    const available = await Product.find({
+      _id: { $in: related.map(r => r.product) },
+      isActive: true,
+      stock: { $gt: 0 }
+    }).select('code name category price stock');
+    const byId = new Map(available.map(p => [p._id.toString(), p]));
+    
+    const suggestions = related
+      .filter(r => byId.has(r.product.toString()))
+      .slice(0, limit)
+      .map(({ product: id, transactions, support, confidenceAB, lift }) => ({
+        product: byId.get(id.toString()),
+        transactions,
+        support,
+        confidence: confidenceAB,
+        lift
+      }));
+    
+    return responseUtil.sendSuccess(res, {
+      product,
+      days,
+      basketsWithProduct,
+      related: suggestions
+    }, 'Productos relacionados obtenidos correctamente');
+  } catch (error) {
+    logger.error(`Error al obtener productos relacionados: ${error.message}`);
+    return responseUtil.sendError(res, 'Error al obtener productos relacionados', 500, error.message);
+  }
+};
+
 /**
  * Crear un nuevo producto
  */
 exports.createProduct = async (req, res) => {
+  // El producto y su saldo inicial en el kardex se guardan juntos
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
   try {
     const productData = req.body;
     logger.info(`Creando nuevo producto: ${productData.name}`);
@@ -85,25 +310,51 @@ exports.createProduct = async (req, res) => {
     // Validar datos requeridos
     if (!productData.name || !productData.price || !productData.category) {
       logger.warn('Intento de crear producto con datos incompletos');
+      await session.abortTransaction();
       return responseUtil.sendError(res, 'Se requiere nombre, precio y categoría', 400);
     }
     
     // Verificar que el código no esté duplicado
-    const existingProduct = await Product.findOne({ code: productData.code });
+    const existingProduct = await Product.findOne({ code: productData.code }).session(session);
     if (existingProduct) {
       logger.warn(`Intento de crear producto con código duplicado: ${productData.code}`);
+      await session.abortTransaction();
       return responseUtil.sendError(res, 'El código del producto ya existe', 400);
     }
     
+    const levelsError = stockAlertUtil.validateLevels(productData);
+    if (levelsError) {
+      logger.warn(`Niveles de stock inválidos al crear producto: ${levelsError}`);
+      await session.abortTransaction();
+      return responseUtil.sendError(res, levelsError, 400);
+    }
+    
+    const packagesError = await validateProductPackages(productData.packages, {
+      unit: productData.unit,
+      barcode: productData.barcode,
+      session
+    });
+    if (packagesError) {
+      logger.warn(`Empaques inválidos al crear producto: ${packagesError}`);
+      await session.abortTransaction();
+      return responseUtil.sendError(res, packagesError, 400);
+    }
+    
     // Crear nuevo producto
     const newProduct = new Product(productData);
-    await newProduct.save();
+    await newProduct.save({ session });
+    await inventoryUtil.recordOpening(newProduct, { session, user: req.user ? req.user.id : undefined });
+    
+    await session.commitTransaction();
     
     logger.info(`Producto creado con ID: ${newProduct._id}`);
     return responseUtil.sendSuccess(res, newProduct, 'Producto creado correctamente', 201);
   } catch (error) {
+    await session.abortTransaction();
     logger.error(`Error al crear producto: ${error.message}`);
     return responseUtil.sendError(res, 'Error al crear producto', 500, error.message);
+  } finally {
+    session.endSession();
   }
 };
 
@@ -111,39 +362,102 @@ exports.createProduct = async (req, res) => {
  * Actualizar un producto existente
  */
 exports.updateProduct = async (req, res) => {
+  // Un cambio de stock en la edición se registra en el kardex como ajuste
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
   try {
     const productId = req.params.id;
-    const productData = req.body;
+    const { stock, ...productData } = req.body;
     logger.info(`Actualizando producto con ID: ${productId}`);
     
     // Comprobar existencia del producto
-    const product = await Product.findById(productId);
+    const product = await Product.findById(productId).session(session);
     if (!product) {
       logger.warn(`Intento de actualizar producto inexistente con ID: ${productId}`);
+      await session.abortTransaction();
       return res.status(404).json({ message: 'Producto no encontrado' });
     }
     
     // Verificar si el código actualizado no está duplicado
     if (productData.code && productData.code !== product.code) {
-      const existingProduct = await Product.findOne({ code: productData.code });
+      const existingProduct = await Product.findOne({ code: productData.code }).session(session);
       if (existingProduct) {
         logger.warn(`Intento de actualizar producto con código duplicado: ${productData.code}`);
+        await session.abortTransaction();
         return res.status(400).json({ message: 'El código del producto ya está en uso' });
       }
     }
     
+    // Los niveles se validan combinados con los actuales del producto
+    const levelsError = stockAlertUtil.validateLevels({
+      reorderPoint: productData.reorderPoint !== undefined ? productData.reorderPoint : product.reorderPoint,
+      reorderQuantity: productData.reorderQuantity !== undefined ? productData.reorderQuantity : product.reorderQuantity,
+      maxStock: productData.maxStock !== undefined ? productData.maxStock : product.maxStock
+    });
+    if (levelsError) {
+      logger.warn(`Niveles de stock inválidos al actualizar producto ${productId}: ${levelsError}`);
+      await session.abortTransaction();
+      return res.status(400).json({ message: levelsError });
+    }
+    
+    const packagesError = await validateProductPackages(productData.packages, {
+      unit: productData.unit || product.unit,
+      barcode: productData.barcode !== undefined ? productData.barcode : product.barcode,
+      productId,
+      session
+    });
+    if (packagesError) {
+      logger.warn(`Empaques inválidos al actualizar producto ${productId}: ${packagesError}`);
+      await session.abortTransaction();
+      return res.status(400).json({ message: packagesError });
+    }
+    
     // Actualizar producto
-    const updatedProduct = await Product.findByIdAndUpdate(
+    let updatedProduct = await Product.findByIdAndUpdate(
       productId,
       productData,
-      { new: true, runValidators: true }
+      { new: true, runValidators: true, session }
     );
     
+    if (stock !== undefined && Number(stock) !== product.stock) {
+      const parsed = unitUtil.parseQuantity(stock, updatedProduct.unit, { allowZero: true });
+      if (parsed.error) {
+        logger.warn(`Stock inválido al actualizar producto ${productId}: ${parsed.error}`);
+        await session.abortTransaction();
+        return res.status(400).json({ message: parsed.error });
+      }
+      
+      const result = await inventoryUtil.applyMovement({
+        product: productId,
+        quantity: unitUtil.roundQuantity(parsed.quantity - product.stock, updatedProduct.unit),
+        type: 'ajuste',
+        user: req.user ? req.user.id : undefined,
+        reason: 'Edición del producto'
+      }, { session, expectedStock: product.stock });
+      
+      if (result.error) {
+        logger.warn(`Ajuste de stock rechazado al actualizar producto ${productId}: ${result.error}`);
+        await session.abortTransaction();
+        return res.status(result.statusCode).json({ message: result.error });
+      }
+      
+      updatedProduct = result.product;
+    } else if (['reorderPoint', 'reorderQuantity', 'maxStock'].some(field => productData[field] !== undefined)) {
+      // Un nuevo punto de reorden puede abrir o resolver la alerta sin mover el stock
+      await stockAlertUtil.evaluate(updatedProduct, { session });
+    }
+    
+    await session.commitTransaction();
+    
     logger.info(`Producto actualizado con éxito: ${updatedProduct._id}`);
     return res.status(200).json(updatedProduct);
   } catch (error) {
+    await session.abortTransaction();
     logger.error(`Error al actualizar producto: ${error.message}`);
     return res.status(500).json({ message: 'Error al actualizar producto', error: error.message });
+  } finally {
+    session.endSession();
   }
 };
 
@@ -180,51 +494,384 @@ exports.deleteProduct = async (req, res) => {
 
 /**
  * Ajustar stock de un producto
+ * Con package la cantidad se indica en empaques y se convierte a unidades base
  */
 exports.adjustStock = async (req, res) => {
+  // El ajuste y su movimiento en el kardex se guardan juntos
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
   try {
     const productId = req.params.id;
-    const { quantity, operation = 'add' } = req.body;
+    const { quantity, operation = 'add', reason, type = 'ajuste', lotNumber, expirationDate, package: packageName } = req.body;
     
     if (quantity === undefined || isNaN(Number(quantity))) {
       logger.warn(`Intento de ajustar stock con cantidad inválida: ${quantity}`);
+      await session.abortTransaction();
       return res.status(400).json({ message: 'Se requiere una cantidad válida' });
     }
     
+    // Los ajustes manuales pueden registrar recepciones de mercadería como compra
+    if (!['ajuste', 'compra'].includes(type)) {
+      logger.warn(`Tipo de movimiento inválido en ajuste de stock: ${type}`);
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Tipo inválido. Valores permitidos: ajuste, compra' });
+    }
+    
     logger.info(`Ajustando stock del producto ${productId}: ${operation} ${quantity}`);
     
-    const product = await Product.findById(productId);
+    const product = await Product.findById(productId).session(session);
     if (!product) {
       logger.warn(`Intento de ajustar stock de producto inexistente: ${productId}`);
+      await session.abortTransaction();
       return res.status(404).json({ message: 'Producto no encontrado' });
     }
     
-    let newStock;
+    // Cantidad contada en empaques (p. ej. cajas recibidas)
+    let packaging = null;
+    if (packageName) {
+      packaging = unitUtil.findPackage(product, packageName);
+      if (!packaging) {
+        logger.warn(`Empaque ${packageName} no encontrado al ajustar stock de ${productId}`);
+        await session.abortTransaction();
+        return res.status(400).json({ message: `El producto ${product.name} no tiene el empaque ${packageName}` });
+      }
+    }
+    
+    // La cantidad respeta la unidad del producto (decimales solo para productos a granel);
+    // los empaques se cuentan enteros
+    const parsed = unitUtil.parseQuantity(quantity, packaging ? unitUtil.DEFAULT_UNIT : product.unit, { allowZero: operation === 'set' });
+    if (parsed.error) {
+      logger.warn(`Cantidad inválida al ajustar stock de ${productId}: ${parsed.error}`);
+      await session.abortTransaction();
+      return res.status(400).json({ message: parsed.error });
+    }
+    
+    const baseQuantity = packaging ? unitUtil.toBaseQuantity(parsed.quantity, packaging.factor, product.unit) : parsed.quantity;
+    
+    // Variación con signo respecto del stock actual
+    let delta;
     if (operation === 'add') {
-      newStock = product.stock + Number(quantity);
+      delta = baseQuantity;
     } else if (operation === 'subtract') {
-      newStock = product.stock - Number(quantity);
-      
-      // Validar stock suficiente
-      if (newStock < 0) {
-        logger.warn(`Intento de reducir stock a cantidad negativa para producto ${productId}`);
-        return res.status(400).json({ message: 'Stock insuficiente para realizar esta operación' });
-      }
+      delta = -baseQuantity;
     } else if (operation === 'set') {
-      newStock = Number(quantity);
+      delta = unitUtil.roundQuantity(baseQuantity - product.stock, product.unit);
     } else {
       logger.warn(`Operación de stock inválida: ${operation}`);
+      await session.abortTransaction();
       return res.status(400).json({ message: 'Operación inválida. Valores permitidos: add, subtract, set' });
     }
     
-    // Actualizar stock
-    product.stock = newStock;
-    await product.save();
+    if (delta === 0) {
+      await session.abortTransaction();
+      return res.status(200).json({ message: 'El stock no cambió', product });
+    }
+    
+    // Los ingresos con lotNumber entran a ese lote; las salidas descuentan de un lote puntual
+    // o de lo que vence primero (incluidos los vencidos, p. ej. bajas por vencimiento)
+    let lotResult = { lots: undefined };
+    if (delta > 0 && lotNumber) {
+      lotResult = await lotUtil.receive(product, { lotNumber, expirationDate, quantity: delta }, { session });
+    } else if (delta < 0) {
+      lotResult = await lotUtil.consume(product, -delta, { session, lotNumber, includeExpired: true, allowShortage: true });
+    }
+    
+    if (lotResult.error) {
+      logger.warn(`Ajuste de lotes rechazado para producto ${productId}: ${lotResult.error}`);
+      await session.abortTransaction();
+      return res.status(lotResult.statusCode).json({ message: lotResult.error });
+    }
+    
+    const result = await inventoryUtil.applyMovement({
+      product,
+      quantity: delta,
+      type,
+      user: req.user ? req.user.id : undefined,
+      reason,
+      lots: lotResult.lots
+    }, { session, expectedStock: operation === 'set' ? product.stock : undefined });
+    
+    if (result.error) {
+      logger.warn(`Ajuste de stock rechazado para producto ${productId}: ${result.error}`);
+      await session.abortTransaction();
+      return res.status(result.statusCode).json({ message: result.error });
+    }
     
-    logger.info(`Stock actualizado para producto ${productId}: nuevo stock ${product.stock}`);
-    return res.status(200).json({ message: 'Stock actualizado correctamente', product });
+    await session.commitTransaction();
+    
+    logger.info(`Stock actualizado para producto ${productId}: nuevo stock ${unitUtil.formatQuantity(result.product.stock, result.product.unit)}`);
+    return res.status(200).json({ message: 'Stock actualizado correctamente', product: result.product, movement: result.movement });
   } catch (error) {
+    await session.abortTransaction();
     logger.error(`Error al ajustar stock: ${error.message}`);
     return res.status(500).json({ message: 'Error al ajustar stock', error: error.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Kardex de un producto: movimientos de inventario con su saldo resultante
+ */
+exports.getProductMovements = async (req, res) => {
+  try {
+    const productId = req.params.id;
+    logger.info(`Obteniendo movimientos de inventario del producto ${productId}`);
+    
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ message: 'ID de producto inválido' });
+    }
+    
+    const product = await Product.findById(productId).select('code name unit stock');
+    if (!product) {
+      logger.warn(`Movimientos solicitados para producto inexistente: ${productId}`);
+      return res.status(404).json({ message: 'Producto no encontrado' });
+    }
+    
+    const filters = { product: product._id };
+    
+    if (req.query.startDate) {
+      filters.createdAt = { ...filters.createdAt, $gte: new Date(req.query.startDate) };
+    }
+    
+    if (req.query.endDate) {
+      filters.createdAt = { ...filters.createdAt, $lte: new Date(req.query.endDate) };
+    }
+    
+    if (req.query.type) {
+      const types = String(req.query.type).split(',').map(t => t.trim());
+      const invalid = types.filter(t => !inventoryUtil.MOVEMENT_TYPES.includes(t));
+      
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          message: `Tipo de movimiento inválido: ${invalid.join(', ')}. Permitidos: ${inventoryUtil.MOVEMENT_TYPES.join(', ')}`
+        });
+      }
+      
+      filters.type = { $in: types };
+    }
+    
+    const list = listQuery.parse(req.query, {
+      sortable: ['createdAt'],
+      defaultSort: '-createdAt'
+    });
+    
+    if (list.error) {
+      logger.warn(`Parámetros de listado inválidos: ${list.error}`);
+      return res.status(400).json({ message: list.error });
+    }
+    
+    const result = await listQuery.run(InventoryMovement, filters, list, query => query
+      .populate('user', 'firstName lastName username'));
+    
+    logger.info(`Se encontraron ${result.data.length} movimientos del producto ${product.code}`);
+    return listQuery.send(res, result, list);
+  } catch (error) {
+    logger.error(`Error al obtener movimientos de inventario: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener movimientos de inventario', error: error.message });
+  }
+};
+
+/**
+ * Verificación de consistencia: reconstruye el stock desde el kardex y reporta diferencias
+ */
+exports.getInventoryConsistency = async (req, res) => {
+  try {
+    logger.info('Verificando consistencia del inventario contra el kardex');
+    
+    const filters = {};
+    
+    if (req.query.category) {
+      filters.category = req.query.category;
+    }
+    
+    if (req.query.productId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.productId)) {
+        return res.status(400).json({ message: 'ID de producto inválido' });
+      }
+      filters._id = req.query.productId;
+    }
+    
+    const report = await inventoryUtil.checkConsistency(filters);
+    
+    if (report.drifted.length > 0 || report.untracked.length > 0) {
+      logger.warn(`Inventario inconsistente: ${report.drifted.length} productos con diferencias, ${report.untracked.length} sin kardex`);
+    }
+    
+    return res.status(200).json({
+      generatedAt: new Date(),
+      ...report
+    });
+  } catch (error) {
+    logger.error(`Error al verificar consistencia del inventario: ${error.message}`);
+    return res.status(500).json({ message: 'Error al verificar consistencia del inventario', error: error.message });
+  }
+};
+
+/**
+ * Registra el saldo inicial de los productos con stock que aún no tienen kardex
+ * (productos creados antes de llevar el registro de movimientos)
+ */
+exports.recordOpeningBalances = async (req, res) => {
+  try {
+    logger.info('Registrando saldos iniciales de inventario');
+    
+    const report = await inventoryUtil.checkConsistency();
+    const recorded = [];
+    
+    for (const item of report.untracked) {
+      // Se relee el producto por si se movió su stock después de la verificación
+      const product = await Product.findById(item.product).select('code name unit stock');
+      if (!product || await InventoryMovement.exists({ product: product._id })) {
+        continue;
+      }
+      
+      const movement = await inventoryUtil.recordOpening(product, {
+        user: req.user.id,
+        reason: 'Saldo inicial (alta en el kardex)'
+      });
+      
+      if (movement) {
+        recorded.push({ product: product._id, code: product.code, name: product.name, stock: product.stock });
+      }
+    }
+    
+    logger.info(`Saldos iniciales registrados para ${recorded.length} productos`);
+    return res.status(201).json({
+      message: `Saldos iniciales registrados para ${recorded.length} productos`,
+      recorded
+    });
+  } catch (error) {
+    logger.error(`Error al registrar saldos iniciales: ${error.message}`);
+    return res.status(500).json({ message: 'Error al registrar saldos iniciales', error: error.message });
+  }
+};
+
+/**
+ * Listado de productos para reponer con su cantidad sugerida
+ * @param {Object} filters - Filtro de productos
+ * @param {String} label - Descripción para el log
+ */
+async function sendReorderList(req, res, filters, label) {
+  if (req.query.category) {
+    filters.category = req.query.category;
+  }
+  
+  const list = listQuery.parse(req.query, {
+    sortable: ['stock', 'name', 'code', 'category'],
+    defaultSort: 'stock'
+  });
+  
+  if (list.error) {
+    logger.warn(`Parámetros de listado inválidos: ${list.error}`);
+    return res.status(400).json({ message: list.error });
+  }
+  
+  const result = await listQuery.run(Product, filters, list);
+  result.data = result.data.map(product => ({
+    ...product.toObject(),
+    suggestedQuantity: stockAlertUtil.suggestedQuantity(product)
+  }));
+  
+  logger.info(`Se encontraron ${result.data.length} productos ${label}`);
+  return listQuery.send(res, result, list);
+}
+
+/**
+ * Productos activos en o por debajo de su punto de reorden
+ * (includeOutOfStock=true incluye los agotados)
+ */
+exports.getLowStockProducts = async (req, res) => {
+  try {
+    logger.info('Obteniendo productos con bajo stock');
+    return await sendReorderList(req, res, stockAlertUtil.lowStockFilter({
+      includeOutOfStock: req.query.includeOutOfStock === 'true'
+    }), 'con bajo stock');
+  } catch (error) {
+    logger.error(`Error al obtener productos con bajo stock: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener productos con bajo stock', error: error.message });
+  }
+};
+
+/**
+ * Productos activos agotados
+ */
+exports.getOutOfStockProducts = async (req, res) => {
+  try {
+    logger.info('Obteniendo productos agotados');
+    return await sendReorderList(req, res, stockAlertUtil.outOfStockFilter(), 'agotados');
+  } catch (error) {
+    logger.error(`Error al obtener productos agotados: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener productos agotados', error: error.message });
+  }
+};
+
+/**
+ * Lotes de un producto ordenados por vencimiento (includeEmpty=true incluye los agotados)
+ */
+exports.getProductLots = async (req, res) => {
+  try {
+    const productId = req.params.id;
+    logger.info(`Obteniendo lotes del producto ${productId}`);
+    
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ message: 'ID de producto inválido' });
+    }
+    
+    const product = await Product.findById(productId).select('code name unit stock');
+    if (!product) {
+      logger.warn(`Lotes solicitados para producto inexistente: ${productId}`);
+      return res.status(404).json({ message: 'Producto no encontrado' });
+    }
+    
+    const filters = { product: product._id };
+    if (req.query.includeEmpty !== 'true') {
+      filters.quantity = { $gt: 0 };
+    }
+    
+    const lots = lotUtil.sortByExpiration(await Lot.find(filters)
+      .sort({ receivedAt: 1 })
+      .populate('purchaseOrder', 'orderNumber'));
+    
+    const now = new Date();
+    const lotted = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    
+    return res.status(200).json({
+      product,
+      // Stock que no está asignado a ningún lote (anterior al control de lotes)
+      unlotted: Math.max(unitUtil.roundQuantity(product.stock - lotted, product.unit), 0),
+      lots: lots.map(lot => ({ ...lot.toObject(), expired: lotUtil.isExpired(lot, now) }))
+    });
+  } catch (error) {
+    logger.error(`Error al obtener lotes del producto: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener lotes del producto', error: error.message });
+  }
+};
+
+/**
+ * Reporte de lotes que vencen en los próximos días (incluye los ya vencidos con stock)
+ */
+exports.getExpiringLots = async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : 7;
+    
+    if (isNaN(days) || days < 0 || days > 365) {
+      return res.status(400).json({ message: 'El parámetro days debe ser un número entre 0 y 365' });
+    }
+    
+    logger.info(`Obteniendo lotes que vencen en los próximos ${days} días`);
+    
+    const report = await lotUtil.expiringReport({
+      days,
+      category: req.query.category,
+      includeExpired: req.query.includeExpired !== 'false'
+    });
+    
+    logger.info(`Se encontraron ${report.lots.length} lotes por vencer o vencidos`);
+    return res.status(200).json({ generatedAt: new Date(), days, ...report });
+  } catch (error) {
+    logger.error(`Error al obtener lotes por vencer: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener lotes por vencer', error: error.message });
   }
 };
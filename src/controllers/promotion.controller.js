@@ -0,0 +1,280 @@
+const logger = require('../utils/logger');
+const Promotion = require('../models/promotion.model');
+const Product = require('../models/product.model');
+const pricingUtil = require('../utils/pricing.util');
+const unitUtil = require('../utils/unit.util');
+
+/**
+ * Valida los campos que exige cada tipo de promoción
+ * @param {Object} data - Datos de la promoción
+ * @returns {String|null} Mensaje de error o null si es válida
+ */
+function validateRule(data) {
+  const hasScope = (data.products && data.products.length > 0) || data.category;
+  
+  switch (data.type) {
+    case 'n_por_m':
+      if (!hasScope) return 'Se requieren productos o una categoría';
+      if (!data.buyQuantity || data.payQuantity === undefined || Number(data.payQuantity) >= Number(data.buyQuantity)) {
+        return 'Se requiere buyQuantity mayor que payQuantity';
+      }
+      return null;
+    case 'lleva_x_gratis_y':
+      if (!hasScope) return 'Se requieren productos o una categoría';
+      if (!data.buyQuantity || !data.getQuantity) return 'Se requiere buyQuantity y getQuantity';
+      return null;
+    case 'porcentaje_categoria':
+      if (!data.category) return 'Se requiere la categoría';
+      if (!data.percentage) return 'Se requiere el porcentaje de descuento';
+      return null;
+    case 'precio_paquete':
+      if (!data.bundleItems || data.bundleItems.length < 2) return 'El paquete debe tener al menos dos productos';
+      if (data.bundlePrice === undefined) return 'Se requiere el precio del paquete';
+      return null;
+    case 'cupon':
+      if (!data.couponCode) return 'Se requiere el código del cupón';
+      if (!data.percentage && !data.amount) return 'Se requiere un porcentaje o monto de descuento';
+      return null;
+    default:
+      return 'Tipo de promoción inválido';
+  }
+}
+
+/**
+ * Obtener todas las promociones
+ */
+exports.getAllPromotions = async (req, res) => {
+  try {
+    logger.info('Obteniendo todas las promociones');
+    
+    const filters = {};
+    
+    if (req.query.type) {
+      filters.type = req.query.type;
+    }
+    
+    if (req.query.active !== undefined) {
+      filters.isActive = req.query.active === 'true';
+    }
+    
+    // Solo promociones vigentes en la fecha actual
+    if (req.query.current === 'true') {
+      const now = new Date();
+      filters.startDate = { $lte: now };
+      filters.endDate = { $gte: now };
+    }
+    
+    const promotions = await Promotion.find(filters).sort({ startDate: -1 });
+    
+    logger.info(`Se encontraron ${promotions.length} promociones`);
+    return res.status(200).json(promotions);
+  } catch (error) {
+    logger.error(`Error al obtener promociones: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener promociones', error: error.message });
+  }
+};
+
+/**
+ * Obtener una promoción por ID
+ */
+exports.getPromotionById = async (req, res) => {
+  try {
+    const promotionId = req.params.id;
+    logger.info(`Buscando promoción con ID: ${promotionId}`);
+    
+    const promotion = await Promotion.findById(promotionId)
+      .populate('products', 'code name price')
+      .populate('getProduct', 'code name price')
+      .populate('bundleItems.product', 'code name price');
+    
+    if (!promotion) {
+      logger.warn(`Promoción con ID ${promotionId} no encontrada`);
+      return res.status(404).json({ message: 'Promoción no encontrada' });
+    }
+    
+    return res.status(200).json(promotion);
+  } catch (error) {
+    logger.error(`Error al obtener promoción: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener promoción', error: error.message });
+  }
+};
+
+/**
+ * Crear una nueva promoción
+ */
+exports.createPromotion = async (req, res) => {
+  try {
+    const promotionData = req.body;
+    logger.info(`Creando nueva promoción: ${promotionData.name}`);
+    
+    // Validar datos requeridos
+    if (!promotionData.name || !promotionData.type || !promotionData.startDate || !promotionData.endDate) {
+      logger.warn('Intento de crear promoción con datos incompletos');
+      return res.status(400).json({ message: 'Se requiere nombre, tipo, fecha de inicio y fecha de fin' });
+    }
+    
+    if (new Date(promotionData.startDate) > new Date(promotionData.endDate)) {
+      logger.warn('Intento de crear promoción con rango de fechas inválido');
+      return res.status(400).json({ message: 'La fecha de inicio debe ser anterior a la fecha de fin' });
+    }
+    
+    const ruleError = validateRule(promotionData);
+    if (ruleError) {
+      logger.warn(`Promoción inválida: ${ruleError}`);
+      return res.status(400).json({ message: ruleError });
+    }
+    
+    // Verificar que el código de cupón no esté duplicado
+    if (promotionData.couponCode) {
+      const existingPromotion = await Promotion.findOne({ couponCode: promotionData.couponCode.trim().toUpperCase() });
+      if (existingPromotion) {
+        logger.warn(`Intento de crear promoción con cupón duplicado: ${promotionData.couponCode}`);
+        return res.status(400).json({ message: 'El código de cupón ya existe' });
+      }
+    }
+    
+    const newPromotion = new Promotion(promotionData);
+    await newPromotion.save();
+    
+    logger.info(`Promoción creada con ID: ${newPromotion._id}`);
+    return res.status(201).json(newPromotion);
+  } catch (error) {
+    logger.error(`Error al crear promoción: ${error.message}`);
+    return res.status(500).json({ message: 'Error al crear promoción', error: error.message });
+  }
+};
+
+/**
+ * Actualizar una promoción existente
+ */
+exports.updatePromotion = async (req, res) => {
+  try {
+    const promotionId = req.params.id;
+    logger.info(`Actualizando promoción con ID: ${promotionId}`);
+    
+    const promotion = await Promotion.findById(promotionId);
+    if (!promotion) {
+      logger.warn(`Intento de actualizar promoción inexistente con ID: ${promotionId}`);
+      return res.status(404).json({ message: 'Promoción no encontrada' });
+    }
+    
+    // Validar la regla resultante luego de aplicar los cambios
+    const merged = { ...promotion.toObject(), ...req.body };
+    
+    if (new Date(merged.startDate) > new Date(merged.endDate)) {
+      logger.warn('Intento de actualizar promoción con rango de fechas inválido');
+      return res.status(400).json({ message: 'La fecha de inicio debe ser anterior a la fecha de fin' });
+    }
+    
+    const ruleError = validateRule(merged);
+    if (ruleError) {
+      logger.warn(`Promoción inválida: ${ruleError}`);
+      return res.status(400).json({ message: ruleError });
+    }
+    
+    const updatedPromotion = await Promotion.findByIdAndUpdate(
+      promotionId,
+      req.body,
+      { new: true, runValidators: true }
+    );
+    
+    logger.info(`Promoción actualizada con éxito: ${updatedPromotion._id}`);
+    return res.status(200).json(updatedPromotion);
+  } catch (error) {
+    logger.error(`Error al actualizar promoción: ${error.message}`);
+    return res.status(500).json({ message: 'Error al actualizar promoción', error: error.message });
+  }
+};
+
+/**
+ * Eliminar una promoción (desactivar o eliminar físicamente)
+ */
+exports.deletePromotion = async (req, res) => {
+  try {
+    const promotionId = req.params.id;
+    const { permanent } = req.query;
+    logger.info(`Eliminando promoción con ID: ${promotionId}, eliminación permanente: ${permanent === 'true'}`);
+    
+    const promotion = await Promotion.findById(promotionId);
+    if (!promotion) {
+      logger.warn(`Intento de eliminar promoción inexistente con ID: ${promotionId}`);
+      return res.status(404).json({ message: 'Promoción no encontrada' });
+    }
+    
+    if (permanent === 'true') {
+      await Promotion.findByIdAndDelete(promotionId);
+      logger.info(`Promoción eliminada permanentemente: ${promotionId}`);
+      return res.status(200).json({ message: 'Promoción eliminada permanentemente' });
+    } else {
+      promotion.isActive = false;
+      await promotion.save();
+      logger.info(`Promoción marcada como inactiva: ${promotionId}`);
+      return res.status(200).json({ message: 'Promoción desactivada correctamente', promotion });
+    }
+  } catch (error) {
+    logger.error(`Error al eliminar promoción: ${error.message}`);
+    return res.status(500).json({ message: 'Error al eliminar promoción', error: error.message });
+  }
+};
+
+/**
+ * Previsualizar el precio de un carrito con las promociones vigentes, sin registrar la venta
+ */
+exports.previewCart = async (req, res) => {
+  try {
+    const { items, couponCode } = req.body;
+    logger.info('Previsualizando precio de carrito');
+    
+    if (!items || items.length === 0) {
+      logger.warn('Intento de previsualizar carrito sin items');
+      return res.status(400).json({ message: 'El carrito debe tener al menos un item' });
+    }
+    
+    const lines = [];
+    for (const item of items) {
+      const product = await Product.findById(item.product);
+      
+      if (!product) {
+        logger.warn(`Producto con ID ${item.product} no encontrado`);
+        return res.status(404).json({ message: `Producto con ID ${item.product} no encontrado` });
+      }
+      
+      // Línea en un empaque (six-pack, caja) con su propio precio
+      let packaging = null;
+      if (item.package) {
+        packaging = unitUtil.findPackage(product, item.package);
+        
+        if (!packaging) {
+          logger.warn(`Empaque ${item.package} no encontrado para ${product.name}`);
+          return res.status(400).json({ message: `El producto ${product.name} no tiene el empaque ${item.package}` });
+        }
+      }
+      
+      // Misma validación de cantidad que al registrar la venta; los empaques se venden enteros
+      const parsed = unitUtil.parseQuantity(
+        item.quantity === undefined ? 1 : item.quantity,
+        packaging ? unitUtil.DEFAULT_UNIT : product.unit
+      );
+      
+      if (parsed.error) {
+        logger.warn(`Cantidad inválida para ${product.name}: ${parsed.error}`);
+        return res.status(400).json({ message: `${product.name}: ${parsed.error}` });
+      }
+      
+      lines.push({ product, quantity: parsed.quantity, discount: item.discount, packaging });
+    }
+    
+    const pricing = await pricingUtil.priceItems(lines, { couponCode });
+    
+    if (pricing.error) {
+      logger.warn(`Cupón inválido en previsualización: ${pricing.error}`);
+      return res.status(400).json({ message: pricing.error });
+    }
+    
+    const { coupon, ...preview } = pricing;
+    return res.status(200).json({ ...preview, couponCode: coupon ? coupon.couponCode : undefined });
+  } catch (error) {
+    logger.error(`Error al previsualizar carrito: ${error.message}`);
+    return res.status(500).json({ message: 'Error al previsualizar carrito', error: error.message });
+  }
+};
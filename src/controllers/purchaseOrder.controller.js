@@ -0,0 +1,358 @@
+const logger = require('../utils/logger');
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/purchaseOrder.model');
+const listQuery = require('../utils/listQuery.util');
+const purchaseOrderUtil = require('../utils/purchaseOrder.util');
+
+/**
+ * Obtener todas las órdenes de compra
+ */
+exports.getAllPurchaseOrders = async (req, res) => {
+  try {
+    logger.info('Obteniendo órdenes de compra');
+    
+    const filters = {};
+    
+    if (req.query.status) {
+      const statuses = String(req.query.status).split(',').map(s => s.trim());
+      const invalid = statuses.filter(s => !purchaseOrderUtil.STATUSES.includes(s));
+      
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          message: `Estado inválido: ${invalid.join(', ')}. Permitidos: ${purchaseOrderUtil.STATUSES.join(', ')}`
+        });
+      }
+      
+      filters.status = { $in: statuses };
+    }
+    
+    if (req.query.supplierId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.supplierId)) {
+        return res.status(400).json({ message: 'ID de proveedor inválido' });
+      }
+      filters.supplier = req.query.supplierId;
+    }
+    
+    if (req.query.productId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.productId)) {
+        return res.status(400).json({ message: 'ID de producto inválido' });
+      }
+      filters['items.product'] = req.query.productId;
+    }
+    
+    if (req.query.startDate) {
+      filters.createdAt = { ...filters.createdAt, $gte: new Date(req.query.startDate) };
+    }
+    
+    if (req.query.endDate) {
+      filters.createdAt = { ...filters.createdAt, $lte: new Date(req.query.endDate) };
+    }
+    
+    const list = listQuery.parse(req.query, {
+      sortable: ['createdAt', 'orderNumber', 'expectedDate', 'totalAmount', 'status'],
+      defaultSort: '-createdAt'
+    });
+    
+    if (list.error) {
+      logger.warn(`Parámetros de listado inválidos: ${list.error}`);
+      return res.status(400).json({ message: list.error });
+    }
+    
+    const result = await listQuery.run(PurchaseOrder, filters, list, query => query
+      .populate('supplier', 'name taxId leadTimeDays'));
+    
+    logger.info(`Se encontraron ${result.data.length} órdenes de compra`);
+    return listQuery.send(res, result, list);
+  } catch (error) {
+    logger.error(`Error al obtener órdenes de compra: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener órdenes de compra', error: error.message });
+  }
+};
+
+/**
+ * Obtener una orden de compra por ID
+ */
+exports.getPurchaseOrderById = async (req, res) => {
+  try {
+    const orderId = req.params.id;
+    logger.info(`Buscando orden de compra con ID: ${orderId}`);
+    
+    const order = await PurchaseOrder.findById(orderId)
+      .populate('supplier', 'name taxId email phone contacts leadTimeDays')
+      .populate('createdBy', 'firstName lastName username')
+      .populate('receipts.user', 'firstName lastName username');
+    
+    if (!order) {
+      logger.warn(`Orden de compra con ID ${orderId} no encontrada`);
+      return res.status(404).json({ message: 'Orden de compra no encontrada' });
+    }
+    
+    return res.status(200).json(order);
+  } catch (error) {
+    logger.error(`Error al obtener orden de compra: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener orden de compra', error: error.message });
+  }
+};
+
+/**
+ * Crear una orden de compra en borrador
+ */
+exports.createPurchaseOrder = async (req, res) => {
+  try {
+    logger.info(`Creando orden de compra para el proveedor ${req.body.supplier}`);
+    
+    if (!req.body.supplier) {
+      return res.status(400).json({ message: 'Se requiere el proveedor' });
+    }
+    
+    const result = await purchaseOrderUtil.createOrder(req.body, { userId: req.user.id });
+    
+    if (result.error) {
+      logger.warn(`Orden de compra rechazada: ${result.error}`);
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+    
+    logger.info(`Orden de compra creada: ${result.order.orderNumber}`);
+    return res.status(201).json(result.order);
+  } catch (error) {
+    logger.error(`Error al crear orden de compra: ${error.message}`);
+    return res.status(500).json({ message: 'Error al crear orden de compra', error: error.message });
+  }
+};
+
+/**
+ * Actualizar una orden de compra (solo en borrador)
+ */
+exports.updatePurchaseOrder = async (req, res) => {
+  try {
+    const orderId = req.params.id;
+    logger.info(`Actualizando orden de compra con ID: ${orderId}`);
+    
+    const order = await PurchaseOrder.findById(orderId);
+    if (!order) {
+      logger.warn(`Intento de actualizar orden de compra inexistente con ID: ${orderId}`);
+      return res.status(404).json({ message: 'Orden de compra no encontrada' });
+    }
+    
+    if (order.status !== 'borrador') {
+      return res.status(400).json({ message: `Solo se pueden modificar órdenes en borrador (estado actual: ${order.status})` });
+    }
+    
+    const { supplier: supplierId, items, expectedDate, notes } = req.body;
+    
+    const found = await purchaseOrderUtil.findActiveSupplier(supplierId || order.supplier);
+    if (found.error) {
+      return res.status(found.statusCode).json({ message: found.error });
+    }
+    
+    // Al cambiar de proveedor o de líneas se recalculan los costos
+    if (items !== undefined || supplierId) {
+      const built = await purchaseOrderUtil.buildItems(
+        items !== undefined ? items : order.items.map(item => ({ product: item.product, package: item.package, quantity: item.quantity })),
+        found.supplier
+      );
+      
+      if (built.error) {
+        logger.warn(`Líneas inválidas al actualizar orden de compra ${orderId}: ${built.error}`);
+        return res.status(built.statusCode).json({ message: built.error });
+      }
+      
+      order.items = built.items;
+      order.totalAmount = built.totalAmount;
+    }
+    
+    order.supplier = found.supplier._id;
+    order.supplierName = found.supplier.name;
+    
+    if (expectedDate !== undefined) {
+      order.expectedDate = expectedDate ? new Date(expectedDate) : undefined;
+    }
+    
+    if (notes !== undefined) {
+      order.notes = notes;
+    }
+    
+    await order.save();
+    
+    logger.info(`Orden de compra actualizada: ${order.orderNumber}`);
+    return res.status(200).json(order);
+  } catch (error) {
+    logger.error(`Error al actualizar orden de compra: ${error.message}`);
+    return res.status(500).json({ message: 'Error al actualizar orden de compra', error: error.message });
+  }
+};
+
+/**
+ * Marcar una orden de compra como enviada al proveedor
+ */
+exports.sendPurchaseOrder = async (req, res) => {
+  try {
+    const orderId = req.params.id;
+    logger.info(`Enviando orden de compra ${orderId}`);
+    
+    const order = await PurchaseOrder.findById(orderId).populate('supplier', 'name leadTimeDays');
+    if (!order) {
+      logger.warn(`Orden de compra con ID ${orderId} no encontrada`);
+      return res.status(404).json({ message: 'Orden de compra no encontrada' });
+    }
+    
+    const transition = purchaseOrderUtil.checkTransition(order.status, 'enviada', req.user);
+    if (transition.error) {
+      logger.warn(`Envío rechazado para orden de compra ${orderId}: ${transition.error}`);
+      return res.status(transition.statusCode).json({ message: transition.error });
+    }
+    
+    order.sentAt = new Date();
+    
+    // Sin fecha esperada se estima con el plazo de entrega del proveedor
+    if (!order.expectedDate && order.supplier) {
+      order.expectedDate = new Date(order.sentAt.getTime() + (order.supplier.leadTimeDays || 0) * 24 * 60 * 60 * 1000);
+    }
+    
+    purchaseOrderUtil.applyTransition(order, 'enviada', { userId: req.user.id, note: req.body.note || 'Orden enviada al proveedor' });
+    await order.save();
+    
+    logger.info(`Orden de compra ${order.orderNumber} enviada`);
+    return res.status(200).json(order);
+  } catch (error) {
+    logger.error(`Error al enviar orden de compra: ${error.message}`);
+    return res.status(500).json({ message: 'Error al enviar orden de compra', error: error.message });
+  }
+};
+
+/**
+ * Registrar la recepción (total o parcial) de una orden de compra
+ */
+exports.receivePurchaseOrder = async (req, res) => {
+  // El stock de todas las líneas y la orden se actualizan juntos
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    const orderId = req.params.id;
+    const { items, note } = req.body;
+    const costUpdate = req.body.costUpdate || process.env.PURCHASE_COST_UPDATE || 'none';
+    logger.info(`Recibiendo mercadería de la orden de compra ${orderId}`);
+    
+    const order = await PurchaseOrder.findById(orderId).session(session);
+    if (!order) {
+      logger.warn(`Orden de compra con ID ${orderId} no encontrada`);
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Orden de compra no encontrada' });
+    }
+    
+    const result = await purchaseOrderUtil.receive(order, items, { session, user: req.user, costUpdate, note });
+    
+    if (result.error) {
+      logger.warn(`Recepción rechazada para orden de compra ${orderId}: ${result.error}`);
+      await session.abortTransaction();
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+    
+    await session.commitTransaction();
+    
+    logger.info(`Recepción registrada para ${order.orderNumber}: ${result.received.length} productos, estado ${order.status}`);
+    return res.status(200).json({
+      message: order.status === 'recibida' ? 'Orden de compra recibida completamente' : 'Recepción parcial registrada',
+      order: result.order,
+      received: result.received
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error(`Error al recibir orden de compra: ${error.message}`);
+    return res.status(500).json({ message: 'Error al recibir orden de compra', error: error.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Cancelar una orden de compra (lo ya recibido se conserva en el inventario)
+ */
+exports.cancelPurchaseOrder = async (req, res) => {
+  try {
+    const orderId = req.params.id;
+    logger.info(`Cancelando orden de compra ${orderId}`);
+    
+    const order = await PurchaseOrder.findById(orderId);
+    if (!order) {
+      logger.warn(`Orden de compra con ID ${orderId} no encontrada`);
+      return res.status(404).json({ message: 'Orden de compra no encontrada' });
+    }
+    
+    const transition = purchaseOrderUtil.checkTransition(order.status, 'cancelada', req.user);
+    if (transition.error) {
+      logger.warn(`Cancelación rechazada para orden de compra ${orderId}: ${transition.error}`);
+      return res.status(transition.statusCode).json({ message: transition.error });
+    }
+    
+    order.cancelledAt = new Date();
+    purchaseOrderUtil.applyTransition(order, 'cancelada', { userId: req.user.id, note: req.body.reason || req.body.note });
+    await order.save();
+    
+    logger.info(`Orden de compra ${order.orderNumber} cancelada`);
+    return res.status(200).json(order);
+  } catch (error) {
+    logger.error(`Error al cancelar orden de compra: ${error.message}`);
+    return res.status(500).json({ message: 'Error al cancelar orden de compra', error: error.message });
+  }
+};
+
+/**
+ * Órdenes sugeridas a partir de los productos con bajo stock y agotados, por proveedor
+ */
+exports.getSuggestedOrders = async (req, res) => {
+  try {
+    logger.info('Calculando órdenes de compra sugeridas');
+    
+    const supplierIds = req.query.supplierId ? String(req.query.supplierId).split(',') : undefined;
+    const suggestions = await purchaseOrderUtil.suggestOrders({ supplierIds });
+    
+    logger.info(`Se sugieren ${suggestions.orders.length} órdenes de compra`);
+    return res.status(200).json({ generatedAt: new Date(), ...suggestions });
+  } catch (error) {
+    logger.error(`Error al calcular órdenes sugeridas: ${error.message}`);
+    return res.status(500).json({ message: 'Error al calcular órdenes sugeridas', error: error.message });
+  }
+};
+
+/**
+ * Crear en borrador las órdenes sugeridas (opcionalmente solo de algunos proveedores)
+ */
+exports.createSuggestedOrders = async (req, res) => {
+  try {
+    logger.info('Creando órdenes de compra sugeridas');
+    
+    const supplierIds = Array.isArray(req.body.suppliers) ? req.body.suppliers : undefined;
+    const suggestions = await purchaseOrderUtil.suggestOrders({ supplierIds });
+    
+    const created = [];
+    const failed = [];
+    
+    for (const suggestion of suggestions.orders) {
+      const result = await purchaseOrderUtil.createOrder({
+        supplier: suggestion.supplier._id,
+        items: suggestion.items.map(item => ({ product: item.product, quantity: item.quantity, unitCost: item.unitCost })),
+        expectedDate: suggestion.expectedDate
+      }, { userId: req.user.id, note: 'Orden generada desde la reposición sugerida' });
+      
+      if (result.error) {
+        logger.warn(`No se pudo crear la orden sugerida para ${suggestion.supplier.name}: ${result.error}`);
+        failed.push({ supplier: suggestion.supplier, error: result.error });
+      } else {
+        created.push(result.order);
+      }
+    }
+    
+    logger.info(`Órdenes sugeridas creadas: ${created.length}`);
+    return res.status(201).json({
+      created,
+      failed,
+      unassigned: suggestions.unassigned,
+      withoutQuantity: suggestions.withoutQuantity
+    });
+  } catch (error) {
+    logger.error(`Error al crear órdenes sugeridas: ${error.message}`);
+    return res.status(500).json({ message: 'Error al crear órdenes sugeridas', error: error.message });
+  }
+};
@@ -0,0 +1,281 @@
+const logger = require('../utils/logger');
+const RegisterSession = require('../models/registerSession.model');
+const registerSessionUtil = require('../utils/registerSession.util');
+const { roundAmount } = require('../utils/payment.util');
+
+/**
+ * Busca un turno y verifica que pertenezca al usuario (los administradores ven todos)
+ * @param {Object} req - Petición Express
+ * @returns {Promise<Object>} { registerSession } o { error, statusCode }
+ */
+async function findOwnSession(req) {
+  const registerSession = await RegisterSession.findById(req.params.id);
+  
+  if (!registerSession) {
+    logger.warn(`Turno de caja con ID ${req.params.id} no encontrado`);
+    return { error: 'Turno de caja no encontrado', statusCode: 404 };
+  }
+  
+  if (req.user && req.user.role !== 'admin' && registerSession.cashier.toString() !== req.user.id) {
+    logger.warn(`Usuario no autorizado (${req.user.username}) intentó acceder al turno ${registerSession._id}`);
+    return { error: 'No autorizado para acceder a este turno de caja', statusCode: 403 };
+  }
+  
+  return { registerSession };
+}
+
+/**
+ * Obtener los turnos de caja
+ */
+exports.getAllSessions = async (req, res) => {
+  try {
+    logger.info('Obteniendo turnos de caja');
+    
+    const filters = {};
+    
+    if (req.query.status) {
+      filters.status = req.query.status;
+    }
+    
+    if (req.query.register) {
+      filters.register = req.query.register;
+    }
+    
+    // Filtro por fechas de apertura
+    if (req.query.startDate) {
+      filters.openedAt = { ...filters.openedAt, $gte: new Date(req.query.startDate) };
+    }
+    
+    if (req.query.endDate) {
+      filters.openedAt = { ...filters.openedAt, $lte: new Date(req.query.endDate) };
+    }
+    
+    // Si no es admin, limitar a turnos del usuario
+    if (req.user && req.user.role !== 'admin') {
+      filters.cashier = req.user.id;
+    }
+    
+    const sessions = await RegisterSession.find(filters)
+      .populate('cashier', 'firstName lastName username')
+      .sort({ openedAt: -1 });
+    
+    logger.info(`Se encontraron ${sessions.length} turnos de caja`);
+    return res.status(200).json(sessions);
+  } catch (error) {
+    logger.error(`Error al obtener turnos de caja: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener turnos de caja', error: error.message });
+  }
+};
+
+/**
+ * Obtener el turno abierto del usuario autenticado con sus totales esperados
+ */
+exports.getCurrentSession = async (req, res) => {
+  try {
+    logger.info('Obteniendo turno de caja actual');
+    
+    const registerSession = await registerSessionUtil.findOpenSession(req.user ? req.user.id : null);
+    
+    if (!registerSession) {
+      return res.status(404).json({ message: 'No hay un turno de caja abierto' });
+    }
+    
+    const totals = await registerSessionUtil.computeExpected(registerSession);
+    return res.status(200).json({ ...registerSession.toObject(), ...totals });
+  } catch (error) {
+    logger.error(`Error al obtener turno de caja actual: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener turno de caja actual', error: error.message });
+  }
+};
+
+/**
+ * Obtener un turno de caja por ID
+ */
+exports.getSessionById = async (req, res) => {
+  try {
+    logger.info(`Buscando turno de caja con ID: ${req.params.id}`);
+    
+    const { registerSession, error, statusCode } = await findOwnSession(req);
+    if (error) {
+      return res.status(statusCode).json({ message: error });
+    }
+    
+    // Los turnos cerrados conservan el cuadre calculado al cerrar
+    if (registerSession.status === 'cerrada') {
+      return res.status(200).json(registerSession);
+    }
+    
+    const totals = await registerSessionUtil.computeExpected(registerSession);
+    return res.status(200).json({ ...registerSession.toObject(), ...totals });
+  } catch (error) {
+    logger.error(`Error al obtener turno de caja: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener turno de caja', error: error.message });
+  }
+};
+
+/**
+ * Abrir un turno de caja con un fondo inicial
+ */
+exports.openSession = async (req, res) => {
+  try {
+    const { register, openingFloat, notes } = req.body;
+    logger.info(`Abriendo turno en caja ${register}`);
+    
+    if (!req.user) {
+      logger.warn('Intento de abrir turno de caja sin usuario');
+      return res.status(400).json({ message: 'Se requiere un usuario autenticado para abrir un turno de caja' });
+    }
+    
+    if (!register || openingFloat === undefined || isNaN(Number(openingFloat)) || Number(openingFloat) < 0) {
+      logger.warn('Intento de abrir turno de caja con datos incompletos');
+      return res.status(400).json({ message: 'Se requiere la caja y un fondo inicial válido' });
+    }
+    
+    // Un cajero solo puede tener un turno abierto
+    const cashierSession = await registerSessionUtil.findOpenSession(req.user.id);
+    if (cashierSession) {
+      logger.warn(`El usuario ${req.user.username} ya tiene un turno abierto en ${cashierSession.register}`);
+      return res.status(400).json({ message: `Ya tiene un turno abierto en la caja ${cashierSession.register}` });
+    }
+    
+    // Una caja solo puede tener un turno abierto
+    const registerInUse = await RegisterSession.findOne({ register, status: 'abierta' });
+    if (registerInUse) {
+      logger.warn(`La caja ${register} ya tiene un turno abierto`);
+      return res.status(400).json({ message: `La caja ${register} ya tiene un turno abierto` });
+    }
+    
+    const registerSession = new RegisterSession({
+      register,
+      cashier: req.user.id,
+      openingFloat: roundAmount(Number(openingFloat)),
+      notes
+    });
+    await registerSession.save();
+    
+    logger.info(`Turno de caja abierto con ID: ${registerSession._id}`);
+    return res.status(201).json(registerSession);
+  } catch (error) {
+    // Otra apertura simultánea ganó la carrera por la caja o el cajero
+    if (error.code === 11000) {
+      logger.warn(`Apertura concurrente de turno rechazada: ${error.message}`);
+      return res.status(409).json({ message: 'La caja o el cajero ya tienen un turno abierto' });
+    }
+    
+    logger.error(`Error al abrir turno de caja: ${error.message}`);
+    return res.status(500).json({ message: 'Error al abrir turno de caja', error: error.message });
+  }
+};
+
+/**
+ * Registrar un ingreso o retiro de efectivo en el turno
+ */
+exports.addMovement = async (req, res) => {
+  try {
+    const { type, amount, reason } = req.body;
+    logger.info(`Registrando ${type} de efectivo en turno ${req.params.id}`);
+    
+    if (!['ingreso', 'retiro'].includes(type)) {
+      logger.warn(`Tipo de movimiento inválido: ${type}`);
+      return res.status(400).json({ message: 'Tipo inválido. Valores permitidos: ingreso, retiro' });
+    }
+    
+    if (!amount || isNaN(Number(amount)) || Number(amount) <= 0 || !reason) {
+      logger.warn('Intento de registrar movimiento de caja con datos incompletos');
+      return res.status(400).json({ message: 'Se requiere un monto válido y el motivo' });
+    }
+    
+    const { registerSession, error, statusCode } = await findOwnSession(req);
+    if (error) {
+      return res.status(statusCode).json({ message: error });
+    }
+    
+    if (registerSession.status !== 'abierta') {
+      logger.warn(`Intento de registrar movimiento en turno cerrado ${registerSession._id}`);
+      return res.status(400).json({ message: 'El turno de caja está cerrado' });
+    }
+    
+    registerSession.movements.push({
+      type,
+      amount: roundAmount(Number(amount)),
+      reason,
+      user: req.user ? req.user.id : undefined
+    });
+    await registerSession.save();
+    
+    logger.info(`Movimiento de caja registrado en turno ${registerSession._id}`);
+    return res.status(201).json(registerSession);
+  } catch (error) {
+    logger.error(`Error al registrar movimiento de caja: ${error.message}`);
+    return res.status(500).json({ message: 'Error al registrar movimiento de caja', error: error.message });
+  }
+};
+
+/**
+ * Cerrar un turno de caja con el conteo de efectivo por denominación
+ * y los montos contados de los demás métodos (vouchers, transferencias)
+ */
+exports.closeSession = async (req, res) => {
+  try {
+    const { denominations = [], counted = {}, notes } = req.body;
+    logger.info(`Cerrando turno de caja ${req.params.id}`);
+    
+    for (const denomination of denominations) {
+      if (!(Number(denomination.value) > 0) || !Number.isInteger(Number(denomination.count)) || Number(denomination.count) < 0) {
+        logger.warn('Conteo de denominaciones inválido');
+        return res.status(400).json({ message: 'Cada denominación requiere un valor positivo y una cantidad entera' });
+      }
+    }
+    
+    const { registerSession, error, statusCode } = await findOwnSession(req);
+    if (error) {
+      return res.status(statusCode).json({ message: error });
+    }
+    
+    if (registerSession.status !== 'abierta') {
+      logger.warn(`Intento de cerrar turno ya cerrado ${registerSession._id}`);
+      return res.status(400).json({ message: 'El turno de caja ya está cerrado' });
+    }
+    
+    const totals = await registerSessionUtil.computeExpected(registerSession);
+    const countedCash = roundAmount(denominations.reduce((sum, d) => sum + Number(d.value) * Number(d.count), 0));
+    
+    // Diferencia por método: positivo es sobrante, negativo es faltante
+    const summary = Object.entries(totals.expected).map(([method, expected]) => {
+      const countedAmount = method === 'efectivo'
+        ? countedCash
+        : (counted[method] !== undefined ? roundAmount(Number(counted[method])) : undefined);
+      
+      return {
+        method,
+        expected,
+        counted: countedAmount,
+        difference: countedAmount !== undefined ? roundAmount(countedAmount - expected) : undefined
+      };
+    });
+    
+    registerSession.status = 'cerrada';
+    registerSession.closedAt = new Date();
+    registerSession.closedBy = req.user ? req.user.id : undefined;
+    registerSession.countedDenominations = denominations.map(d => ({ value: Number(d.value), count: Number(d.count) }));
+    registerSession.countedCash = countedCash;
+    registerSession.summary = summary;
+    registerSession.totalDifference = roundAmount(summary.reduce((sum, s) => sum + (s.difference || 0), 0));
+    if (notes) {
+      registerSession.notes = notes;
+    }
+    await registerSession.save();
+    
+    logger.info(`Turno de caja ${registerSession._id} cerrado con diferencia ${registerSession.totalDifference}`);
+    return res.status(200).json({
+      message: 'Turno de caja cerrado',
+      registerSession,
+      salesCount: totals.salesCount,
+      salesTotal: totals.salesTotal,
+      refunds: totals.refunds
+    });
+  } catch (error) {
+    logger.error(`Error al cerrar turno de caja: ${error.message}`);
+    return res.status(500).json({ message: 'Error al cerrar turno de caja', error: error.message });
+  }
+};
@@ -1,8 +1,74 @@
 const logger = require('../utils/logger');
 const Sale = require('../models/sale.model');
-const Product = require('../models/product.model');
 const User = require('../models/user.model');
 const mongoose = require('mongoose');
+const paymentUtil = require('../utils/payment.util');
+const sequenceUtil = require('../utils/sequence.util');
+const saleUtil = require('../utils/sale.util');
+const receiptUtil = require('../utils/receipt.util');
+const registerSessionUtil = require('../utils/registerSession.util');
+const saleStatusUtil = require('../utils/saleStatus.util');
+const accountUtil = require('../utils/account.util');
+const analyticsUtil = require('../utils/analytics.util');
+const exportUtil = require('../utils/export.util');
+const listQuery = require('../utils/listQuery.util');
+const unitUtil = require('../utils/unit.util');
+const inventoryUtil = require('../utils/inventory.util');
+const lotUtil = require('../utils/lot.util');
+const Counter = require('../models/counter.model');
+
+/**
+ * Filtros de consulta de ventas compartidos por el listado y la exportación
+ * @param {Object} req - Petición (query y usuario autenticado)
+ * @returns {Object} Filtros de Mongo
+ */
+function buildSaleFilters(req) {
+  const filters = {};
+  
+  // Filtro por fechas
+  if (req.query.startDate) {
+    filters.createdAt = { ...filters.createdAt, $gte: new Date(req.query.startDate) };
+  }
+  
+  if (req.query.endDate) {
+    filters.createdAt = { ...filters.createdAt, $lte: new Date(req.query.endDate) };
+  }
+  
+  // Filtro por estado de pago
+  if (req.query.paymentStatus) {
+    filters.paymentStatus = req.query.paymentStatus;
+  }
+  
+  // Filtro por método de pago (incluye ventas con pagos divididos)
+  if (req.query.paymentMethod) {
+    filters.$or = [
+      { paymentMethod: req.query.paymentMethod },
+      { 'payments.method': req.query.paymentMethod }
+    ];
+  }
+  
+  // Filtro por cliente
+  if (req.query.customerId) {
+    filters.customer = req.query.customerId;
+  }
+  
+  // Filtro por vendedor
+  if (req.query.sellerId) {
+    filters.seller = req.query.sellerId;
+  }
+  
+  // Ventas sin conexión que dejaron stock negativo
+  if (req.query.stockConflicts === 'true') {
+    filters['stockConflicts.0'] = { $exists: true };
+  }
+  
+  // Si no es admin, limitar a ventas del usuario
+  if (req.user && req.user.role !== 'admin') {
+    filters.seller = req.user.id;
+  }
+  
+  return filters;
+}
 
 /**
  * Obtener todas las ventas
@@ -11,53 +77,143 @@ exports.getAllSales = async (req, res) => {
   try {
     logger.info('Obteniendo todas las ventas');
     
-    // Construir filtros
-    const filters = {};
-    
-    // Filtro por fechas
-    if (req.query.startDate) {
-      filters.createdAt = { ...filters.createdAt, $gte: new Date(req.query.startDate) };
-    }
+    const list = listQuery.parse(req.query, {
+      sortable: ['createdAt', 'saleNumber', 'sequenceNumber', 'totalAmount', 'paymentStatus'],
+      defaultSort: '-createdAt'
+    });
     
-    if (req.query.endDate) {
-      filters.createdAt = { ...filters.createdAt, $lte: new Date(req.query.endDate) };
+    if (list.error) {
+      logger.warn(`Parámetros de listado inválidos: ${list.error}`);
+      return res.status(400).json({ message: list.error });
     }
     
-    // Filtro por estado de pago
-    if (req.query.paymentStatus) {
-      filters.paymentStatus = req.query.paymentStatus;
-    }
+    const result = await listQuery.run(Sale, buildSaleFilters(req), list, query => query
+      .populate('customer', 'firstName lastName username')
+      .populate('seller', 'firstName lastName username'));
     
-    // Filtro por método de pago
-    if (req.query.paymentMethod) {
-      filters.paymentMethod = req.query.paymentMethod;
-    }
+    logger.info(`Se encontraron ${result.data.length} ventas`);
+    return listQuery.send(res, result, list);
+  } catch (error) {
+    logger.error(`Error al obtener ventas: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener ventas', error: error.message });
+  }
+};
+
+/**
+ * Nombre para mostrar de un usuario poblado
+ */
+function displayName(user) {
+  if (!user) {
+    return '';
+  }
+  
+  return [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username;
+}
+
+// Columnas de la exportación por venta ({ sale })
+const SALE_EXPORT_COLUMNS = [
+  { key: 'saleNumber', header: { es: 'Número', en: 'Number' }, value: r => r.sale.saleNumber },
+  { key: 'date', header: { es: 'Fecha', en: 'Date' }, value: r => exportUtil.formatDate(r.sale.createdAt) },
+  { key: 'register', header: { es: 'Caja', en: 'Register' }, value: r => r.sale.register },
+  { key: 'customer', header: { es: 'Cliente', en: 'Customer' }, value: r => displayName(r.sale.customer) },
+  { key: 'seller', header: { es: 'Vendedor', en: 'Seller' }, value: r => displayName(r.sale.seller) },
+  { key: 'paymentStatus', header: { es: 'Estado de pago', en: 'Payment status' }, value: r => r.sale.paymentStatus },
+  { key: 'paymentMethod', header: { es: 'Método de pago', en: 'Payment method' }, value: r => r.sale.paymentMethod },
+  { key: 'items', header: { es: 'Unidades', en: 'Units' }, value: r => unitUtil.countUnits(r.sale.items) },
+  { key: 'subtotal', header: { es: 'Subtotal', en: 'Subtotal' }, value: r => r.sale.subtotal },
+  { key: 'promotionDiscount', header: { es: 'Descuento promociones', en: 'Promotion discount' }, value: r => r.sale.promotionDiscount || 0 },
+  { key: 'tax', header: { es: 'Impuesto', en: 'Tax' }, value: r => r.sale.tax },
+  { key: 'totalAmount', header: { es: 'Total', en: 'Total' }, value: r => r.sale.totalAmount },
+  { key: 'refundedAmount', header: { es: 'Devuelto', en: 'Refunded' }, value: r => r.sale.refundedAmount || 0 },
+  { key: 'couponCode', header: { es: 'Cupón', en: 'Coupon' }, value: r => r.sale.couponCode },
+  { key: 'notes', header: { es: 'Notas', en: 'Notes' }, value: r => r.sale.notes }
+];
+
+// Columnas de la exportación por línea ({ sale, item })
+const ITEM_EXPORT_COLUMNS = [
+  ...SALE_EXPORT_COLUMNS.filter(c => ['saleNumber', 'date', 'register', 'customer', 'seller', 'paymentStatus'].includes(c.key)),
+  { key: 'productCode', header: { es: 'Código', en: 'Code' }, value: r => r.item.productCode },
+  { key: 'productName', header: { es: 'Producto', en: 'Product' }, value: r => r.item.productName },
+  { key: 'category', header: { es: 'Categoría', en: 'Category' }, value: r => r.item.category },
+  { key: 'quantity', header: { es: 'Cantidad', en: 'Quantity' }, value: r => r.item.quantity },
+  { key: 'unit', header: { es: 'Unidad', en: 'Unit' }, value: r => r.item.unit || unitUtil.DEFAULT_UNIT },
+  { key: 'package', header: { es: 'Empaque', en: 'Package' }, value: r => r.item.package },
+  { key: 'packageFactor', header: { es: 'Unidades por empaque', en: 'Units per package' }, value: r => r.item.packageFactor || 1 },
+  { key: 'returnedQuantity', header: { es: 'Cantidad devuelta', en: 'Returned quantity' }, value: r => r.item.returnedQuantity || 0 },
+  { key: 'unitPrice', header: { es: 'Precio unitario', en: 'Unit price' }, value: r => r.item.unitPrice },
+  { key: 'discount', header: { es: 'Descuento %', en: 'Discount %' }, value: r => r.item.discount || 0 },
+  { key: 'promotionDiscount', header: { es: 'Descuento promociones', en: 'Promotion discount' }, value: r => r.item.promotionDiscount || 0 },
+  { key: 'subtotal', header: { es: 'Subtotal', en: 'Subtotal' }, value: r => r.item.subtotal },
+  { key: 'taxRate', header: { es: 'Tarifa impuesto %', en: 'Tax rate %' }, value: r => r.item.taxRate || 0 },
+  { key: 'taxAmount', header: { es: 'Impuesto', en: 'Tax' }, value: r => r.item.taxAmount || 0 },
+  { key: 'total', header: { es: 'Total', en: 'Total' }, value: r => (r.item.total !== undefined ? r.item.total : r.item.subtotal) }
+];
+
+/**
+ * Exportar ventas a CSV o XLSX con los mismos filtros del listado.
+ * Se recorre un cursor para no cargar todas las ventas en memoria.
+ */
+exports.exportSales = async (req, res) => {
+  try {
+    const rowsPer = req.query.rows || 'sale';
+    logger.info(`Exportando ventas (${req.query.format || 'csv'}, una fila por ${rowsPer})`);
     
-    // Filtro por cliente
-    if (req.query.customerId) {
-      filters.customer = req.query.customerId;
+    const options = exportUtil.resolveOptions(req.query);
+    if (options.error) {
+      logger.warn(`Exportación de ventas inválida: ${options.error}`);
+      return res.status(400).json({ message: options.error });
     }
     
-    // Filtro por vendedor
-    if (req.query.sellerId) {
-      filters.seller = req.query.sellerId;
+    if (!['sale', 'item'].includes(rowsPer)) {
+      logger.warn(`Tipo de fila inválido en exportación de ventas: ${rowsPer}`);
+      return res.status(400).json({ message: `Tipo de fila inválido: ${rowsPer}. Valores permitidos: sale, item` });
     }
     
-    // Si no es admin, limitar a ventas del usuario
-    if (req.user && req.user.role !== 'admin') {
-      filters.seller = req.user.id;
+    const { columns, error } = exportUtil.resolveColumns(
+      rowsPer === 'item' ? ITEM_EXPORT_COLUMNS : SALE_EXPORT_COLUMNS,
+      req.query.columns
+    );
+    if (error) {
+      logger.warn(`Columnas inválidas en exportación de ventas: ${error}`);
+      return res.status(400).json({ message: error });
     }
     
-    const sales = await Sale.find(filters)
+    const cursor = Sale.find(buildSaleFilters(req))
       .populate('customer', 'firstName lastName username')
       .populate('seller', 'firstName lastName username')
-      .sort({ createdAt: -1 });
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+    
+    async function* rows() {
+      for await (const sale of cursor) {
+        if (rowsPer === 'item') {
+          for (const item of sale.items) {
+            yield { sale, item };
+          }
+        } else {
+          yield { sale };
+        }
+      }
+    }
     
-    logger.info(`Se encontraron ${sales.length} ventas`);
-    return res.status(200).json(sales);
+    await exportUtil.send(res, {
+      ...options,
+      columns,
+      rows: rows(),
+      filename: rowsPer === 'item' ? 'ventas-detalle' : 'ventas',
+      delimiter: req.query.delimiter === ';' ? ';' : ','
+    });
+    
+    logger.info('Exportación de ventas completada');
   } catch (error) {
-    logger.error(`Error al obtener ventas: ${error.message}`);
-    return res.status(500).json({ message: 'Error al obtener ventas', error: error.message });
+    logger.error(`Error al exportar ventas: ${error.message}`);
+    
+    // Si la descarga ya comenzó no se puede responder con JSON
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    return res.status(500).json({ message: 'Error al exportar ventas', error: error.message });
   }
 };
 
@@ -85,6 +241,88 @@ exports.getSaleById = async (req, res) => {
   }
 };
 
+/**
+ * Genera el ticket de una venta en el formato pedido
+ * @param {Object} req - Petición Express
+ * @param {Object} res - Respuesta Express
+ * @param {Boolean} print - true si se registra como impresión (incrementa el contador)
+ */
+async function sendReceipt(req, res, print) {
+  const saleId = req.params.id;
+  const format = req.query.format || 'text';
+  const paper = Number(req.query.paper) || 80;
+  logger.info(`Generando ticket (${format}, ${paper}mm) para venta ${saleId}`);
+  
+  if (!['text', 'escpos', 'pdf'].includes(format)) {
+    logger.warn(`Formato de ticket inválido: ${format}`);
+    return res.status(400).json({ message: 'Formato inválido. Valores permitidos: text, escpos, pdf' });
+  }
+  
+  if (!receiptUtil.PAPER_COLUMNS[paper]) {
+    logger.warn(`Ancho de papel inválido: ${paper}`);
+    return res.status(400).json({ message: 'Ancho de papel inválido. Valores permitidos: 58, 80' });
+  }
+  
+  // Al imprimir se incrementa el contador y se conserva el valor anterior para decidir si es reimpresión
+  const query = print
+    ? Sale.findByIdAndUpdate(saleId, { $inc: { receiptPrintCount: 1 }, lastPrintedAt: new Date() })
+    : Sale.findById(saleId);
+  
+  const sale = await query
+    .populate('customer', 'firstName lastName username')
+    .populate('seller', 'firstName lastName username');
+  
+  if (!sale) {
+    logger.warn(`Venta con ID ${saleId} no encontrada`);
+    return res.status(404).json({ message: 'Venta no encontrada' });
+  }
+  
+  // Toda impresión posterior a la primera se marca como reimpresión
+  const reprint = sale.receiptPrintCount > 0 || req.query.reprint === 'true';
+  
+  const lines = receiptUtil.buildLines(sale, { paper, reprint });
+  const fileName = `ticket-${sale.saleNumber}`;
+  
+  if (format === 'escpos') {
+    res.set('Content-Type', 'application/octet-stream');
+    res.set('Content-Disposition', `attachment; filename="${fileName}.bin"`);
+    return res.status(200).send(receiptUtil.renderEscPos(lines));
+  }
+  
+  if (format === 'pdf') {
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+    return res.status(200).send(receiptUtil.renderPdf(lines, paper));
+  }
+  
+  res.set('Content-Type', 'text/plain; charset=utf-8');
+  return res.status(200).send(receiptUtil.renderText(lines, paper));
+}
+
+/**
+ * Obtener el ticket de una venta en texto plano, ESC/POS o PDF (sin registrar impresión)
+ */
+exports.getSaleReceipt = async (req, res) => {
+  try {
+    return await sendReceipt(req, res, false);
+  } catch (error) {
+    logger.error(`Error al generar ticket: ${error.message}`);
+    return res.status(500).json({ message: 'Error al generar ticket', error: error.message });
+  }
+};
+
+/**
+ * Imprimir el ticket de una venta: registra la impresión y marca las siguientes como reimpresión
+ */
+exports.printSaleReceipt = async (req, res) => {
+  try {
+    return await sendReceipt(req, res, true);
+  } catch (error) {
+    logger.error(`Error al imprimir ticket: ${error.message}`);
+    return res.status(500).json({ message: 'Error al imprimir ticket', error: error.message });
+  }
+};
+
 /**
  * Crear una nueva venta
  */
@@ -97,92 +335,20 @@ exports.createSale = async (req, res) => {
     const saleData = req.body;
     logger.info('Creando nueva venta');
     
-    // Validar datos requeridos
-    if (!saleData.items || saleData.items.length === 0) {
-      logger.warn('Intento de crear venta sin items');
-      return res.status(400).json({ message: 'La venta debe tener al menos un item' });
-    }
+    const result = await saleUtil.registerSale(saleData, { session, sellerId: req.user.id });
     
-    if (!saleData.paymentMethod) {
-      logger.warn('Intento de crear venta sin método de pago');
-      return res.status(400).json({ message: 'El método de pago es requerido' });
+    if (result.error) {
+      await session.abortTransaction();
+      return res.status(result.statusCode).json({ message: result.error });
     }
     
-    // Generar número de venta único
-    const currentDate = new Date();
-    const year = currentDate.getFullYear();
-    
-    // Contar ventas existentes para generar secuencia
-    const salesCount = await Sale.countDocuments({}, { session });
-    const saleNumber = `V${year}-${(salesCount + 1).toString().padStart(3, '0')}`;
-    
-    // Preparar items y calcular total
-    let totalAmount = 0;
-    const processedItems = [];
-    
-    for (const item of saleData.items) {
-      // Verificar existencia del producto
-      const product = await Product.findById(item.product, null, { session });
-      
-      if (!product) {
-        logger.warn(`Producto con ID ${item.product} no encontrado`);
-        await session.abortTransaction();
-        return res.status(404).json({ message: `Producto con ID ${item.product} no encontrado` });
-      }
-      
-      // Verificar stock suficiente
-      if (product.stock < item.quantity) {
-        logger.warn(`Stock insuficiente para producto ${product.name}`);
-        await session.abortTransaction();
-        return res.status(400).json({ 
-          message: `Stock insuficiente para ${product.name}. Disponible: ${product.stock}, Solicitado: ${item.quantity}` 
-        });
-      }
-      
-      // Calcular subtotal
-      const discount = item.discount || product.discount || 0;
-      const subtotal = (item.quantity * product.price) * (1 - discount / 100);
-      
-      // Añadir item procesado
-      processedItems.push({
-        product: product._id,
-        productCode: product.code,
-        productName: product.name,
-        quantity: item.quantity,
-        unitPrice: product.price,
-        discount,
-        subtotal
-      });
-      
-      totalAmount += subtotal;
-      
-      // Actualizar stock del producto
-      product.stock -= item.quantity;
-      await product.save({ session });
-    }
-    
-    // Crear la venta
-    const newSale = new Sale({
-      saleNumber,
-      customer: saleData.customer,
-      items: processedItems,
-      totalAmount,
-      paymentMethod: saleData.paymentMethod,
-      paymentStatus: saleData.paymentStatus || 'pendiente',
-      seller: req.user.id,
-      notes: saleData.notes,
-      tax: saleData.tax || 0
-    });
-    
-    await newSale.save({ session });
-    
     // Confirmar la transacción
     await session.commitTransaction();
     
-    logger.info(`Venta creada con ID: ${newSale._id} y número ${saleNumber}`);
+    logger.info(`Venta creada con ID: ${result.sale._id} y número ${result.sale.saleNumber}`);
     
     // Obtener la venta completa con datos de cliente y vendedor
-    const completeSale = await Sale.findById(newSale._id)
+    const completeSale = await Sale.findById(result.sale._id)
       .populate('customer', 'firstName lastName username')
       .populate('seller', 'firstName lastName username');
     
@@ -199,13 +365,147 @@ exports.createSale = async (req, res) => {
   }
 };
 
+// Sincronización de ventas sin conexión
+const SYNC_MAX_BATCH = 100;
+const STOCK_POLICIES = ['reject', 'allow_negative'];
+// Tolerancia para relojes de terminal adelantados
+const SYNC_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Registra una venta sin conexión en su propia transacción.
+ * Resultados: aceptada, duplicada (ya sincronizada antes), rechazada (datos inválidos,
+ * no reintentar) o error (falla temporal, se puede reintentar).
+ */
+async function syncOfflineSale(entry, { sellerId, stockPolicy }) {
+  const clientId = entry && entry.clientId ? String(entry.clientId) : null;
+  
+  if (!clientId) {
+    return { clientId, status: 'rechazada', statusCode: 400, message: 'Cada venta requiere clientId' };
+  }
+  
+  const localCreatedAt = new Date(entry.localCreatedAt);
+  
+  if (!entry.localCreatedAt || isNaN(localCreatedAt.getTime()) || localCreatedAt.getTime() > Date.now() + SYNC_CLOCK_SKEW_MS) {
+    return { clientId, status: 'rechazada', statusCode: 400, message: 'localCreatedAt es requerido y no puede ser futuro' };
+  }
+  
+  // Reintento de una venta ya sincronizada
+  const existing = await Sale.findOne({ clientId }).select('saleNumber stockConflicts');
+  
+  if (existing) {
+    return { clientId, status: 'duplicada', saleId: existing._id, saleNumber: existing.saleNumber, stockConflicts: existing.stockConflicts };
+  }
+  
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    // La venta pertenece al turno que estaba abierto cuando ocurrió; si no hay, al turno actual
+    const registerSession = await registerSessionUtil.findSessionAt(sellerId, localCreatedAt, session) ||
+      await registerSessionUtil.findOpenSession(sellerId, session);
+    
+    const result = await saleUtil.registerSale(entry, {
+      session,
+      sellerId,
+      offline: {
+        clientId,
+        terminal: entry.terminal,
+        localCreatedAt,
+        registerSession,
+        allowNegativeStock: stockPolicy === 'allow_negative'
+      }
+    });
+    
+    if (result.error) {
+      await session.abortTransaction();
+      return { clientId, status: 'rechazada', statusCode: result.statusCode, message: result.error };
+    }
+    
+    await session.commitTransaction();
+    
+    return {
+      clientId,
+      status: 'aceptada',
+      saleId: result.sale._id,
+      saleNumber: result.sale.saleNumber,
+      stockConflicts: result.sale.stockConflicts
+    };
+  } catch (error) {
+    await session.abortTransaction();
+    
+    // Otro reintento de la misma venta se confirmó en paralelo
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.clientId) {
+      const duplicate = await Sale.findOne({ clientId }).select('saleNumber stockConflicts');
+      return { clientId, status: 'duplicada', saleId: duplicate._id, saleNumber: duplicate.saleNumber, stockConflicts: duplicate.stockConflicts };
+    }
+    
+    logger.error(`Error al sincronizar venta ${clientId}: ${error.message}`);
+    return { clientId, status: 'error', statusCode: 500, message: error.message };
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Sincronizar un lote de ventas registradas sin conexión en una terminal.
+ * Cada venta se procesa en su propia transacción y se deduplica por clientId,
+ * por lo que la terminal puede reenviar el lote completo sin riesgo.
+ */
+exports.syncOfflineSales = async (req, res) => {
+  try {
+    const { sales } = req.body;
+    const configuredPolicy = process.env.OFFLINE_STOCK_POLICY || 'reject';
+    const stockPolicy = req.body.stockPolicy || configuredPolicy;
+    logger.info(`Sincronizando lote de ventas sin conexión (usuario ${req.user.id})`);
+    
+    if (!Array.isArray(sales) || sales.length === 0) {
+      logger.warn('Intento de sincronizar un lote vacío');
+      return res.status(400).json({ message: 'Se requiere un arreglo sales con al menos una venta' });
+    }
+    
+    if (sales.length > SYNC_MAX_BATCH) {
+      logger.warn(`Lote de sincronización demasiado grande: ${sales.length}`);
+      return res.status(400).json({ message: `El lote no puede superar ${SYNC_MAX_BATCH} ventas` });
+    }
+    
+    if (!STOCK_POLICIES.includes(stockPolicy)) {
+      logger.warn(`Política de stock inválida: ${stockPolicy}`);
+      return res.status(400).json({
+        message: `Política de stock inválida: ${stockPolicy}. Valores permitidos: ${STOCK_POLICIES.join(', ')}`
+      });
+    }
+    
+    // La política la fija el servidor; solo un administrador puede cambiarla para un lote
+    if (stockPolicy !== configuredPolicy && req.user.role !== 'admin') {
+      logger.warn(`Usuario ${req.user.username} intentó sincronizar con la política de stock ${stockPolicy}`);
+      return res.status(403).json({ message: 'Solo un administrador puede cambiar la política de stock de la sincronización' });
+    }
+    
+    // En orden, para que el stock se descuente como ocurrió en la terminal
+    const results = [];
+    for (const entry of sales) {
+      results.push(await syncOfflineSale(entry, { sellerId: req.user.id, stockPolicy }));
+    }
+    
+    const summary = Object.fromEntries(
+      ['aceptada', 'duplicada', 'rechazada', 'error'].map(status => [status, results.filter(r => r.status === status).length])
+    );
+    
+    logger.info(`Lote sincronizado: ${summary.aceptada} aceptadas, ${summary.duplicada} duplicadas, ${summary.rechazada} rechazadas, ${summary.error} con error`);
+    return res.status(200).json({ stockPolicy, summary, results });
+  } catch (error) {
+    logger.error(`Error al sincronizar ventas: ${error.message}`);
+    return res.status(500).json({ message: 'Error al sincronizar ventas', error: error.message });
+  }
+};
+
 /**
  * Actualizar el estado de pago de una venta
  */
 exports.updatePaymentStatus = async (req, res) => {
   try {
     const saleId = req.params.id;
-    const { paymentStatus, paymentMethod } = req.body;
+    const { paymentStatus, paymentMethod, payments, note } = req.body;
     
     logger.info(`Actualizando estado de pago de venta ${saleId} a ${paymentStatus}`);
     
@@ -214,6 +514,12 @@ exports.updatePaymentStatus = async (req, res) => {
       return res.status(400).json({ message: 'Se requiere el estado de pago' });
     }
     
+    // La cancelación debe pasar por su ruta para restaurar el stock
+    if (paymentStatus === 'cancelado') {
+      logger.warn(`Intento de cancelar la venta ${saleId} desde la ruta de estado de pago`);
+      return res.status(400).json({ message: 'Para cancelar una venta use POST /api/sales/:id/cancel' });
+    }
+    
     const sale = await Sale.findById(saleId);
     
     if (!sale) {
@@ -221,20 +527,55 @@ exports.updatePaymentStatus = async (req, res) => {
       return res.status(404).json({ message: 'Venta no encontrada' });
     }
     
-    // Validar que la venta no esté cancelada
-    if (sale.paymentStatus === 'cancelado') {
-      logger.warn(`Intento de actualizar estado de pago de una venta cancelada`);
-      return res.status(400).json({ message: 'No se puede modificar una venta cancelada' });
+    // Validar la transición contra la máquina de estados
+    const transition = saleStatusUtil.checkTransition(sale.paymentStatus, paymentStatus, req.user);
+    if (transition.error) {
+      logger.warn(`Transición de estado rechazada para venta ${saleId}: ${transition.error}`);
+      return res.status(transition.statusCode).json({ message: transition.error });
     }
     
-    // Actualizar estado de pago
-    sale.paymentStatus = paymentStatus;
+    // Las ventas a crédito se cobran con abonos a la cuenta del cliente
+    if (sale.dueDate) {
+      logger.warn(`Intento de completar la venta a crédito ${saleId} desde la ruta de estado de pago`);
+      return res.status(400).json({ message: 'Las ventas a crédito se cobran con POST /api/users/:id/account/payments' });
+    }
     
-    // Actualizar método de pago si se proporciona
-    if (paymentMethod) {
-      sale.paymentMethod = paymentMethod;
+    // Al completar, registrar el cobro del saldo pendiente
+    if (paymentStatus === 'completado') {
+      const paid = sale.payments.reduce((sum, p) => sum + p.amount, 0);
+      const balance = paymentUtil.roundAmount(sale.totalAmount - paid);
+      
+      if (balance > 0) {
+        const method = paymentMethod || (sale.paymentMethod !== 'mixto' ? sale.paymentMethod : null);
+        const paymentResult = paymentUtil.buildPayments(
+          payments && payments.length > 0 ? { payments } : { paymentMethod: method, paymentStatus: 'completado' },
+          balance
+        );
+        
+        if (paymentResult.error) {
+          logger.warn(`Pagos inválidos al completar venta ${saleId}: ${paymentResult.error}`);
+          return res.status(400).json({ message: paymentResult.error });
+        }
+        
+        if (paymentResult.paymentStatus !== 'completado') {
+          logger.warn(`Los pagos no cubren el saldo de la venta ${saleId}`);
+          return res.status(400).json({ message: `Los pagos no cubren el saldo pendiente de ${balance}` });
+        }
+        
+        // El cobro pertenece al turno de caja de quien lo recibe
+        const registerSession = await registerSessionUtil.findOpenSession(req.user ? req.user.id : null);
+        for (const payment of paymentResult.payments) {
+          payment.registerSession = registerSession ? registerSession._id : undefined;
+        }
+        
+        sale.payments.push(...paymentResult.payments);
+        
+        const methods = [...new Set(sale.payments.map(p => p.method))];
+        sale.paymentMethod = methods.length > 1 ? 'mixto' : methods[0];
+      }
     }
     
+    saleStatusUtil.applyTransition(sale, paymentStatus, { userId: req.user ? req.user.id : undefined, note });
     await sale.save();
     
     logger.info(`Estado de pago actualizado para venta ${saleId}`);
@@ -272,21 +613,69 @@ exports.cancelSale = async (req, res) => {
       return res.status(400).json({ message: 'La venta ya está cancelada' });
     }
     
-    // Devolver stock a productos
+    // Validar la transición contra la máquina de estados
+    const transition = saleStatusUtil.checkTransition(sale.paymentStatus, 'cancelado', req.user);
+    if (transition.error) {
+      logger.warn(`Cancelación rechazada para venta ${saleId}: ${transition.error}`);
+      await session.abortTransaction();
+      return res.status(transition.statusCode).json({ message: transition.error });
+    }
+    
+    // Devolver stock a productos (sin contar lo ya devuelto en devoluciones parciales)
     for (const item of sale.items) {
-      const product = await Product.findById(item.product).session(session);
+      const quantityUnit = item.package ? unitUtil.DEFAULT_UNIT : item.unit;
+      const pending = unitUtil.roundQuantity(item.quantity - (item.returnedQuantity || 0), quantityUnit);
+      if (pending <= 0) {
+        continue;
+      }
       
-      if (product) {
-        product.stock += item.quantity;
-        await product.save({ session });
-        logger.info(`Stock actualizado para producto ${item.productName}: +${item.quantity}`);
-      } else {
+      // Los empaques vuelven al stock en unidades base
+      const quantity = unitUtil.toBaseQuantity(pending, item.packageFactor, item.unit);
+      
+      // Lo que salió de lotes vuelve a los mismos lotes
+      const lots = await lotUtil.restore(item.lots, quantity, { session, productId: item.product, unit: item.unit });
+      
+      const movement = await inventoryUtil.applyMovement({
+        product: item.product,
+        quantity,
+        lots,
+        type: 'cancelacion',
+        user: req.user ? req.user.id : undefined,
+        referenceModel: 'Sale',
+        reference: sale._id,
+        referenceNumber: sale.saleNumber,
+        reason: req.body.reason || req.body.note
+      }, { session });
+      
+      if (movement.error) {
         logger.warn(`No se encontró el producto ${item.product} para restaurar stock`);
+      } else {
+        logger.info(`Stock actualizado para producto ${item.productName}: +${quantity}`);
+      }
+    }
+    
+    // Acreditar a la cuenta del cliente el saldo que quedaba pendiente
+    if (sale.dueDate && sale.paymentStatus === 'pendiente') {
+      const balance = accountUtil.outstanding(sale);
+      
+      if (balance > 0) {
+        await accountUtil.postCredit({
+          customer: sale.customer,
+          type: 'ajuste',
+          amount: balance,
+          sale: sale._id,
+          user: req.user ? req.user.id : undefined,
+          notes: `Cancelación de venta ${sale.saleNumber}`
+        }, session);
+        logger.info(`Saldo de ${balance} acreditado al cliente ${sale.customer} por cancelación`);
       }
     }
     
     // Marcar venta como cancelada
-    sale.paymentStatus = 'cancelado';
+    saleStatusUtil.applyTransition(sale, 'cancelado', {
+      userId: req.user ? req.user.id : undefined,
+      note: req.body.reason || req.body.note
+    });
     await sale.save({ session });
     
     // Confirmar transacción
@@ -306,6 +695,395 @@ exports.cancelSale = async (req, res) => {
   }
 };
 
+/**
+ * Registrar una devolución parcial de items de una venta
+ */
+exports.createReturn = async (req, res) => {
+  // Usar una transacción para garantizar integridad de datos
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    const saleId = req.params.id;
+    const { items, reason, refundMethod, notes } = req.body;
+    logger.info(`Registrando devolución para venta con ID: ${saleId}`);
+    
+    // Validar datos requeridos
+    if (!items || items.length === 0) {
+      logger.warn('Intento de registrar devolución sin items');
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'La devolución debe tener al menos un item' });
+    }
+    
+    if (!reason) {
+      logger.warn('Intento de registrar devolución sin motivo');
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'El motivo de la devolución es requerido' });
+    }
+    
+    if (!refundMethod) {
+      logger.warn('Intento de registrar devolución sin método de reembolso');
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'El método de reembolso es requerido' });
+    }
+    
+    const sale = await Sale.findById(saleId).session(session);
+    
+    if (!sale) {
+      logger.warn(`Venta con ID ${saleId} no encontrada`);
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Venta no encontrada' });
+    }
+    
+    // No se puede devolver sobre una venta cancelada
+    if (sale.paymentStatus === 'cancelado') {
+      logger.warn(`Intento de registrar devolución sobre una venta cancelada`);
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'No se puede registrar una devolución sobre una venta cancelada' });
+    }
+    
+    let totalRefund = 0;
+    const returnItems = [];
+    
+    for (const item of items) {
+      // La línea se identifica por su ID dentro de la venta o por el ID del producto
+      // (solo si el producto aparece en una única línea, p. ej. no vendido también en empaque)
+      let saleItem;
+      if (item.itemId) {
+        saleItem = sale.items.id(item.itemId);
+      } else {
+        const matches = sale.items.filter(i => i.product.toString() === String(item.product));
+        
+        if (matches.length > 1) {
+          logger.warn(`Producto ${item.product} en varias líneas de la venta ${saleId}`);
+          await session.abortTransaction();
+          return res.status(400).json({ message: `El producto ${item.product} aparece en varias líneas de la venta; indique itemId` });
+        }
+        saleItem = matches[0];
+      }
+      
+      if (!saleItem) {
+        logger.warn(`Item ${item.itemId || item.product} no encontrado en la venta ${saleId}`);
+        await session.abortTransaction();
+        return res.status(404).json({ message: `El item ${item.itemId || item.product} no pertenece a la venta` });
+      }
+      
+      // Los productos a granel admiten devoluciones parciales en decimales; los empaques
+      // se devuelven enteros
+      const quantityUnit = saleItem.package ? unitUtil.DEFAULT_UNIT : saleItem.unit;
+      const parsed = unitUtil.parseQuantity(item.quantity, quantityUnit);
+      if (parsed.error) {
+        logger.warn(`Cantidad de devolución inválida: ${item.quantity}`);
+        await session.abortTransaction();
+        return res.status(400).json({ message: `Cantidad inválida para ${saleItem.productName}: ${parsed.error}` });
+      }
+      const quantity = parsed.quantity;
+      
+      // Verificar que no se devuelva más de lo vendido
+      const returnable = unitUtil.roundQuantity(saleItem.quantity - (saleItem.returnedQuantity || 0), quantityUnit);
+      if (quantity > returnable) {
+        logger.warn(`Devolución excede lo vendido para ${saleItem.productName}`);
+        await session.abortTransaction();
+        return res.status(400).json({ 
+          message: `No se puede devolver más de lo vendido para ${saleItem.productName}. Disponible para devolución: ${returnable}, Solicitado: ${quantity}` 
+        });
+      }
+      
+      // El reembolso respeta el precio efectivamente cobrado (con descuento e impuesto),
+      // redondeado al centavo y sin superar lo que queda por reembolsar de la línea; la
+      // última devolución de la línea reembolsa exactamente el resto
+      const lineTotal = saleItem.total !== undefined ? saleItem.total : saleItem.subtotal;
+      const alreadyRefunded = [...sale.returns.flatMap(r => r.items), ...returnItems]
+        .filter(i => i.saleItem && i.saleItem.toString() === saleItem._id.toString())
+        .reduce((sum, i) => sum + (i.refundAmount || 0), 0);
+      const remainingLine = paymentUtil.roundAmount(Math.max(lineTotal - alreadyRefunded, 0));
+      const unitRefund = paymentUtil.roundAmount(lineTotal / saleItem.quantity);
+      const refundAmount = quantity === returnable
+        ? remainingLine
+        : Math.min(paymentUtil.roundAmount(lineTotal * quantity / saleItem.quantity), remainingLine);
+      
+      returnItems.push({
+        saleItem: saleItem._id,
+        product: saleItem.product,
+        productCode: saleItem.productCode,
+        productName: saleItem.productName,
+        quantity,
+        unitRefund,
+        refundAmount
+      });
+      
+      saleItem.returnedQuantity = unitUtil.roundQuantity((saleItem.returnedQuantity || 0) + quantity, quantityUnit);
+      totalRefund = paymentUtil.roundAmount(totalRefund + refundAmount);
+      
+      // Devolver al stock (y a sus lotes) solo la cantidad devuelta, en unidades base
+      const baseQuantity = unitUtil.toBaseQuantity(quantity, saleItem.packageFactor, saleItem.unit);
+      const lots = await lotUtil.restore(saleItem.lots, baseQuantity, { session, productId: saleItem.product, unit: saleItem.unit });
+      
+      const movement = await inventoryUtil.applyMovement({
+        product: saleItem.product,
+        quantity: baseQuantity,
+        lots,
+        type: 'devolucion',
+        user: req.user ? req.user.id : undefined,
+        referenceModel: 'Sale',
+        reference: sale._id,
+        referenceNumber: sale.saleNumber,
+        reason
+      }, { session });
+      
+      if (movement.error) {
+        logger.warn(`No se encontró el producto ${saleItem.product} para restaurar stock`);
+      } else {
+        logger.info(`Stock actualizado para producto ${saleItem.productName}: +${baseQuantity}`);
+      }
+    }
+    
+    // Una venta a crédito impaga no recibió dinero: la devolución solo puede descontarse de la cuenta
+    const pendingCredit = Boolean(sale.dueDate) && sale.paymentStatus === 'pendiente';
+    if (pendingCredit && refundMethod !== 'cuenta_cliente') {
+      logger.warn(`Intento de reembolsar con ${refundMethod} una venta a crédito pendiente (${saleId})`);
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Las devoluciones de una venta a crédito pendiente se acreditan a la cuenta del cliente (refundMethod: cuenta_cliente)' });
+    }
+    
+    // Los reembolsos en dinero no pueden superar lo efectivamente cobrado en la venta
+    if (refundMethod !== 'cuenta_cliente') {
+      const paid = (sale.payments || []).reduce((sum, p) => sum + p.amount, 0);
+      const refunded = sale.returns
+        .filter(r => r.refundMethod !== 'cuenta_cliente')
+        .reduce((sum, r) => sum + r.totalRefund, 0);
+      const refundable = paymentUtil.roundAmount(paid - refunded);
+      
+      if (totalRefund > refundable) {
+        logger.warn(`Reembolso de ${totalRefund} excede lo cobrado en la venta ${saleId}`);
+        await session.abortTransaction();
+        return res.status(400).json({ message: `El reembolso excede lo cobrado en la venta. Disponible para reembolso: ${Math.max(refundable, 0)}` });
+      }
+    }
+    
+    // El reembolso sale de la caja del turno abierto de quien lo procesa
+    const registerSession = await registerSessionUtil.findOpenSession(req.user ? req.user.id : null, session);
+    
+    if (refundMethod === 'efectivo' && !registerSession) {
+      logger.warn(`Intento de reembolsar en efectivo sin turno de caja abierto (venta ${saleId})`);
+      await session.abortTransaction();
+      return res.status(409).json({ message: 'El cajero no tiene un turno de caja abierto' });
+    }
+    
+    sale.returns.push({
+      items: returnItems,
+      reason,
+      refundMethod,
+      totalRefund,
+      processedBy: req.user ? req.user.id : undefined,
+      registerSession: registerSession ? registerSession._id : undefined,
+      notes
+    });
+    sale.refundedAmount = paymentUtil.roundAmount((sale.refundedAmount || 0) + totalRefund);
+    
+    // Devolución sobre una venta a crédito impaga: se descuenta del saldo de la cuenta
+    if (refundMethod === 'cuenta_cliente') {
+      if (!sale.dueDate || sale.paymentStatus !== 'pendiente') {
+        logger.warn(`Intento de acreditar a cuenta una devolución de la venta ${saleId} que no es a crédito pendiente`);
+        await session.abortTransaction();
+        return res.status(400).json({ message: 'Solo se puede acreditar a la cuenta del cliente una venta a crédito pendiente' });
+      }
+      
+      const balance = accountUtil.outstanding(sale);
+      if (balance < 0) {
+        logger.warn(`Devolución a cuenta excede el saldo pendiente de la venta ${saleId}`);
+        await session.abortTransaction();
+        return res.status(400).json({ message: `La devolución excede el saldo pendiente de la venta. Pendiente: ${paymentUtil.roundAmount(balance + totalRefund)}` });
+      }
+      
+      await accountUtil.postCredit({
+        customer: sale.customer,
+        type: 'ajuste',
+        amount: totalRefund,
+        sale: sale._id,
+        user: req.user ? req.user.id : undefined,
+        notes: `Devolución de venta ${sale.saleNumber}`
+      }, session);
+      
+      if (balance === 0) {
+        saleStatusUtil.applyTransition(sale, 'completado', {
+          userId: req.user ? req.user.id : undefined,
+          note: 'Saldo cubierto por devolución'
+        });
+      }
+    }
+    
+    await sale.save({ session });
+    
+    // Confirmar transacción
+    await session.commitTransaction();
+    
+    logger.info(`Devolución registrada para venta ${saleId} por ${totalRefund}`);
+    return res.status(201).json({ 
+      message: 'Devolución registrada exitosamente', 
+      return: sale.returns[sale.returns.length - 1],
+      sale 
+    });
+  } catch (error) {
+    // Revertir cambios en caso de error
+    await session.abortTransaction();
+    
+    logger.error(`Error al registrar devolución: ${error.message}`);
+    return res.status(500).json({ message: 'Error al registrar devolución', error: error.message });
+  } finally {
+    // Finalizar sesión
+    session.endSession();
+  }
+};
+
+/**
+ * Obtener las devoluciones de una venta
+ */
+exports.getSaleReturns = async (req, res) => {
+  try {
+    const saleId = req.params.id;
+    logger.info(`Obteniendo devoluciones de la venta ${saleId}`);
+    
+    const sale = await Sale.findById(saleId)
+      .select('saleNumber totalAmount refundedAmount returns')
+      .populate('returns.processedBy', 'firstName lastName username');
+    
+    if (!sale) {
+      logger.warn(`Venta con ID ${saleId} no encontrada`);
+      return res.status(404).json({ message: 'Venta no encontrada' });
+    }
+    
+    return res.status(200).json({
+      saleNumber: sale.saleNumber,
+      totalAmount: sale.totalAmount,
+      refundedAmount: sale.refundedAmount,
+      netAmount: sale.totalAmount - sale.refundedAmount,
+      returns: sale.returns
+    });
+  } catch (error) {
+    logger.error(`Error al obtener devoluciones: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener devoluciones', error: error.message });
+  }
+};
+
+// Máximo de números faltantes listados por serie
+const MAX_MISSING_LISTED = 100;
+
+/**
+ * Obtener el estado de las series de numeración de ventas
+ * Incluye último y siguiente número, y los números faltantes para control de huecos
+ */
+exports.getSaleSequences = async (req, res) => {
+  try {
+    logger.info('Obteniendo series de numeración de ventas');
+    
+    const filters = { name: 'sale' };
+    
+    if (req.query.year) {
+      filters.year = Number(req.query.year);
+    }
+    
+    if (req.query.register) {
+      filters.register = req.query.register;
+    }
+    
+    const counters = await Counter.find(filters).sort({ year: -1, register: 1 });
+    
+    const sequences = [];
+    for (const counter of counters) {
+      // Números efectivamente usados por ventas de la serie (distintos y dentro del contador)
+      const usedStages = [
+        { $match: { sequenceKey: counter.key, sequenceNumber: { $gte: 1, $lte: counter.seq } } },
+        { $group: { _id: '$sequenceNumber' } }
+      ];
+      
+      const [used] = await Sale.aggregate([
+        ...usedStages,
+        { $group: { _id: null, count: { $sum: 1 }, last: { $max: '$_id' } } }
+      ]);
+      const issuedCount = used ? used.count : 0;
+      const last = used ? used.last : 0;
+      
+      // Huecos entre números consecutivos usados; se listan hasta MAX_MISSING_LISTED números
+      const gaps = await Sale.aggregate([
+        ...usedStages,
+        {
+          $setWindowFields: {
+            sortBy: { _id: 1 },
+            output: { previous: { $shift: { output: '$_id', by: -1, default: 0 } } }
+          }
+        },
+        { $match: { $expr: { $gt: [{ $subtract: ['$_id', '$previous'] }, 1] } } },
+        { $sort: { _id: 1 } },
+        { $limit: MAX_MISSING_LISTED },
+        { $project: { from: { $add: ['$previous', 1] }, to: { $subtract: ['$_id', 1] } } }
+      ]);
+      
+      // Los números emitidos después de la última venta registrada también faltan
+      if (last < counter.seq) {
+        gaps.push({ from: last + 1, to: counter.seq });
+      }
+      
+      const missing = [];
+      for (const gap of gaps) {
+        for (let n = gap.from; n <= gap.to && missing.length < MAX_MISSING_LISTED; n++) {
+          missing.push(n);
+        }
+      }
+      
+      sequences.push({
+        ...sequenceUtil.describe(counter),
+        issuedCount,
+        missingCount: counter.seq - issuedCount,
+        missing
+      });
+    }
+    
+    return res.status(200).json(sequences);
+  } catch (error) {
+    logger.error(`Error al obtener series de numeración: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener series de numeración', error: error.message });
+  }
+};
+
+/**
+ * Actualizar el prefijo o el relleno de una serie de numeración
+ */
+exports.updateSaleSequence = async (req, res) => {
+  try {
+    const counterId = req.params.id;
+    const { prefix, padding } = req.body;
+    logger.info(`Actualizando serie de numeración ${counterId}`);
+    
+    const update = {};
+    
+    if (prefix !== undefined) {
+      update.prefix = prefix;
+    }
+    
+    if (padding !== undefined) {
+      if (!Number.isInteger(Number(padding)) || Number(padding) < 1) {
+        logger.warn(`Relleno inválido para serie: ${padding}`);
+        return res.status(400).json({ message: 'El relleno debe ser un entero positivo' });
+      }
+      update.padding = Number(padding);
+    }
+    
+    const counter = await Counter.findByIdAndUpdate(counterId, update, { new: true, runValidators: true });
+    
+    if (!counter) {
+      logger.warn(`Serie de numeración ${counterId} no encontrada`);
+      return res.status(404).json({ message: 'Serie de numeración no encontrada' });
+    }
+    
+    logger.info(`Serie ${counter.key} actualizada`);
+    return res.status(200).json(sequenceUtil.describe(counter));
+  } catch (error) {
+    logger.error(`Error al actualizar serie de numeración: ${error.message}`);
+    return res.status(500).json({ message: 'Error al actualizar serie de numeración', error: error.message });
+  }
+};
+
 /**
  * Obtener estadísticas de ventas
  */
@@ -336,14 +1114,28 @@ exports.getSalesStats = async (req, res) => {
     // Monto total vendido
     const totalAmountResult = await Sale.aggregate([
       { $match: filters },
-      { $group: { _id: null, total: { $sum: '$totalAmount' } } }
+      { $group: { _id: null, total: { $sum: '$totalAmount' }, refunded: { $sum: '$refundedAmount' } } }
     ]);
     const totalAmount = totalAmountResult.length > 0 ? totalAmountResult[0].total : 0;
+    const totalRefunded = totalAmountResult.length > 0 ? totalAmountResult[0].refunded : 0;
     
-    // Ventas por método de pago
+    // Ingresos por método de pago según los montos de cada pago
+    // (las ventas sin pagos registrados se cuentan por su método y total)
     const paymentMethodStats = await Sale.aggregate([
       { $match: filters },
-      { $group: { _id: '$paymentMethod', count: { $sum: 1 }, total: { $sum: '$totalAmount' } } },
+      {
+        $project: {
+          payments: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$payments', []] } }, 0] },
+              '$payments',
+              [{ method: '$paymentMethod', amount: '$totalAmount' }]
+            ]
+          }
+        }
+      },
+      { $unwind: '$payments' },
+      { $group: { _id: '$payments.method', count: { $sum: 1 }, total: { $sum: '$payments.amount' } } },
       { $sort: { total: -1 } }
     ]);
     
@@ -360,7 +1152,9 @@ exports.getSalesStats = async (req, res) => {
       {
         $group: {
           _id: { productId: '$items.product', productName: '$items.productName' },
-          totalQuantity: { $sum: '$items.quantity' },
+          unit: { $first: { $ifNull: ['$items.unit', unitUtil.DEFAULT_UNIT] } },
+          // Los empaques se cuentan en unidades base
+          totalQuantity: { $sum: { $multiply: ['$items.quantity', { $ifNull: ['$items.packageFactor', 1] }] } },
           totalAmount: { $sum: '$items.subtotal' }
         }
       },
@@ -368,15 +1162,46 @@ exports.getSalesStats = async (req, res) => {
       { $limit: 5 }
     ]);
     
-    // Ventas por día
+    // Totales por tarifa de impuesto (netos de devoluciones) para declaraciones
+    const taxBreakdown = await Sale.aggregate([
+      { $match: filters },
+      { $unwind: '$items' },
+      {
+        $project: {
+          code: '$items.taxCode',
+          rate: { $ifNull: ['$items.taxRate', 0] },
+          base: { $ifNull: ['$items.taxableBase', '$items.subtotal'] },
+          tax: { $ifNull: ['$items.taxAmount', 0] },
+          // Fracción de la línea que no fue devuelta
+          keptRatio: {
+            $divide: [
+              { $subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }] },
+              '$items.quantity'
+            ]
+          }
+        }
+      },
+      {
+        $group: {
+          _id: '$rate',
+          codes: { $addToSet: '$code' },
+          taxableBase: { $sum: { $multiply: ['$base', '$keptRatio'] } },
+          taxAmount: { $sum: { $multiply: ['$tax', '$keptRatio'] } }
+        }
+      },
+      { $sort: { _id: -1 } }
+    ]);
+    
+    // Ventas por día, según el calendario local de la tienda
+    const timezone = analyticsUtil.resolveTimezone() || 'UTC';
     const salesByDay = await Sale.aggregate([
       { $match: filters },
       {
         $group: {
           _id: {
-            year: { $year: '$createdAt' },
-            month: { $month: '$createdAt' },
-            day: { $dayOfMonth: '$createdAt' }
+            year: { $year: { date: '$createdAt', timezone } },
+            month: { $month: { date: '$createdAt', timezone } },
+            day: { $dayOfMonth: { date: '$createdAt', timezone } }
           },
           count: { $sum: 1 },
           total: { $sum: '$totalAmount' }
@@ -399,7 +1224,10 @@ exports.getSalesStats = async (req, res) => {
       summary: {
         totalSales,
         totalRevenue: totalAmount,
-        averageSaleAmount: totalSales > 0 ? totalAmount / totalSales : 0
+        averageSaleAmount: totalSales > 0 ? totalAmount / totalSales : 0,
+        // Devoluciones parciales descontadas del total vendido
+        totalRefunded,
+        netRevenue: totalAmount - totalRefunded
       },
       paymentMethods: paymentMethodStats,
       paymentStatus: paymentStatusStats,
@@ -407,9 +1235,16 @@ exports.getSalesStats = async (req, res) => {
       topProducts: topProducts.map(p => ({
         productId: p._id.productId,
         productName: p._id.productName,
-        quantity: p.totalQuantity,
+        quantity: unitUtil.roundQuantity(p.totalQuantity, p.unit),
+        unit: p.unit,
         totalSold: p.totalAmount  // Frontend espera totalSold, no totalAmount
       })),
+      taxBreakdown: taxBreakdown.map(t => ({
+        rate: t._id,
+        codes: t.codes.filter(Boolean),
+        taxableBase: paymentUtil.roundAmount(t.taxableBase),
+        taxAmount: paymentUtil.roundAmount(t.taxAmount)
+      })),
       salesByDay: formattedSalesByDay
     };
     
@@ -0,0 +1,141 @@
+const logger = require('../utils/logger');
+const mongoose = require('mongoose');
+const StockAlert = require('../models/stockAlert.model');
+const listQuery = require('../utils/listQuery.util');
+const stockAlertUtil = require('../utils/stockAlert.util');
+
+/**
+ * Obtener alertas de stock
+ * Por defecto solo las abiertas; since devuelve las creadas o modificadas desde esa fecha
+ * para que los tableros consulten solo los cambios.
+ */
+exports.getAllAlerts = async (req, res) => {
+  try {
+    logger.info('Obteniendo alertas de stock');
+    
+    const filters = {};
+    
+    if (req.query.status) {
+      const statuses = String(req.query.status).split(',').map(s => s.trim());
+      const invalid = statuses.filter(s => !stockAlertUtil.ALERT_STATUSES.includes(s));
+      
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          message: `Estado de alerta inválido: ${invalid.join(', ')}. Permitidos: ${stockAlertUtil.ALERT_STATUSES.join(', ')}`
+        });
+      }
+      
+      filters.status = { $in: statuses };
+    } else {
+      filters.open = true;
+    }
+    
+    if (req.query.type) {
+      if (!stockAlertUtil.ALERT_TYPES.includes(req.query.type)) {
+        return res.status(400).json({
+          message: `Tipo de alerta inválido. Permitidos: ${stockAlertUtil.ALERT_TYPES.join(', ')}`
+        });
+      }
+      filters.type = req.query.type;
+    }
+    
+    if (req.query.productId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.productId)) {
+        return res.status(400).json({ message: 'ID de producto inválido' });
+      }
+      filters.product = req.query.productId;
+    }
+    
+    if (req.query.since) {
+      filters.updatedAt = { $gte: new Date(req.query.since) };
+    }
+    
+    const list = listQuery.parse(req.query, {
+      sortable: ['createdAt', 'updatedAt', 'stock'],
+      defaultSort: '-createdAt'
+    });
+    
+    if (list.error) {
+      logger.warn(`Parámetros de listado inválidos: ${list.error}`);
+      return res.status(400).json({ message: list.error });
+    }
+    
+    const result = await listQuery.run(StockAlert, filters, list, query => query
+      .populate('product', 'code name category unit stock reorderPoint maxStock supplier')
+      .populate('acknowledgedBy', 'firstName lastName username'));
+    
+    logger.info(`Se encontraron ${result.data.length} alertas de stock`);
+    return listQuery.send(res, result, list);
+  } catch (error) {
+    logger.error(`Error al obtener alertas de stock: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener alertas de stock', error: error.message });
+  }
+};
+
+/**
+ * Resumen de alertas abiertas para tableros
+ */
+exports.getAlertSummary = async (req, res) => {
+  try {
+    logger.info('Obteniendo resumen de alertas de stock');
+    
+    const [counts] = await StockAlert.aggregate([
+      { $match: { open: true } },
+      {
+        $group: {
+          _id: null,
+          open: { $sum: 1 },
+          lowStock: { $sum: { $cond: [{ $eq: ['$type', 'bajo_stock'] }, 1, 0] } },
+          outOfStock: { $sum: { $cond: [{ $eq: ['$type', 'sin_stock'] }, 1, 0] } },
+          unacknowledged: { $sum: { $cond: [{ $eq: ['$status', 'activa'] }, 1, 0] } },
+          oldestAt: { $min: '$createdAt' },
+          latestAt: { $max: '$updatedAt' }
+        }
+      }
+    ]);
+    
+    return res.status(200).json({
+      open: counts ? counts.open : 0,
+      lowStock: counts ? counts.lowStock : 0,
+      outOfStock: counts ? counts.outOfStock : 0,
+      unacknowledged: counts ? counts.unacknowledged : 0,
+      oldestAt: counts ? counts.oldestAt : null,
+      latestAt: counts ? counts.latestAt : null
+    });
+  } catch (error) {
+    logger.error(`Error al obtener resumen de alertas de stock: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener resumen de alertas de stock', error: error.message });
+  }
+};
+
+/**
+ * Marcar una alerta como reconocida (sigue abierta hasta que se reponga el stock)
+ */
+exports.acknowledgeAlert = async (req, res) => {
+  try {
+    const alertId = req.params.id;
+    logger.info(`Reconociendo alerta de stock ${alertId}`);
+    
+    const alert = await StockAlert.findById(alertId);
+    
+    if (!alert) {
+      logger.warn(`Alerta de stock con ID ${alertId} no encontrada`);
+      return res.status(404).json({ message: 'Alerta de stock no encontrada' });
+    }
+    
+    if (!alert.open) {
+      return res.status(400).json({ message: 'La alerta ya fue resuelta' });
+    }
+    
+    alert.status = 'reconocida';
+    alert.acknowledgedBy = req.user.id;
+    alert.acknowledgedAt = new Date();
+    await alert.save();
+    
+    logger.info(`Alerta de stock ${alertId} reconocida por ${req.user.id}`);
+    return res.status(200).json(alert);
+  } catch (error) {
+    logger.error(`Error al reconocer alerta de stock: ${error.message}`);
+    return res.status(500).json({ message: 'Error al reconocer alerta de stock', error: error.message });
+  }
+};
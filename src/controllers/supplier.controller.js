@@ -0,0 +1,207 @@
+const logger = require('../utils/logger');
+const mongoose = require('mongoose');
+const Supplier = require('../models/supplier.model');
+const Product = require('../models/product.model');
+const listQuery = require('../utils/listQuery.util');
+
+/**
+ * Verifica que los productos del catálogo del proveedor existan
+ * @param {Array} products - [{ product, supplierCode, cost, minOrderQuantity }]
+ * @returns {Promise<String|null>} Mensaje de error o null si son válidos
+ */
+async function validateCatalog(products) {
+  if (products === undefined) {
+    return null;
+  }
+  
+  if (!Array.isArray(products)) {
+    return 'products debe ser una lista';
+  }
+  
+  const ids = products.map(entry => entry && entry.product);
+  if (ids.some(id => !id || !mongoose.Types.ObjectId.isValid(id))) {
+    return 'Cada producto del catálogo debe tener un ID de producto válido';
+  }
+  
+  if (new Set(ids.map(String)).size !== ids.length) {
+    return 'Un producto aparece más de una vez en el catálogo del proveedor';
+  }
+  
+  const found = await Product.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    return 'Algunos productos del catálogo no existen';
+  }
+  
+  return null;
+}
+
+/**
+ * Obtener todos los proveedores
+ */
+exports.getAllSuppliers = async (req, res) => {
+  try {
+    logger.info('Obteniendo proveedores');
+    
+    const filters = {};
+    
+    if (req.query.active !== undefined) {
+      filters.isActive = req.query.active === 'true';
+    }
+    
+    // Búsqueda por nombre o identificación tributaria
+    if (req.query.search) {
+      const pattern = new RegExp(String(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filters.$or = [{ name: pattern }, { taxId: pattern }];
+    }
+    
+    // Proveedores de un producto
+    if (req.query.productId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.productId)) {
+        return res.status(400).json({ message: 'ID de producto inválido' });
+      }
+      filters['products.product'] = req.query.productId;
+    }
+    
+    const list = listQuery.parse(req.query, {
+      sortable: ['name', 'createdAt', 'leadTimeDays'],
+      defaultSort: 'name'
+    });
+    
+    if (list.error) {
+      logger.warn(`Parámetros de listado inválidos: ${list.error}`);
+      return res.status(400).json({ message: list.error });
+    }
+    
+    const result = await listQuery.run(Supplier, filters, list);
+    
+    logger.info(`Se encontraron ${result.data.length} proveedores`);
+    return listQuery.send(res, result, list);
+  } catch (error) {
+    logger.error(`Error al obtener proveedores: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener proveedores', error: error.message });
+  }
+};
+
+/**
+ * Obtener un proveedor por ID
+ */
+exports.getSupplierById = async (req, res) => {
+  try {
+    const supplierId = req.params.id;
+    logger.info(`Buscando proveedor con ID: ${supplierId}`);
+    
+    const supplier = await Supplier.findById(supplierId).populate('products.product', 'code name unit cost stock');
+    
+    if (!supplier) {
+      logger.warn(`Proveedor con ID ${supplierId} no encontrado`);
+      return res.status(404).json({ message: 'Proveedor no encontrado' });
+    }
+    
+    return res.status(200).json(supplier);
+  } catch (error) {
+    logger.error(`Error al obtener proveedor: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener proveedor', error: error.message });
+  }
+};
+
+/**
+ * Crear un nuevo proveedor
+ */
+exports.createSupplier = async (req, res) => {
+  try {
+    const supplierData = req.body;
+    logger.info(`Creando proveedor: ${supplierData.name}`);
+    
+    if (!supplierData.name) {
+      logger.warn('Intento de crear proveedor sin nombre');
+      return res.status(400).json({ message: 'Se requiere el nombre del proveedor' });
+    }
+    
+    if (supplierData.taxId) {
+      const existing = await Supplier.findOne({ taxId: supplierData.taxId });
+      if (existing) {
+        logger.warn(`Intento de crear proveedor con identificación duplicada: ${supplierData.taxId}`);
+        return res.status(400).json({ message: 'Ya existe un proveedor con esa identificación tributaria' });
+      }
+    }
+    
+    const catalogError = await validateCatalog(supplierData.products);
+    if (catalogError) {
+      return res.status(400).json({ message: catalogError });
+    }
+    
+    const supplier = new Supplier(supplierData);
+    await supplier.save();
+    
+    logger.info(`Proveedor creado con ID: ${supplier._id}`);
+    return res.status(201).json(supplier);
+  } catch (error) {
+    logger.error(`Error al crear proveedor: ${error.message}`);
+    return res.status(500).json({ message: 'Error al crear proveedor', error: error.message });
+  }
+};
+
+/**
+ * Actualizar un proveedor existente
+ */
+exports.updateSupplier = async (req, res) => {
+  try {
+    const supplierId = req.params.id;
+    const supplierData = req.body;
+    logger.info(`Actualizando proveedor con ID: ${supplierId}`);
+    
+    const supplier = await Supplier.findById(supplierId);
+    if (!supplier) {
+      logger.warn(`Intento de actualizar proveedor inexistente con ID: ${supplierId}`);
+      return res.status(404).json({ message: 'Proveedor no encontrado' });
+    }
+    
+    if (supplierData.taxId && supplierData.taxId !== supplier.taxId) {
+      const existing = await Supplier.findOne({ taxId: supplierData.taxId });
+      if (existing) {
+        logger.warn(`Intento de actualizar proveedor con identificación duplicada: ${supplierData.taxId}`);
+        return res.status(400).json({ message: 'Ya existe un proveedor con esa identificación tributaria' });
+      }
+    }
+    
+    const catalogError = await validateCatalog(supplierData.products);
+    if (catalogError) {
+      return res.status(400).json({ message: catalogError });
+    }
+    
+    const updatedSupplier = await Supplier.findByIdAndUpdate(
+      supplierId,
+      supplierData,
+      { new: true, runValidators: true }
+    );
+    
+    logger.info(`Proveedor actualizado con éxito: ${updatedSupplier._id}`);
+    return res.status(200).json(updatedSupplier);
+  } catch (error) {
+    logger.error(`Error al actualizar proveedor: ${error.message}`);
+    return res.status(500).json({ message: 'Error al actualizar proveedor', error: error.message });
+  }
+};
+
+/**
+ * Desactivar un proveedor (se conserva por sus órdenes de compra)
+ */
+exports.deleteSupplier = async (req, res) => {
+  try {
+    const supplierId = req.params.id;
+    logger.info(`Desactivando proveedor con ID: ${supplierId}`);
+    
+    const supplier = await Supplier.findByIdAndUpdate(supplierId, { isActive: false }, { new: true });
+    
+    if (!supplier) {
+      logger.warn(`Intento de desactivar proveedor inexistente con ID: ${supplierId}`);
+      return res.status(404).json({ message: 'Proveedor no encontrado' });
+    }
+    
+    logger.info(`Proveedor desactivado: ${supplierId}`);
+    return res.status(200).json({ message: 'Proveedor desactivado correctamente', supplier });
+  } catch (error) {
+    logger.error(`Error al desactivar proveedor: ${error.message}`);
+    return res.status(500).json({ message: 'Error al desactivar proveedor', error: error.message });
+  }
+};
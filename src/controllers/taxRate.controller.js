@@ -0,0 +1,152 @@
+const logger = require('../utils/logger');
+const TaxRate = require('../models/taxRate.model');
+
+/**
+ * Garantiza que cada categoría y la tarifa por defecto pertenezcan a una sola tarifa
+ * @param {Object} taxRate - Tarifa recién creada o actualizada
+ */
+async function releaseAssignments(taxRate) {
+  if (taxRate.categories && taxRate.categories.length > 0) {
+    await TaxRate.updateMany(
+      { _id: { $ne: taxRate._id } },
+      { $pull: { categories: { $in: taxRate.categories } } }
+    );
+  }
+  
+  if (taxRate.isDefault) {
+    await TaxRate.updateMany({ _id: { $ne: taxRate._id } }, { isDefault: false });
+  }
+}
+
+/**
+ * Obtener todas las tarifas de impuesto
+ */
+exports.getAllTaxRates = async (req, res) => {
+  try {
+    logger.info('Obteniendo tarifas de impuesto');
+    
+    const filters = {};
+    
+    if (req.query.active !== undefined) {
+      filters.isActive = req.query.active === 'true';
+    }
+    
+    const taxRates = await TaxRate.find(filters).sort({ rate: -1 });
+    
+    logger.info(`Se encontraron ${taxRates.length} tarifas de impuesto`);
+    return res.status(200).json(taxRates);
+  } catch (error) {
+    logger.error(`Error al obtener tarifas de impuesto: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener tarifas de impuesto', error: error.message });
+  }
+};
+
+/**
+ * Obtener una tarifa de impuesto por ID
+ */
+exports.getTaxRateById = async (req, res) => {
+  try {
+    const taxRateId = req.params.id;
+    logger.info(`Buscando tarifa de impuesto con ID: ${taxRateId}`);
+    
+    const taxRate = await TaxRate.findById(taxRateId);
+    
+    if (!taxRate) {
+      logger.warn(`Tarifa de impuesto con ID ${taxRateId} no encontrada`);
+      return res.status(404).json({ message: 'Tarifa de impuesto no encontrada' });
+    }
+    
+    return res.status(200).json(taxRate);
+  } catch (error) {
+    logger.error(`Error al obtener tarifa de impuesto: ${error.message}`);
+    return res.status(500).json({ message: 'Error al obtener tarifa de impuesto', error: error.message });
+  }
+};
+
+/**
+ * Crear una nueva tarifa de impuesto
+ */
+exports.createTaxRate = async (req, res) => {
+  try {
+    const taxRateData = req.body;
+    logger.info(`Creando tarifa de impuesto: ${taxRateData.code}`);
+    
+    // Validar datos requeridos
+    if (!taxRateData.code || !taxRateData.name || taxRateData.rate === undefined) {
+      logger.warn('Intento de crear tarifa de impuesto con datos incompletos');
+      return res.status(400).json({ message: 'Se requiere código, nombre y porcentaje' });
+    }
+    
+    // Verificar que el código no esté duplicado
+    const existingTaxRate = await TaxRate.findOne({ code: taxRateData.code.toUpperCase() });
+    if (existingTaxRate) {
+      logger.warn(`Intento de crear tarifa de impuesto con código duplicado: ${taxRateData.code}`);
+      return res.status(400).json({ message: 'El código de la tarifa ya existe' });
+    }
+    
+    const newTaxRate = new TaxRate(taxRateData);
+    await newTaxRate.save();
+    await releaseAssignments(newTaxRate);
+    
+    logger.info(`Tarifa de impuesto creada con ID: ${newTaxRate._id}`);
+    return res.status(201).json(newTaxRate);
+  } catch (error) {
+    logger.error(`Error al crear tarifa de impuesto: ${error.message}`);
+    return res.status(500).json({ message: 'Error al crear tarifa de impuesto', error: error.message });
+  }
+};
+
+/**
+ * Actualizar una tarifa de impuesto
+ */
+exports.updateTaxRate = async (req, res) => {
+  try {
+    const taxRateId = req.params.id;
+    logger.info(`Actualizando tarifa de impuesto con ID: ${taxRateId}`);
+    
+    const taxRate = await TaxRate.findByIdAndUpdate(
+      taxRateId,
+      req.body,
+      { new: true, runValidators: true }
+    );
+    
+    if (!taxRate) {
+      logger.warn(`Intento de actualizar tarifa de impuesto inexistente con ID: ${taxRateId}`);
+      return res.status(404).json({ message: 'Tarifa de impuesto no encontrada' });
+    }
+    
+    await releaseAssignments(taxRate);
+    
+    logger.info(`Tarifa de impuesto actualizada con éxito: ${taxRate._id}`);
+    return res.status(200).json(taxRate);
+  } catch (error) {
+    logger.error(`Error al actualizar tarifa de impuesto: ${error.message}`);
+    return res.status(500).json({ message: 'Error al actualizar tarifa de impuesto', error: error.message });
+  }
+};
+
+/**
+ * Desactivar una tarifa de impuesto
+ * Las ventas ya registradas conservan la tarifa con la que se emitieron
+ */
+exports.deleteTaxRate = async (req, res) => {
+  try {
+    const taxRateId = req.params.id;
+    logger.info(`Desactivando tarifa de impuesto con ID: ${taxRateId}`);
+    
+    const taxRate = await TaxRate.findById(taxRateId);
+    if (!taxRate) {
+      logger.warn(`Intento de desactivar tarifa de impuesto inexistente con ID: ${taxRateId}`);
+      return res.status(404).json({ message: 'Tarifa de impuesto no encontrada' });
+    }
+    
+    taxRate.isActive = false;
+    await taxRate.save();
+    
+    logger.info(`Tarifa de impuesto desactivada: ${taxRateId}`);
+    return res.status(200).json({ message: 'Tarifa de impuesto desactivada correctamente', taxRate });
+  } catch (error) {
+    logger.error(`Error al desactivar tarifa de impuesto: ${error.message}`);
+    return res.status(500).json({ message: 'Error al desactivar tarifa de impuesto', error: error.message });
+  }
+};
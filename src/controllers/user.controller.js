@@ -1,6 +1,28 @@
 const bcrypt = require('bcrypt');
 const User = require('../models/user.model');
 const logger = require('../utils/logger');
+const exportUtil = require('../utils/export.util');
+const listQuery = require('../utils/listQuery.util');
+
+/**
+ * Filtros de consulta de usuarios compartidos por el listado y la exportación
+ * @param {Object} req - Petición
+ * @returns {Object} Filtros de Mongo
+ */
+function buildUserFilters(req) {
+  // Filtro por rol si se especifica
+  const filter = {};
+  if (req.query.role) {
+    filter.role = req.query.role;
+  }
+  
+  // Filtro por estado activo
+  if (req.query.active !== undefined) {
+    filter.isActive = req.query.active === 'true';
+  }
+  
+  return filter;
+}
 
 /**
  * Obtener todos los usuarios
@@ -18,28 +40,85 @@ exports.getAllUsers = async (req, res) => {
       return res.status(403).json({ message: 'No autorizado para acceder a esta información' });
     }
     
-    // Filtro por rol si se especifica
-    const filter = {};
-    if (req.query.role) {
-      filter.role = req.query.role;
-    }
+    // No incluir contraseñas en la respuesta
+    const list = listQuery.parse(req.query, {
+      sortable: ['username', 'email', 'role', 'createdAt', 'lastLogin'],
+      defaultSort: 'username',
+      hiddenFields: ['password']
+    });
     
-    // Filtro por estado activo
-    if (req.query.active !== undefined) {
-      filter.isActive = req.query.active === 'true';
+    if (list.error) {
+      logger.warn(`Parámetros de listado inválidos: ${list.error}`);
+      return res.status(400).json({ message: list.error });
     }
     
-    // No incluir contraseñas en la respuesta
-    const users = await User.find(filter).select('-password');
+    const result = await listQuery.run(User, buildUserFilters(req), list);
     
-    logger.info(`Se encontraron ${users.length} usuarios`);
-    return res.status(200).json(users);
+    logger.info(`Se encontraron ${result.data.length} usuarios`);
+    return listQuery.send(res, result, list);
   } catch (error) {
     logger.error(`Error al obtener usuarios: ${error.message}`);
     return res.status(500).json({ message: 'Error al obtener usuarios', error: error.message });
   }
 };
 
+// Columnas de la exportación de usuarios (nunca incluye la contraseña)
+const USER_EXPORT_COLUMNS = [
+  { key: 'username', header: { es: 'Usuario', en: 'Username' }, value: u => u.username },
+  { key: 'email', header: { es: 'Correo', en: 'Email' }, value: u => u.email },
+  { key: 'role', header: { es: 'Rol', en: 'Role' }, value: u => u.role },
+  { key: 'firstName', header: { es: 'Nombre', en: 'First name' }, value: u => u.firstName },
+  { key: 'lastName', header: { es: 'Apellido', en: 'Last name' }, value: u => u.lastName },
+  { key: 'taxId', header: { es: 'Identificación', en: 'Tax ID' }, value: u => u.taxId },
+  { key: 'address', header: { es: 'Dirección', en: 'Address' }, value: u => u.address },
+  { key: 'isActive', header: { es: 'Activo', en: 'Active' }, value: u => u.isActive },
+  { key: 'creditLimit', header: { es: 'Límite de crédito', en: 'Credit limit' }, value: u => u.creditLimit || 0 },
+  { key: 'creditBalance', header: { es: 'Saldo de crédito', en: 'Credit balance' }, value: u => u.creditBalance || 0 },
+  { key: 'lastLogin', header: { es: 'Último acceso', en: 'Last login' }, value: u => exportUtil.formatDate(u.lastLogin) },
+  { key: 'createdAt', header: { es: 'Creado', en: 'Created' }, value: u => exportUtil.formatDate(u.createdAt) }
+];
+
+/**
+ * Exportar usuarios a CSV o XLSX con los mismos filtros del listado
+ */
+exports.exportUsers = async (req, res) => {
+  try {
+    logger.info(`Exportando usuarios (${req.query.format || 'csv'})`);
+    
+    const options = exportUtil.resolveOptions(req.query);
+    if (options.error) {
+      logger.warn(`Exportación de usuarios inválida: ${options.error}`);
+      return res.status(400).json({ message: options.error });
+    }
+    
+    const { columns, error } = exportUtil.resolveColumns(USER_EXPORT_COLUMNS, req.query.columns);
+    if (error) {
+      logger.warn(`Columnas inválidas en exportación de usuarios: ${error}`);
+      return res.status(400).json({ message: error });
+    }
+    
+    const cursor = User.find(buildUserFilters(req)).select('-password').sort({ username: 1 }).lean().cursor();
+    
+    await exportUtil.send(res, {
+      ...options,
+      columns,
+      rows: cursor,
+      filename: 'usuarios',
+      delimiter: req.query.delimiter === ';' ? ';' : ','
+    });
+    
+    logger.info('Exportación de usuarios completada');
+  } catch (error) {
+    logger.error(`Error al exportar usuarios: ${error.message}`);
+    
+    // Si la descarga ya comenzó no se puede responder con JSON
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    return res.status(500).json({ message: 'Error al exportar usuarios', error: error.message });
+  }
+};
+
 /**
  * Obtener un usuario por ID
  */
@@ -151,10 +230,18 @@ exports.updateUser = async (req, res) => {
       return res.status(403).json({ message: 'No autorizado para cambiar roles' });
     }
     
+    // Solo un administrador puede asignar límite y plazo de crédito
+    if ((req.body.creditLimit !== undefined || req.body.creditDays !== undefined) && req.user.role !== 'admin') {
+      logger.warn(`Usuario no autorizado (${req.user.username}) intentó cambiar condiciones de crédito`);
+      return res.status(403).json({ message: 'No autorizado para cambiar condiciones de crédito' });
+    }
+    
     const userData = req.body;
     
     // Eliminar campos sensibles que no deberían actualizarse directamente
     delete userData.password;
+    // El saldo de crédito solo cambia con cargos y abonos a la cuenta
+    delete userData.creditBalance;
     
     // Verificar que el usuario existe
     const user = await User.findById(userId);
@@ -6,12 +6,23 @@ const dotenv = require('dotenv');
 const logger = require('./utils/logger');
 const dbInit = require('./utils/dbInit');
 const responseMiddleware = require('./middleware/response.middleware');
+const idempotencyMiddleware = require('./middleware/idempotency.middleware');
 
 // Routes
 const authRoutes = require('./routes/auth.routes');
 const productRoutes = require('./routes/product.routes');
 const userRoutes = require('./routes/user.routes');
 const saleRoutes = require('./routes/sale.routes');
+const taxRateRoutes = require('./routes/taxRate.routes');
+const promotionRoutes = require('./routes/promotion.routes');
+const cartRoutes = require('./routes/cart.routes');
+const invoiceRoutes = require('./routes/invoice.routes');
+const registerSessionRoutes = require('./routes/registerSession.routes');
+const analyticsRoutes = require('./routes/analytics.routes');
+const commissionRuleRoutes = require('./routes/commissionRule.routes');
+const stockAlertRoutes = require('./routes/stockAlert.routes');
+const supplierRoutes = require('./routes/supplier.routes');
+const purchaseOrderRoutes = require('./routes/purchaseOrder.routes');
 
 // Config
 dotenv.config();
@@ -32,11 +43,24 @@ app.use((req, res, next) => {
 // Response Transformer Middleware (convierte _id a id para compatibilidad con frontend)
 app.use(responseMiddleware.transformResponse);
 
+// Idempotencia: los reintentos con el mismo Idempotency-Key repiten la primera respuesta
+app.use(idempotencyMiddleware.handle);
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/sales', saleRoutes);
+app.use('/api/tax-rates', taxRateRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/carts', cartRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/register-sessions', registerSessionRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/commission-rules', commissionRuleRoutes);
+app.use('/api/stock-alerts', stockAlertRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
 
 // Base route
 app.get('/', (req, res) => {
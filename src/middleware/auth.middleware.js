@@ -1,7 +1,20 @@
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
 
-const validApiKeys = ['sk_test_supermercado123', 'sk_prod_supermercado456'];
+// Rol de las integraciones autenticadas con API key; solo acceden a las rutas que lo incluyen
+const INTEGRATION_ROLE = 'integracion';
+
+/**
+ * API keys válidas, separadas por coma en API_KEYS (o una sola en API_KEY)
+ */
+function validApiKeys() {
+  return String(process.env.API_KEYS || process.env.API_KEY || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean);
+}
+
+exports.INTEGRATION_ROLE = INTEGRATION_ROLE;
 
 exports.verifyToken = (req, res, next) => {
   const token = req.headers['x-access-token'] || req.headers['authorization'];
@@ -31,12 +44,13 @@ exports.verifyApiKey = (req, res, next) => {
     return res.status(401).json({ message: 'Acceso denegado: API key no proporcionada' });
   }
 
-  if (!validApiKeys.includes(apiKey)) {
-    logger.warn(`Intento de acceso con API key inválida: ${apiKey}`);
+  if (!validApiKeys().includes(apiKey)) {
+    logger.warn(`Intento de acceso con API key inválida: ${apiKey.substring(0, 8)}...`);
     return res.status(401).json({ message: 'API key inválida' });
   }
 
   logger.info(`Acceso autenticado con API key: ${apiKey.substring(0, 8)}...`);
+  req.apiClient = { role: INTEGRATION_ROLE };
   next();
 };
 
@@ -55,3 +69,65 @@ exports.verifyAuth = (req, res, next) => {
     });
   }
 };
+
+/**
+ * Identifica a quien envía la petición sin rechazarla (la autenticación la
+ * hacen las rutas). Devuelve un identificador estable o null si no hay
+ * credenciales válidas.
+ */
+exports.identifyCaller = (req) => {
+  const apiKey = req.headers['x-api-key'];
+  const token = req.headers['x-access-token'] || req.headers['authorization'];
+
+  if (apiKey) {
+    return validApiKeys().includes(apiKey) ? `apikey:${apiKey}` : null;
+  }
+
+  if (token) {
+    try {
+      const tokenValue = token.startsWith('Bearer ') ? token.slice(7) : token;
+      const decoded = jwt.verify(tokenValue, process.env.JWT_SECRET || 'supermercado_secret_key');
+      return `user:${decoded.id}`;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Restringe una ruta a los roles indicados.
+ * Las peticiones autenticadas con API key tienen el rol de integración y solo pasan
+ * si la ruta lo incluye.
+ */
+exports.requireRole = (...roles) => (req, res, next) => {
+  if (!req.user && req.apiClient) {
+    if (roles.includes(req.apiClient.role)) {
+      return next();
+    }
+
+    logger.warn(`Integración con API key no autorizada para ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({ message: 'No autorizado para realizar esta operación' });
+  }
+
+  if (!req.user || !roles.includes(req.user.role)) {
+    logger.warn(`Usuario no autorizado (${req.user?.username || 'desconocido'}) intentó acceder a ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({ message: 'No autorizado para realizar esta operación' });
+  }
+
+  next();
+};
+
+/**
+ * Exige un usuario autenticado con JWT: las operaciones que registran quién las hizo
+ * (ventas, turnos de caja, carritos) no están disponibles para integraciones con API key
+ */
+exports.requireUser = (req, res, next) => {
+  if (!req.user) {
+    logger.warn(`Integración con API key intentó ${req.method} ${req.originalUrl}, que requiere un usuario`);
+    return res.status(403).json({ message: 'Esta operación requiere un usuario autenticado' });
+  }
+
+  next();
+};
@@ -0,0 +1,180 @@
+/**
+ * Middleware de idempotencia para peticiones que modifican datos
+ * Si la petición trae el encabezado Idempotency-Key, la primera respuesta se guarda
+ * y los reintentos con la misma clave la reciben de nuevo sin volver a ejecutar la
+ * operación (p. ej. una venta que se confirmó pero cuya respuesta se perdió).
+ */
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const IdempotencyKey = require('../models/idempotencyKey.model');
+const authMiddleware = require('./auth.middleware');
+
+const METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const MAX_KEY_LENGTH = 255;
+// Una petición original que no respondió en este tiempo se considera abandonada
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Ventana durante la que se conserva la respuesta (IDEMPOTENCY_TTL_HOURS, por defecto 24)
+ */
+function ttlMs() {
+  const hours = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 24) * 60 * 60 * 1000;
+}
+
+/**
+ * Serializa un valor con las claves ordenadas para que el orden no cambie la huella
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashRequest(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Reenvía la respuesta guardada de la petición original
+ */
+function replay(res, record) {
+  res.setHeader('Idempotent-Replayed', 'true');
+  
+  if (record.contentType) {
+    res.setHeader('Content-Type', record.contentType);
+  }
+  
+  return res.status(record.responseStatus).end(record.responseBody || '');
+}
+
+/**
+ * Intercepta la respuesta para guardarla cuando se envíe.
+ * Las respuestas 5xx no se guardan: la operación se revirtió y el cliente puede reintentar.
+ */
+function captureResponse(req, res, record) {
+  const originalSend = res.send;
+  let stored = false;
+  
+  const release = () => IdempotencyKey.deleteOne({ _id: record._id, status: 'en_proceso' })
+    .catch(error => logger.error(`Error al liberar clave de idempotencia: ${error.message}`));
+  
+  res.send = function(body) {
+    // send con un objeto delega en json, que vuelve a llamar a send con el texto
+    const serialized = body === null || body === undefined || typeof body !== 'object' || Buffer.isBuffer(body);
+    
+    if (!stored && serialized) {
+      stored = true;
+      
+      if (res.statusCode >= 500) {
+        release();
+      } else {
+        IdempotencyKey.updateOne(
+          { _id: record._id },
+          {
+            status: 'completado',
+            responseStatus: res.statusCode,
+            contentType: res.get('Content-Type'),
+            responseBody: Buffer.isBuffer(body) ? body.toString('utf8') : (body === undefined || body === null ? '' : String(body)),
+            expiresAt: new Date(Date.now() + ttlMs())
+          }
+        ).catch(error => logger.error(`Error al guardar respuesta idempotente: ${error.message}`));
+      }
+    }
+    
+    return originalSend.call(this, body);
+  };
+  
+  // Respuestas que no pasan por send (descargas en streaming): no se pueden repetir
+  res.on('close', () => {
+    if (!stored) {
+      stored = true;
+      release();
+    }
+  });
+}
+
+/**
+ * Aplica la idempotencia a las peticiones POST, PUT, PATCH y DELETE con Idempotency-Key
+ */
+exports.handle = async (req, res, next) => {
+  const key = req.headers['idempotency-key'];
+  
+  if (!key || !METHODS.includes(req.method)) {
+    return next();
+  }
+  
+  if (key.length > MAX_KEY_LENGTH) {
+    logger.warn('Idempotency-Key demasiado larga');
+    return res.status(400).json({ message: `Idempotency-Key no puede superar ${MAX_KEY_LENGTH} caracteres` });
+  }
+  
+  try {
+    const scope = authMiddleware.identifyCaller(req) || 'anonimo';
+    const requestHash = hashRequest(req);
+    
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        scope,
+        method: req.method,
+        path: req.originalUrl,
+        requestHash,
+        expiresAt: new Date(Date.now() + ttlMs())
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      
+      const existing = await IdempotencyKey.findOne({ scope, key });
+      
+      // La clave venció entre el intento de inserción y la búsqueda
+      if (!existing) {
+        return exports.handle(req, res, next);
+      }
+      
+      if (existing.requestHash !== requestHash) {
+        logger.warn(`Idempotency-Key reutilizada con otra petición: ${req.method} ${req.originalUrl}`);
+        return res.status(422).json({
+          message: 'La Idempotency-Key ya se usó con una petición diferente'
+        });
+      }
+      
+      if (existing.status === 'completado') {
+        logger.info(`Repitiendo respuesta idempotente de ${req.method} ${req.originalUrl}`);
+        return replay(res, existing);
+      }
+      
+      // La petición original sigue en curso, salvo que se haya abandonado
+      record = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: 'en_proceso', updatedAt: { $lte: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+        { $set: { updatedAt: new Date() } },
+        { new: true, timestamps: false }
+      );
+      
+      if (!record) {
+        logger.warn(`Petición con Idempotency-Key aún en proceso: ${req.method} ${req.originalUrl}`);
+        res.setHeader('Retry-After', '1');
+        return res.status(409).json({
+          message: 'Una petición con la misma Idempotency-Key aún está en proceso'
+        });
+      }
+    }
+    
+    captureResponse(req, res, record);
+    next();
+  } catch (error) {
+    logger.error(`Error en middleware de idempotencia: ${error.message}`);
+    return res.status(500).json({ message: 'Error al procesar Idempotency-Key', error: error.message });
+  }
+};
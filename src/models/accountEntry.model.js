@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const allocationSchema = new mongoose.Schema({
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+  saleNumber: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  }
+}, { _id: false });
+
+const accountEntrySchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // cargo: venta a crédito (aumenta el saldo); abono: pago del cliente;
+  // ajuste: crédito por cancelación o devolución (ambos reducen el saldo)
+  type: {
+    type: String,
+    enum: ['cargo', 'abono', 'ajuste'],
+    required: true
+  },
+  // Siempre positivo; el signo lo determina el tipo
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  dueDate: Date,
+  // Solo abonos: método, referencia y ventas a las que se aplicó el pago
+  method: {
+    type: String,
+    enum: ['efectivo', 'tarjeta_credito', 'tarjeta_debito', 'transferencia']
+  },
+  reference: String,
+  allocations: [allocationSchema],
+  registerSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RegisterSession'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+accountEntrySchema.index({ customer: 1, createdAt: 1 });
+accountEntrySchema.index({ sale: 1 });
+
+// Simulación de modelo para desarrollo
+const AccountEntry = mongoose.models.AccountEntry || mongoose.model('AccountEntry', accountEntrySchema);
+
+module.exports = AccountEntry;
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0.001
+  },
+  // Descuento manual de la línea (si no se indica se usa el del producto)
+  manualDiscount: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // Precios recalculados con los valores vigentes del producto
+  productCode: String,
+  productName: String,
+  unitPrice: Number,
+  discount: Number,
+  promotions: [{
+    _id: false,
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    name: String,
+    type: { type: String },
+    discountAmount: Number
+  }],
+  promotionDiscount: Number,
+  subtotal: Number,
+  taxRate: Number,
+  taxAmount: Number,
+  total: Number,
+  availableStock: Number
+}, { _id: false });
+
+const cartSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Nombre para identificar un carrito estacionado (p. ej. "Cliente de la caja 2")
+  label: {
+    type: String,
+    trim: true
+  },
+  register: {
+    type: String,
+    trim: true
+  },
+  items: [cartItemSchema],
+  couponCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // abierto: en edición; estacionado: en espera para retomarlo;
+  // convertido: ya se registró la venta; abandonado: descartado
+  status: {
+    type: String,
+    enum: ['abierto', 'estacionado', 'convertido', 'abandonado'],
+    default: 'abierto'
+  },
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  promotionDiscount: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  // Avisos del último recálculo (stock insuficiente, cupón no vigente, etc.)
+  warnings: [String],
+  pricedAt: Date,
+  parkedAt: Date,
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+// Índices para mejorar la búsqueda
+cartSchema.index({ seller: 1, status: 1 });
+
+// Simulación de modelo para desarrollo
+const Cart = mongoose.models.Cart || mongoose.model('Cart', cartSchema);
+
+module.exports = Cart;
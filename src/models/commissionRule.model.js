@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const commissionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // porcentaje: % fijo sobre las ventas del mes
+  // escalonado: el % del tramo alcanzado por las ventas del mes se aplica a todo el mes
+  // categoria: % distinto según la categoría de los productos vendidos
+  type: {
+    type: String,
+    enum: ['porcentaje', 'escalonado', 'categoria'],
+    required: true
+  },
+  percentage: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  tiers: [{
+    _id: false,
+    // Ventas mensuales mínimas para alcanzar el tramo
+    minRevenue: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    percentage: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    }
+  }],
+  categoryRates: [{
+    _id: false,
+    category: {
+      type: String,
+      required: true,
+      enum: ['lácteos', 'bebidas', 'limpieza', 'frutas', 'verduras', 'carnes', 'panadería', 'otros']
+    },
+    percentage: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    }
+  }],
+  // Vendedores a los que aplica la regla; vacío = todos
+  sellers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Simulación de modelo para desarrollo
+const CommissionRule = mongoose.models.CommissionRule || mongoose.model('CommissionRule', commissionRuleSchema);
+
+module.exports = CommissionRule;
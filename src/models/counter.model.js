@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  // Clave única de la serie, p. ej. 'sale:2025:CAJA1' o 'invoice:001-001'
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Tipo de documento numerado (venta, etc.)
+  name: {
+    type: String,
+    required: true
+  },
+  // Año de la serie (las series que no se reinician por año no lo usan)
+  year: Number,
+  // Caja o sucursal de la serie (vacío para la serie principal)
+  register: {
+    type: String,
+    trim: true
+  },
+  prefix: {
+    type: String,
+    default: 'V'
+  },
+  padding: {
+    type: Number,
+    default: 3,
+    min: 1,
+    max: 12
+  },
+  // Último número emitido
+  seq: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+counterSchema.index({ name: 1, year: 1, register: 1 });
+
+// Simulación de modelo para desarrollo
+const Counter = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
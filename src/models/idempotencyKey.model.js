@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  // Valor del encabezado Idempotency-Key enviado por el cliente
+  key: {
+    type: String,
+    required: true
+  },
+  // Quién envió la petición (usuario, API key o anónimo): las claves no se comparten entre clientes
+  scope: {
+    type: String,
+    required: true
+  },
+  method: String,
+  path: String,
+  // Huella de método, ruta y cuerpo para detectar la reutilización con otra petición
+  requestHash: {
+    type: String,
+    required: true
+  },
+  // en_proceso mientras la petición original se ejecuta; completado cuando hay respuesta guardada
+  status: {
+    type: String,
+    enum: ['en_proceso', 'completado'],
+    default: 'en_proceso'
+  },
+  responseStatus: Number,
+  contentType: String,
+  responseBody: String,
+  // Vencimiento de la clave (índice TTL)
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Simulación de modelo para desarrollo
+const IdempotencyKey = mongoose.models.IdempotencyKey || mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const inventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // inicial: saldo con el que el producto entra al kardex
+  type: {
+    type: String,
+    enum: ['inicial', 'venta', 'cancelacion', 'devolucion', 'ajuste', 'compra'],
+    required: true
+  },
+  // Cantidad con signo: positiva si entra al inventario, negativa si sale
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Stock del producto luego del movimiento
+  balance: {
+    type: Number,
+    required: true
+  },
+  unit: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Documento que originó el movimiento (venta, orden de compra, etc.)
+  referenceModel: {
+    type: String,
+    enum: ['Sale', 'PurchaseOrder']
+  },
+  reference: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'referenceModel'
+  },
+  referenceNumber: String,
+  reason: {
+    type: String,
+    trim: true
+  },
+  // Lotes afectados por el movimiento (productos con control de lotes)
+  lots: [{
+    _id: false,
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lot'
+    },
+    lotNumber: String,
+    expirationDate: Date,
+    quantity: Number
+  }]
+}, {
+  timestamps: true
+});
+
+// Índices para mejorar la búsqueda
+inventoryMovementSchema.index({ product: 1, createdAt: 1 });
+inventoryMovementSchema.index({ reference: 1 });
+
+// Simulación de modelo para desarrollo
+const InventoryMovement = mongoose.models.InventoryMovement || mongoose.model('InventoryMovement', inventoryMovementSchema);
+
+module.exports = InventoryMovement;
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const invoiceEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  // Mensajes devueltos por el servicio de recepción o autorización
+  messages: [String],
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+  // Número del comprobante: establecimiento-punto de emisión-secuencial (001-001-000000001)
+  documentNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  establishment: {
+    type: String,
+    required: true
+  },
+  emissionPoint: {
+    type: String,
+    required: true
+  },
+  sequential: {
+    type: Number,
+    required: true
+  },
+  // Clave de acceso de 49 dígitos con dígito verificador módulo 11
+  accessKey: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^\d{49}$/
+  },
+  // 1: pruebas, 2: producción
+  environment: {
+    type: String,
+    enum: ['1', '2'],
+    default: '1'
+  },
+  issueDate: {
+    type: Date,
+    required: true
+  },
+  buyer: {
+    idType: String,
+    taxId: String,
+    name: String,
+    address: String,
+    email: String
+  },
+  totalWithoutTax: Number,
+  totalTax: Number,
+  totalAmount: Number,
+  // XML listo para firmar
+  xml: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['generada', 'enviada', 'autorizada', 'rechazada'],
+    default: 'generada'
+  },
+  authorizationNumber: String,
+  authorizationDate: Date,
+  history: [invoiceEventSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para mejorar la búsqueda
+invoiceSchema.index({ sale: 1 });
+invoiceSchema.index({ status: 1 });
+
+// Simulación de modelo para desarrollo
+const Invoice = mongoose.models.Invoice || mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
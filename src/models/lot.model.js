@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const lotSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  lotNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  expirationDate: Date,
+  // Cantidad que queda del lote (en la unidad del producto)
+  quantity: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: 0
+  },
+  // Cantidad total ingresada al lote
+  initialQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  unit: String,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Orden de compra con la que ingresó (si vino de una)
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para mejorar la búsqueda
+lotSchema.index({ product: 1, lotNumber: 1 }, { unique: true });
+lotSchema.index({ product: 1, expirationDate: 1 });
+lotSchema.index({ expirationDate: 1, quantity: 1 });
+
+// Simulación de modelo para desarrollo
+const Lot = mongoose.models.Lot || mongoose.model('Lot', lotSchema);
+
+module.exports = Lot;
@@ -1,5 +1,34 @@
 const mongoose = require('mongoose');
 
+// Empaque de venta: presentación con su propio código de barras y precio que equivale
+// a varias unidades base (p. ej. six-pack = 6 latas). El stock se lleva en unidades base.
+const packageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  barcode: {
+    type: String,
+    trim: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Unidades base que contiene el empaque
+  factor: {
+    type: Number,
+    required: true,
+    min: 0.001
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
 const productSchema = new mongoose.Schema({
   code: {
     type: String,
@@ -26,12 +55,34 @@ const productSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Unidad de venta: por unidad o a granel (kg, g, l); el stock se expresa en esta unidad
+  unit: {
+    type: String,
+    enum: ['unidad', 'kg', 'g', 'l'],
+    default: 'unidad'
+  },
   stock: {
     type: Number,
     required: true,
     default: 0,
     min: 0
   },
+  // Punto de reorden: con stock igual o menor se genera una alerta de bajo stock
+  reorderPoint: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Cantidad a pedir al reponer (si no hay maxStock)
+  reorderQuantity: {
+    type: Number,
+    min: 0
+  },
+  // Stock máximo: la reposición sugerida completa hasta este valor
+  maxStock: {
+    type: Number,
+    min: 0
+  },
   category: {
     type: String,
     required: true,
@@ -47,15 +98,32 @@ const productSchema = new mongoose.Schema({
   barcode: {
     type: String
   },
+  // Código PLU con el que la balanza identifica el producto en códigos con prefijo 2x
+  plu: {
+    type: String,
+    trim: true
+  },
+  // Presentaciones adicionales a la unidad base (six-pack, caja, etc.)
+  packages: [packageSchema],
   supplier: {
     type: String
   },
+  // Proveedor al que se le piden las reposiciones (si hay varios que lo proveen)
+  preferredSupplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
   discount: {
     type: Number,
     min: 0,
     max: 100,
     default: 0
   },
+  // Tarifa de impuesto propia; si no se indica se usa la de su categoría
+  taxRate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRate'
+  },
   expirationDate: {
     type: Date
   }
@@ -67,6 +135,8 @@ const productSchema = new mongoose.Schema({
 productSchema.index({ name: 'text', description: 'text' });
 productSchema.index({ category: 1 });
 productSchema.index({ code: 1 });
+productSchema.index({ plu: 1 }, { sparse: true });
+productSchema.index({ 'packages.barcode': 1 }, { sparse: true });
 
 // Simulación de modelo para desarrollo
 const Product = mongoose.models.Product || mongoose.model('Product', productSchema);
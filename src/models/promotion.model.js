@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const bundleItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // n_por_m: lleva N paga M (2x1, 3x2)
+  // lleva_x_gratis_y: por cada X unidades, Y unidades gratis (del mismo u otro producto)
+  // porcentaje_categoria: porcentaje de descuento sobre productos de una categoría
+  // precio_paquete: conjunto de productos a precio fijo
+  // cupon: descuento sobre el total de la venta (porcentaje o monto)
+  type: {
+    type: String,
+    enum: ['n_por_m', 'lleva_x_gratis_y', 'porcentaje_categoria', 'precio_paquete', 'cupon'],
+    required: true
+  },
+  // Alcance: productos y/o categoría sobre los que aplica la regla
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  category: {
+    type: String,
+    enum: ['lácteos', 'bebidas', 'limpieza', 'frutas', 'verduras', 'carnes', 'panadería', 'otros']
+  },
+  // n_por_m: N (lleva) y M (paga); lleva_x_gratis_y: X (compra)
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+  payQuantity: {
+    type: Number,
+    min: 0
+  },
+  // lleva_x_gratis_y: Y unidades gratis de getProduct (por defecto el mismo producto)
+  getQuantity: {
+    type: Number,
+    min: 1
+  },
+  getProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  // porcentaje_categoria y cupon
+  percentage: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // cupon: monto fijo de descuento
+  amount: {
+    type: Number,
+    min: 0
+  },
+  // cupon: compra mínima para aplicar
+  minPurchase: {
+    type: Number,
+    min: 0
+  },
+  // precio_paquete
+  bundleItems: [bundleItemSchema],
+  bundlePrice: {
+    type: Number,
+    min: 0
+  },
+  // Si se define, la promoción solo aplica cuando se presenta este código
+  couponCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para mejorar la búsqueda
+promotionSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+promotionSchema.index({ couponCode: 1 }, { unique: true, sparse: true });
+
+// Simulación de modelo para desarrollo
+const Promotion = mongoose.models.Promotion || mongoose.model('Promotion', promotionSchema);
+
+module.exports = Promotion;
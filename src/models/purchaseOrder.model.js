@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+const purchaseOrderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  supplierName: String,
+  // borrador -> enviada -> recibida_parcial -> recibida; cancelada desde cualquiera sin completar
+  status: {
+    type: String,
+    enum: ['borrador', 'enviada', 'recibida_parcial', 'recibida', 'cancelada'],
+    default: 'borrador'
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    productName: String,
+    productCode: String,
+    // Unidad base del producto
+    unit: String,
+    // Empaque en que se pide (caja, six-pack); cantidades y costo son por empaque
+    // y el stock se ingresa en unidades base (quantity * packageFactor)
+    package: String,
+    packageFactor: {
+      type: Number,
+      min: 0.001
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0.001
+    },
+    receivedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    unitCost: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    subtotal: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  expectedDate: Date,
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sentAt: Date,
+  receivedAt: Date,
+  cancelledAt: Date,
+  // Entregas recibidas (puede haber varias si el proveedor entrega en partes)
+  receipts: [{
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    items: [{
+      _id: false,
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      package: String,
+      quantity: Number,
+      unitCost: Number,
+      lotNumber: String,
+      expirationDate: Date,
+      movement: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InventoryMovement'
+      }
+    }]
+  }],
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    date: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Índices para mejorar la búsqueda
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+purchaseOrderSchema.index({ status: 1 });
+purchaseOrderSchema.index({ 'items.product': 1, status: 1 });
+
+// Simulación de modelo para desarrollo
+const PurchaseOrder = mongoose.models.PurchaseOrder || mongoose.model('PurchaseOrder', purchaseOrderSchema);
+
+module.exports = PurchaseOrder;
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const cashMovementSchema = new mongoose.Schema({
+  // ingreso: entrada de efectivo ajena a ventas; retiro: salida (pagos, depósitos, etc.)
+  type: {
+    type: String,
+    enum: ['ingreso', 'retiro'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const denominationSchema = new mongoose.Schema({
+  value: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  count: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const methodSummarySchema = new mongoose.Schema({
+  method: String,
+  expected: Number,
+  counted: Number,
+  difference: Number
+}, { _id: false });
+
+const registerSessionSchema = new mongoose.Schema({
+  // Caja o terminal donde se abre el turno
+  register: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  cashier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['abierta', 'cerrada'],
+    default: 'abierta'
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Fondo inicial de efectivo
+  openingFloat: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  movements: [cashMovementSchema],
+  // Cierre: conteo por denominación y diferencias esperado vs. contado por método
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  countedDenominations: [denominationSchema],
+  countedCash: Number,
+  summary: [methodSummarySchema],
+  totalDifference: Number,
+  notes: String
+}, {
+  timestamps: true
+});
+
+// Índices para mejorar la búsqueda
+registerSessionSchema.index({ cashier: 1, status: 1 });
+registerSessionSchema.index({ register: 1, status: 1 });
+
+// Una caja y un cajero solo pueden tener un turno abierto (evita aperturas simultáneas)
+registerSessionSchema.index({ register: 1 }, { unique: true, partialFilterExpression: { status: 'abierta' } });
+registerSessionSchema.index({ cashier: 1 }, { unique: true, partialFilterExpression: { status: 'abierta' } });
+
+// Simulación de modelo para desarrollo
+const RegisterSession = mongoose.models.RegisterSession || mongoose.model('RegisterSession', registerSessionSchema);
+
+module.exports = RegisterSession;
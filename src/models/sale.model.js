@@ -9,16 +9,35 @@ const saleItemSchema = new mongoose.Schema({
   // También incluimos la información básica del producto para histórico
   productCode: String,
   productName: String,
+  // Cantidad en la unidad del producto (admite decimales para productos a granel)
+  // o en empaques enteros si la línea se vendió en un empaque
   quantity: {
     type: Number,
     required: true,
-    min: 1
+    min: 0.001
+  },
+  // Unidad base del producto (en la que se lleva el stock)
+  unit: {
+    type: String,
+    default: 'unidad'
+  },
+  // Empaque vendido y unidades base que contiene; el stock se movió por quantity * packageFactor
+  package: String,
+  packageFactor: {
+    type: Number,
+    min: 0.001
   },
   unitPrice: {
     type: Number,
     required: true,
     min: 0
   },
+  // Costo por unidad base y categoría del producto al momento de la venta (para márgenes históricos)
+  unitCost: {
+    type: Number,
+    min: 0
+  },
+  category: String,
   discount: {
     type: Number,
     default: 0,
@@ -28,44 +47,300 @@ const saleItemSchema = new mongoose.Schema({
   subtotal: {
     type: Number,
     required: true
+  },
+  // Promociones aplicadas a la línea y descuento total por promociones
+  promotions: [{
+    _id: false,
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    name: String,
+    type: { type: String },
+    discountAmount: Number
+  }],
+  promotionDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Impuesto de la línea calculado en el servidor
+  taxCode: String,
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxableBase: {
+    type: Number,
+    min: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Total de la línea con impuesto
+  total: {
+    type: Number,
+    min: 0
+  },
+  // Cantidad ya devuelta de esta línea (nunca puede superar quantity)
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Lotes de los que salió la línea (FEFO); returnedQuantity es lo que volvió a cada lote
+  lots: [{
+    _id: false,
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lot'
+    },
+    lotNumber: String,
+    expirationDate: Date,
+    quantity: Number,
+    returnedQuantity: {
+      type: Number,
+      default: 0
+    }
+  }]
+});
+
+const returnItemSchema = new mongoose.Schema({
+  // Referencia a la línea de la venta que se devuelve
+  saleItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productCode: String,
+  productName: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0.001
+  },
+  unitRefund: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  refundAmount: {
+    type: Number,
+    required: true,
+    min: 0
   }
 });
 
+const saleReturnSchema = new mongoose.Schema({
+  items: [returnItemSchema],
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  refundMethod: {
+    type: String,
+    enum: ['efectivo', 'tarjeta_credito', 'tarjeta_debito', 'transferencia', 'nota_credito', 'cuenta_cliente'],
+    required: true
+  },
+  totalRefund: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Turno de caja desde el que se entregó el reembolso
+  registerSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RegisterSession'
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+const paymentSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ['efectivo', 'tarjeta_credito', 'tarjeta_debito', 'transferencia'],
+    required: true
+  },
+  // Monto aplicado al total de la venta
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Código de autorización de tarjeta o ID de transferencia
+  reference: String,
+  // Solo efectivo: monto entregado por el cliente y vuelto devuelto
+  tendered: {
+    type: Number,
+    min: 0
+  },
+  change: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Turno de caja en que se cobró (si difiere del turno de la venta, p. ej. abonos a crédito)
+  registerSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RegisterSession'
+  }
+}, {
+  timestamps: true
+});
+
 const saleSchema = new mongoose.Schema({
   saleNumber: {
     type: String,
     required: true,
     unique: true
   },
+  // Serie de numeración (año + caja/sucursal) y posición dentro de ella
+  register: {
+    type: String,
+    trim: true
+  },
+  sequenceKey: String,
+  sequenceNumber: Number,
+  // Turno de caja en el que se registró la venta
+  registerSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RegisterSession'
+  },
   customer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
   items: [saleItemSchema],
+  // Suma de bases imponibles (sin impuesto)
+  subtotal: {
+    type: Number,
+    min: 0
+  },
+  // Descuento total por promociones y cupón presentado
+  promotionDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  appliedPromotions: [{
+    _id: false,
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    name: String,
+    type: { type: String },
+    discountAmount: Number
+  }],
+  couponCode: String,
+  // Total a pagar (subtotal + impuesto)
   totalAmount: {
     type: Number,
     required: true
   },
+  // Método principal; 'mixto' cuando la venta se pagó con varios métodos
   paymentMethod: {
     type: String,
-    enum: ['efectivo', 'tarjeta_credito', 'tarjeta_debito', 'transferencia'],
+    enum: ['efectivo', 'tarjeta_credito', 'tarjeta_debito', 'transferencia', 'mixto'],
     required: true
   },
+  payments: [paymentSchema],
   paymentStatus: {
     type: String,
     enum: ['pendiente', 'completado', 'cancelado'],
     default: 'pendiente'
   },
+  // Vencimiento del cargo en la cuenta del cliente (solo ventas a crédito)
+  dueDate: Date,
   seller: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Historial de cambios del estado de pago
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    date: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   notes: String,
+  // Impuesto total de la venta
   tax: {
     type: Number,
     default: 0
-  }
+  },
+  // Desglose por tarifa para declaraciones de impuestos
+  taxBreakdown: [{
+    _id: false,
+    code: String,
+    rate: Number,
+    base: Number,
+    tax: Number
+  }],
+  // Devoluciones parciales registradas sobre la venta
+  returns: [saleReturnSchema],
+  // Factura electrónica vigente de la venta
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  // Impresiones del ticket (desde la segunda se marca como reimpresión)
+  receiptPrintCount: {
+    type: Number,
+    default: 0
+  },
+  lastPrintedAt: Date,
+  // Monto neto reembolsado (suma de todas las devoluciones)
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Ventas registradas sin conexión: ID generado por la terminal (evita duplicados
+  // en reintentos), terminal de origen y momento en que se sincronizaron
+  clientId: String,
+  terminal: {
+    type: String,
+    trim: true
+  },
+  syncedAt: Date,
+  // Productos vendidos sin stock suficiente al sincronizar (el stock quedó negativo)
+  stockConflicts: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    productName: String,
+    requested: Number,
+    available: Number
+  }]
 }, {
   timestamps: true
 });
@@ -75,6 +350,12 @@ saleSchema.index({ saleNumber: 1 });
 saleSchema.index({ customer: 1 });
 saleSchema.index({ createdAt: 1 });
 saleSchema.index({ seller: 1 });
+saleSchema.index({ sequenceKey: 1, sequenceNumber: 1 });
+saleSchema.index({ registerSession: 1 });
+saleSchema.index({ 'returns.registerSession': 1 });
+saleSchema.index({ 'payments.registerSession': 1 });
+saleSchema.index({ customer: 1, paymentStatus: 1, dueDate: 1 });
+saleSchema.index({ clientId: 1 }, { unique: true, sparse: true });
 
 // Simulación de modelo para desarrollo
 const Sale = mongoose.models.Sale || mongoose.model('Sale', saleSchema);
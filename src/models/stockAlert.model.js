@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const stockAlertSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // bajo_stock: llegó al punto de reorden; sin_stock: se agotó
+  type: {
+    type: String,
+    enum: ['bajo_stock', 'sin_stock'],
+    required: true
+  },
+  // activa: pendiente; reconocida: alguien la vio; resuelta: el producto se repuso
+  status: {
+    type: String,
+    enum: ['activa', 'reconocida', 'resuelta'],
+    default: 'activa'
+  },
+  // Abierta hasta que se repone el stock; solo puede haber una abierta por producto
+  open: {
+    type: Boolean,
+    default: true
+  },
+  stock: {
+    type: Number,
+    required: true
+  },
+  reorderPoint: Number,
+  suggestedQuantity: Number,
+  unit: String,
+  // Movimiento de inventario que disparó la alerta
+  movement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryMovement'
+  },
+  escalatedAt: Date,
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: Date,
+  resolvedAt: Date,
+  resolvedStock: Number
+}, {
+  timestamps: true
+});
+
+// Índices para mejorar la búsqueda
+stockAlertSchema.index({ product: 1 }, { unique: true, partialFilterExpression: { open: true } });
+stockAlertSchema.index({ status: 1, createdAt: -1 });
+
+// Simulación de modelo para desarrollo
+const StockAlert = mongoose.models.StockAlert || mongoose.model('StockAlert', stockAlertSchema);
+
+module.exports = StockAlert;
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Identificación tributaria (RUC, NIT, CUIT, etc.)
+  taxId: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  contacts: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    role: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    }
+  }],
+  // Días que tarda en entregar desde que se envía la orden
+  leadTimeDays: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Productos que provee, con su código y costo en el catálogo del proveedor
+  products: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    supplierCode: {
+      type: String,
+      trim: true
+    },
+    cost: {
+      type: Number,
+      min: 0
+    },
+    minOrderQuantity: {
+      type: Number,
+      min: 0
+    }
+  }],
+  notes: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para mejorar la búsqueda
+supplierSchema.index({ taxId: 1 }, { unique: true, sparse: true });
+supplierSchema.index({ name: 1 });
+supplierSchema.index({ 'products.product': 1 });
+
+// Simulación de modelo para desarrollo
+const Supplier = mongoose.models.Supplier || mongoose.model('Supplier', supplierSchema);
+
+module.exports = Supplier;
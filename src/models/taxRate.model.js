@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const taxRateSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Porcentaje del impuesto (p. ej. 15 para IVA 15%)
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // Categorías de producto a las que se aplica esta tarifa
+  categories: [{
+    type: String,
+    enum: ['lácteos', 'bebidas', 'limpieza', 'frutas', 'verduras', 'carnes', 'panadería', 'otros']
+  }],
+  // Tarifa aplicada cuando la categoría no tiene una asignada
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Simulación de modelo para desarrollo
+const TaxRate = mongoose.models.TaxRate || mongoose.model('TaxRate', taxRateSchema);
+
+module.exports = TaxRate;
@@ -34,6 +34,30 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Identificación tributaria (cédula o RUC) y dirección para facturación
+  taxId: {
+    type: String,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  // Cuenta de crédito (fiado): límite, plazo de pago y saldo adeudado
+  creditLimit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  creditDays: {
+    type: Number,
+    default: 30,
+    min: 0
+  },
+  creditBalance: {
+    type: Number,
+    default: 0
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,17 @@
+const express = require('express');
+const analyticsController = require('../controllers/analytics.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Todas las rutas de analítica requieren autenticación
+router.use(authMiddleware.verifyAuth);
+
+// Rutas para analítica
+router.get('/sales', authMiddleware.requireRole('admin', 'employee'), analyticsController.getSalesAnalytics);
+router.get('/sellers', authMiddleware.requireRole('admin', 'employee'), analyticsController.getSellerPerformance);
+router.get('/commissions', authMiddleware.requireRole('admin', 'employee'), analyticsController.getCommissionStatement);
+router.get('/basket', authMiddleware.requireRole('admin', 'employee'), analyticsController.getBasketReport);
+router.get('/profit', authMiddleware.requireRole('admin'), analyticsController.getProfitReport);
+
+module.exports = router;
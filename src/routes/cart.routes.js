@@ -0,0 +1,28 @@
+const express = require('express');
+const cartController = require('../controllers/cart.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Todas las rutas de carritos requieren autenticación
+router.use(authMiddleware.verifyAuth);
+router.use(authMiddleware.requireUser);
+
+// Rutas para carritos
+router.get('/', cartController.getAllCarts);
+router.get('/:id', cartController.getCartById);
+router.post('/', cartController.createCart);
+router.put('/:id', cartController.updateCart);
+router.delete('/:id', cartController.deleteCart);
+
+// Líneas del carrito
+router.post('/:id/items', cartController.addItem);
+router.put('/:id/items/:productId', cartController.updateItem);
+router.delete('/:id/items/:productId', cartController.removeItem);
+
+// Estacionar, retomar y cerrar
+router.post('/:id/park', cartController.parkCart);
+router.post('/:id/resume', cartController.resumeCart);
+router.post('/:id/checkout', cartController.checkoutCart);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const commissionRuleController = require('../controllers/commissionRule.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Las reglas de comisión solo las configuran administradores
+router.use(authMiddleware.verifyAuth);
+router.use(authMiddleware.requireRole('admin'));
+
+// Rutas para reglas de comisión
+router.get('/', commissionRuleController.getAllRules);
+router.get('/:id', commissionRuleController.getRuleById);
+router.post('/', commissionRuleController.createRule);
+router.put('/:id', commissionRuleController.updateRule);
+router.delete('/:id', commissionRuleController.deleteRule);
+
+module.exports = router;
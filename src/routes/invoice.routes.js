@@ -0,0 +1,18 @@
+const express = require('express');
+const invoiceController = require('../controllers/invoice.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Las facturas (con datos fiscales de los compradores) solo las emite y consulta el personal
+router.use(authMiddleware.verifyAuth);
+router.use(authMiddleware.requireRole('admin', 'employee'));
+
+// Rutas para facturas electrónicas
+router.get('/', invoiceController.getAllInvoices);
+router.get('/:id', invoiceController.getInvoiceById);
+router.get('/:id/xml', invoiceController.getInvoiceXml);
+router.post('/', invoiceController.createInvoice);
+router.post('/:id/send', invoiceController.sendInvoice);
+
+module.exports = router;
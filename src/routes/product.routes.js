@@ -6,8 +6,33 @@ const router = express.Router();
 
 // Rutas públicas de productos (solo lectura)
 router.get('/', productController.getAllProducts);
+
+// Exportación del catálogo (incluye costos, solo personal); debe ir antes de /:id
+router.get('/export', authMiddleware.verifyAuth, authMiddleware.requireRole('admin', 'employee', authMiddleware.INTEGRATION_ROLE), productController.exportProducts);
+
+// Reposición: productos en su punto de reorden y agotados
+router.get('/low-stock', authMiddleware.verifyAuth, authMiddleware.requireRole('admin', 'employee', authMiddleware.INTEGRATION_ROLE), productController.getLowStockProducts);
+router.get('/out-of-stock', authMiddleware.verifyAuth, authMiddleware.requireRole('admin', 'employee', authMiddleware.INTEGRATION_ROLE), productController.getOutOfStockProducts);
+
+// Lotes por vencer y vencidos
+router.get('/lots/expiring', authMiddleware.verifyAuth, authMiddleware.requireRole('admin', 'employee'), productController.getExpiringLots);
+
+// Lectura de códigos en el POS (incluye códigos de balanza con peso o precio)
+router.get('/scan/:barcode', productController.scanBarcode);
+
+// Kardex: verificación de consistencia y alta de saldos iniciales; deben ir antes de /:id
+router.get('/inventory/consistency', authMiddleware.verifyAuth, authMiddleware.requireRole('admin'), productController.getInventoryConsistency);
+router.post('/inventory/opening-balances', authMiddleware.verifyAuth, authMiddleware.requireRole('admin'), productController.recordOpeningBalances);
+
 router.get('/:id', productController.getProductById);
 
+// Movimientos de inventario del producto
+router.get('/:id/lots', authMiddleware.verifyAuth, authMiddleware.requireRole('admin', 'employee'), productController.getProductLots);
+router.get('/:id/movements', authMiddleware.verifyAuth, authMiddleware.requireRole('admin', 'employee'), productController.getProductMovements);
+
+// Venta cruzada: productos que suelen comprarse juntos
+router.get('/:id/related', authMiddleware.verifyAuth, productController.getRelatedProducts);
+
 // Rutas protegidas (requieren autenticación)
 router.post('/', authMiddleware.verifyAuth, productController.createProduct);
 router.put('/:id', authMiddleware.verifyAuth, productController.updateProduct);
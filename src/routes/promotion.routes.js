@@ -0,0 +1,22 @@
+const express = require('express');
+const promotionController = require('../controllers/promotion.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Todas las rutas de promociones requieren autenticación
+router.use(authMiddleware.verifyAuth);
+
+// Previsualización de precios (no registra venta)
+router.post('/preview', promotionController.previewCart);
+
+// Consulta de promociones
+router.get('/', promotionController.getAllPromotions);
+router.get('/:id', promotionController.getPromotionById);
+
+// Administración de promociones (solo administradores)
+router.post('/', authMiddleware.requireRole('admin'), promotionController.createPromotion);
+router.put('/:id', authMiddleware.requireRole('admin'), promotionController.updatePromotion);
+router.delete('/:id', authMiddleware.requireRole('admin'), promotionController.deletePromotion);
+
+module.exports = router;
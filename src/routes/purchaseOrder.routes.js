@@ -0,0 +1,24 @@
+const express = require('express');
+const purchaseOrderController = require('../controllers/purchaseOrder.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Las compras las gestiona el personal
+router.use(authMiddleware.verifyAuth);
+router.use(authMiddleware.requireRole('admin', 'employee'));
+
+// Reposición sugerida desde el listado de bajo stock; debe ir antes de /:id
+router.get('/suggestions', purchaseOrderController.getSuggestedOrders);
+router.post('/suggestions', purchaseOrderController.createSuggestedOrders);
+
+// Rutas para órdenes de compra
+router.get('/', purchaseOrderController.getAllPurchaseOrders);
+router.get('/:id', purchaseOrderController.getPurchaseOrderById);
+router.post('/', purchaseOrderController.createPurchaseOrder);
+router.put('/:id', purchaseOrderController.updatePurchaseOrder);
+router.post('/:id/send', purchaseOrderController.sendPurchaseOrder);
+router.post('/:id/receive', purchaseOrderController.receivePurchaseOrder);
+router.post('/:id/cancel', purchaseOrderController.cancelPurchaseOrder);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const registerSessionController = require('../controllers/registerSession.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Todas las rutas de turnos de caja requieren autenticación
+router.use(authMiddleware.verifyAuth);
+router.use(authMiddleware.requireUser);
+
+// Rutas para turnos de caja
+router.get('/', registerSessionController.getAllSessions);
+router.get('/current', registerSessionController.getCurrentSession);
+router.get('/:id', registerSessionController.getSessionById);
+router.post('/open', registerSessionController.openSession);
+router.post('/:id/movements', registerSessionController.addMovement);
+router.post('/:id/close', registerSessionController.closeSession);
+
+module.exports = router;
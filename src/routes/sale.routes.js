@@ -10,9 +10,17 @@ router.use(authMiddleware.verifyAuth);
 // Rutas para ventas
 router.get('/', saleController.getAllSales);
 router.get('/stats', saleController.getSalesStats);
+router.get('/export', saleController.exportSales);
+router.get('/sequences', authMiddleware.requireRole('admin'), saleController.getSaleSequences);
+router.put('/sequences/:id', authMiddleware.requireRole('admin'), saleController.updateSaleSequence);
 router.get('/:id', saleController.getSaleById);
-router.post('/', saleController.createSale);
-router.put('/:id/payment-status', saleController.updatePaymentStatus);
-router.post('/:id/cancel', saleController.cancelSale);
+router.get('/:id/receipt', saleController.getSaleReceipt);
+router.post('/:id/receipt/print', authMiddleware.requireUser, saleController.printSaleReceipt);
+router.post('/', authMiddleware.requireUser, saleController.createSale);
+router.post('/sync', authMiddleware.requireUser, saleController.syncOfflineSales);
+router.put('/:id/payment-status', authMiddleware.requireUser, saleController.updatePaymentStatus);
+router.post('/:id/cancel', authMiddleware.requireUser, saleController.cancelSale);
+router.get('/:id/returns', saleController.getSaleReturns);
+router.post('/:id/returns', authMiddleware.requireRole('admin', 'employee'), saleController.createReturn);
 
 module.exports = router;
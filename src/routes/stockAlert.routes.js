@@ -0,0 +1,16 @@
+const express = require('express');
+const stockAlertController = require('../controllers/stockAlert.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Las alertas de stock son para el personal
+router.use(authMiddleware.verifyAuth);
+router.use(authMiddleware.requireRole('admin', 'employee'));
+
+// Rutas para alertas de stock
+router.get('/', stockAlertController.getAllAlerts);
+router.get('/summary', stockAlertController.getAlertSummary);
+router.post('/:id/acknowledge', stockAlertController.acknowledgeAlert);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const supplierController = require('../controllers/supplier.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Los proveedores los consulta el personal y los administra el admin
+router.use(authMiddleware.verifyAuth);
+router.use(authMiddleware.requireRole('admin', 'employee'));
+
+// Rutas para proveedores
+router.get('/', supplierController.getAllSuppliers);
+router.get('/:id', supplierController.getSupplierById);
+router.post('/', authMiddleware.requireRole('admin'), supplierController.createSupplier);
+router.put('/:id', authMiddleware.requireRole('admin'), supplierController.updateSupplier);
+router.delete('/:id', authMiddleware.requireRole('admin'), supplierController.deleteSupplier);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const taxRateController = require('../controllers/taxRate.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Todas las rutas de tarifas de impuesto requieren autenticación
+router.use(authMiddleware.verifyAuth);
+
+// Consulta de tarifas
+router.get('/', taxRateController.getAllTaxRates);
+router.get('/:id', taxRateController.getTaxRateById);
+
+// Configuración de tarifas (solo administradores)
+router.post('/', authMiddleware.requireRole('admin'), taxRateController.createTaxRate);
+router.put('/:id', authMiddleware.requireRole('admin'), taxRateController.updateTaxRate);
+router.delete('/:id', authMiddleware.requireRole('admin'), taxRateController.deleteTaxRate);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const authMiddleware = require('../middleware/auth.middleware');
 const userController = require('../controllers/user.controller');
+const accountController = require('../controllers/account.controller');
 
 const router = express.Router();
 
@@ -12,11 +13,26 @@ router.use(authMiddleware.verifyAuth);
  */
 router.get('/', userController.getAllUsers);
 
+/**
+ * Exportar usuarios a CSV o XLSX
+ */
+router.get('/export', authMiddleware.requireRole('admin'), userController.exportUsers);
+
 /**
  * Obtener un usuario por ID
  */
 router.get('/:id', userController.getUserById);
 
+/**
+ * Estado de cuenta de crédito de un cliente (saldo, antigüedad y movimientos)
+ */
+router.get('/:id/account', accountController.getAccount);
+
+/**
+ * Registrar un abono a la cuenta de crédito de un cliente
+ */
+router.post('/:id/account/payments', authMiddleware.requireRole('admin', 'employee'), accountController.recordPayment);
+
 /**
  * Crear un nuevo usuario
  */
@@ -6,6 +6,7 @@ const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const Product = require('../models/product.model');
 const logger = require('../utils/logger');
+const inventoryUtil = require('../utils/inventory.util');
 
 // Cargar variables de entorno
 dotenv.config();
@@ -20,9 +21,22 @@ async function addLowStockProduct() {
     const existingProduct = await Product.findOne({ code: 'P005' });
     
     if (existingProduct) {
-      // Actualizar el stock si ya existe
-      existingProduct.stock = 5;
+      // Punto de reorden por encima del stock que se deja al producto
+      existingProduct.reorderPoint = 10;
+      existingProduct.maxStock = 50;
       await existingProduct.save();
+      
+      // Actualizar el stock si ya existe (queda registrado en el kardex y abre la alerta)
+      const result = await inventoryUtil.applyMovement({
+        product: existingProduct,
+        quantity: 5 - existingProduct.stock,
+        type: 'ajuste',
+        reason: 'Script de producto con poco stock'
+      }, { expectedStock: existingProduct.stock });
+      
+      if (result.error) {
+        throw new Error(result.error);
+      }
       logger.info('Producto existente actualizado con poco stock');
     } else {
       // Crear nuevo producto con poco stock
@@ -32,7 +46,9 @@ async function addLowStockProduct() {
         description: 'Arroz grano largo, 1kg',
         price: 1800,
         cost: 1100,
-        stock: 5,     // Producto con poco stock (menor a 10)
+        stock: 5,     // Producto con poco stock (menor al punto de reorden)
+        reorderPoint: 10,
+        maxStock: 50,
         category: 'otros',  // Usando una categoría válida según el modelo
         imageUrl: 'https://via.placeholder.com/150',
         isActive: true,
@@ -42,6 +58,7 @@ async function addLowStockProduct() {
       });
 
       await newProduct.save();
+      await inventoryUtil.recordOpening(newProduct);
       logger.info('Nuevo producto con poco stock agregado correctamente');
     }
 
@@ -0,0 +1,157 @@
+/**
+ * Utilidades para cuentas de crédito de clientes (fiado)
+ * Registra cargos, abonos y ajustes en el libro de la cuenta y mantiene el saldo
+ * del cliente dentro de su límite de crédito.
+ */
+const User = require('../models/user.model');
+const AccountEntry = require('../models/accountEntry.model');
+const { roundAmount } = require('./payment.util');
+
+// Tolerancia para comparar montos con decimales acumulados
+const EPSILON = 0.005;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Saldo pendiente de una venta: total menos pagos y devoluciones acreditadas a la cuenta
+ * @param {Object} sale - Venta
+ * @returns {Number} Saldo pendiente
+ */
+function outstanding(sale) {
+  const paid = (sale.payments || []).reduce((sum, p) => sum + p.amount, 0);
+  const credited = (sale.returns || [])
+    .filter(r => r.refundMethod === 'cuenta_cliente')
+    .reduce((sum, r) => sum + r.totalRefund, 0);
+  
+  return roundAmount(sale.totalAmount - paid - credited);
+}
+
+/**
+ * Carga el saldo pendiente de una venta a crédito en la cuenta del cliente.
+ * Rechaza el cargo si el saldo resultante excede el límite de crédito; la verificación
+ * y el incremento del saldo son atómicos.
+ * @param {Object} sale - Venta pendiente (se le asigna la fecha de vencimiento)
+ * @param {Object} options - { session, userId }
+ * @returns {Promise<Object>} { entry } o { error, statusCode }
+ */
+async function postCharge(sale, { session, userId } = {}) {
+  const customer = await User.findById(sale.customer).session(session || null);
+  
+  if (!customer || customer.role !== 'customer') {
+    return { error: 'Las ventas a crédito requieren un cliente registrado', statusCode: 400 };
+  }
+  
+  if (!customer.isActive) {
+    return { error: 'La cuenta del cliente está inactiva', statusCode: 400 };
+  }
+  
+  const amount = outstanding(sale);
+  
+  const updated = await User.findOneAndUpdate(
+    {
+      _id: customer._id,
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ['$creditBalance', 0] }, amount] },
+          { $add: [{ $ifNull: ['$creditLimit', 0] }, EPSILON] }
+        ]
+      }
+    },
+    { $inc: { creditBalance: amount } },
+    { new: true, session }
+  );
+  
+  if (!updated) {
+    const available = roundAmount((customer.creditLimit || 0) - (customer.creditBalance || 0));
+    return {
+      error: `La venta excede el límite de crédito del cliente. Límite: ${customer.creditLimit || 0}, Disponible: ${Math.max(available, 0)}, Solicitado: ${amount}`,
+      statusCode: 400
+    };
+  }
+  
+  sale.dueDate = new Date((sale.createdAt || new Date()).getTime() + (customer.creditDays || 0) * DAY_MS);
+  
+  const [entry] = await AccountEntry.create([{
+    customer: customer._id,
+    type: 'cargo',
+    amount,
+    sale: sale._id,
+    dueDate: sale.dueDate,
+    user: userId,
+    notes: `Venta ${sale.saleNumber}`
+  }], { session });
+  
+  return { entry };
+}
+
+/**
+ * Registra un movimiento que reduce el saldo del cliente (abono o ajuste)
+ * @param {Object} data - Campos del movimiento (customer, type, amount, ...)
+ * @param {Object} session - Sesión de MongoDB (opcional)
+ * @returns {Promise<Object>} Movimiento creado
+ */
+async function postCredit(data, session) {
+  const amount = roundAmount(data.amount);
+  
+  await User.updateOne({ _id: data.customer }, { $inc: { creditBalance: -amount } }, { session });
+  
+  const [entry] = await AccountEntry.create([{ ...data, amount }], { session });
+  return entry;
+}
+
+/**
+ * Clasifica los saldos pendientes por antigüedad de vencimiento
+ * @param {Array} sales - Ventas a crédito pendientes
+ * @param {Date} date - Fecha de referencia
+ * @returns {Object} { aging, charges }
+ */
+function computeAging(sales, date = new Date()) {
+  const aging = { current: 0, days1to30: 0, days31to60: 0, days61to90: 0, over90: 0 };
+  const charges = [];
+  
+  for (const sale of sales) {
+    const amount = outstanding(sale);
+    if (amount <= 0) {
+      continue;
+    }
+    
+    const dueDate = sale.dueDate || sale.createdAt;
+    const daysOverdue = Math.max(Math.floor((date - dueDate) / DAY_MS), 0);
+    
+    let bucket = 'over90';
+    if (date <= dueDate) {
+      bucket = 'current';
+    } else if (daysOverdue <= 30) {
+      bucket = 'days1to30';
+    } else if (daysOverdue <= 60) {
+      bucket = 'days31to60';
+    } else if (daysOverdue <= 90) {
+      bucket = 'days61to90';
+    }
+    
+    aging[bucket] += amount;
+    charges.push({
+      sale: sale._id,
+      saleNumber: sale.saleNumber,
+      date: sale.createdAt,
+      dueDate,
+      totalAmount: sale.totalAmount,
+      outstanding: amount,
+      daysOverdue,
+      bucket
+    });
+  }
+  
+  for (const bucket of Object.keys(aging)) {
+    aging[bucket] = roundAmount(aging[bucket]);
+  }
+  
+  return { aging, charges };
+}
+
+module.exports = {
+  outstanding,
+  postCharge,
+  postCredit,
+  computeAging
+};
@@ -0,0 +1,255 @@
+/**
+ * Utilidades para analítica de ventas por zona horaria de la tienda
+ * Convierte fechas locales de la tienda a instantes UTC y calcula los períodos
+ * de comparación (período anterior y mismo período del año pasado).
+ */
+const { roundAmount } = require('./payment.util');
+
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+
+const WEEKDAYS = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+// Período por defecto cuando no se indica fecha de inicio
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Zona horaria de la tienda (STORE_TIMEZONE) o UTC
+ * @param {String} timezone - Zona horaria solicitada (opcional)
+ * @returns {String|null} Zona horaria válida o null si no es reconocida
+ */
+function resolveTimezone(timezone) {
+  const zone = timezone || process.env.STORE_TIMEZONE || 'UTC';
+  
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return zone;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Componentes de fecha y hora locales de un instante en una zona horaria
+ * @param {Date} date - Instante
+ * @param {String} timezone - Zona horaria
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function localParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  
+  const value = type => Number(parts.find(p => p.type === type).value);
+  
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second')
+  };
+}
+
+/**
+ * Convierte una fecha y hora local de la zona horaria a su instante UTC
+ * @param {Object} parts - { year, month, day, hour, minute, second }
+ * @param {String} timezone - Zona horaria
+ * @returns {Date} Instante UTC
+ */
+function toUtc(parts, timezone) {
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour || 0, parts.minute || 0, parts.second || 0);
+  
+  // Desfase de la zona en ese instante; se recalcula una vez por cambios de horario
+  const offsetAt = instant => {
+    const local = localParts(new Date(instant), timezone);
+    return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - instant;
+  };
+  
+  let instant = wallClock - offsetAt(wallClock);
+  instant = wallClock - offsetAt(instant);
+  
+  return new Date(instant);
+}
+
+/**
+ * Interpreta una fecha de consulta como hora local de la tienda.
+ * Las fechas con zona explícita (Z u offset) se respetan tal cual.
+ * @param {String} value - Fecha (YYYY-MM-DD o YYYY-MM-DDTHH:mm[:ss])
+ * @param {String} timezone - Zona horaria
+ * @returns {Object|null} { parts, dateOnly } o null si la fecha es inválida
+ */
+function parseLocalDate(value, timezone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(String(value));
+  
+  if (!match) {
+    const date = new Date(value);
+    return isNaN(date) ? null : { parts: localParts(date, timezone), dateOnly: false };
+  }
+  
+  return {
+    parts: {
+      year: Number(match[1]),
+      month: Number(match[2]),
+      day: Number(match[3]),
+      hour: Number(match[4] || 0),
+      minute: Number(match[5] || 0),
+      second: Number(match[6] || 0)
+    },
+    dateOnly: match[4] === undefined
+  };
+}
+
+/**
+ * Suma días a componentes locales (normalizando fin de mes)
+ */
+function addDays(parts, days) {
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days, parts.hour, parts.minute, parts.second));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds()
+  };
+}
+
+/**
+ * Resuelve el período consultado y sus períodos de comparación.
+ * El fin es exclusivo: una fecha final sin hora incluye el día completo.
+ * @param {Object} query - { startDate, endDate }
+ * @param {String} timezone - Zona horaria de la tienda
+ * @returns {Object} { current, previous, lastYear } con { start, end } o { error }
+ */
+function resolveRanges({ startDate, endDate }, timezone) {
+  const now = localParts(new Date(), timezone);
+  
+  let endParts;
+  if (endDate) {
+    const parsed = parseLocalDate(endDate, timezone);
+    if (!parsed) {
+      return { error: `Fecha final inválida: ${endDate}` };
+    }
+    endParts = parsed.dateOnly ? addDays(parsed.parts, 1) : parsed.parts;
+  } else {
+    endParts = addDays({ ...now, hour: 0, minute: 0, second: 0 }, 1);
+  }
+  
+  let startParts;
+  if (startDate) {
+    const parsed = parseLocalDate(startDate, timezone);
+    if (!parsed) {
+      return { error: `Fecha inicial inválida: ${startDate}` };
+    }
+    startParts = parsed.parts;
+  } else {
+    startParts = addDays({ ...endParts, hour: 0, minute: 0, second: 0 }, -DEFAULT_RANGE_DAYS);
+  }
+  
+  const current = { start: toUtc(startParts, timezone), end: toUtc(endParts, timezone) };
+  
+  if (current.start >= current.end) {
+    return { error: 'La fecha inicial debe ser anterior a la fecha final' };
+  }
+  
+  // Período anterior de igual duración, inmediatamente antes del actual
+  const length = current.end - current.start;
+  const previous = { start: new Date(current.start - length), end: current.start };
+  
+  // Mismo período del año pasado, en hora local
+  const lastYear = {
+    start: toUtc({ ...startParts, year: startParts.year - 1 }, timezone),
+    end: toUtc({ ...endParts, year: endParts.year - 1 }, timezone)
+  };
+  
+  return { current, previous, lastYear };
+}
+
+/**
+ * Variación porcentual entre dos valores (null si no hay base de comparación)
+ */
+function growth(current, base) {
+  if (!base) {
+    return null;
+  }
+  
+  return roundAmount(((current - base) / base) * 100);
+}
+
+/**
+ * Completa los indicadores de un período a partir de sus totales agregados
+ * @param {Object} totals - { tickets, revenue, refunded, units }
+ * @returns {Object} Indicadores del período
+ */
+function summarize(totals = {}) {
+  const tickets = totals.tickets || 0;
+  const revenue = totals.revenue || 0;
+  const refunded = totals.refunded || 0;
+  const units = totals.units || 0;
+  
+  return {
+    tickets,
+    revenue: roundAmount(revenue),
+    refunded: roundAmount(refunded),
+    netRevenue: roundAmount(revenue - refunded),
+    units,
+    averageTicket: tickets > 0 ? roundAmount(revenue / tickets) : 0,
+    unitsPerTicket: tickets > 0 ? roundAmount(units / tickets) : 0
+  };
+}
+
+/**
+ * Compara un período contra otro
+ * @param {Object} current - Indicadores del período actual
+ * @param {Object} base - Indicadores del período de comparación
+ * @returns {Object} Indicadores de la base y su variación porcentual
+ */
+function compare(current, base) {
+  return {
+    ...base,
+    growth: {
+      tickets: growth(current.tickets, base.tickets),
+      revenue: growth(current.revenue, base.revenue),
+      netRevenue: growth(current.netRevenue, base.netRevenue),
+      units: growth(current.units, base.units),
+      averageTicket: growth(current.averageTicket, base.averageTicket),
+      unitsPerTicket: growth(current.unitsPerTicket, base.unitsPerTicket)
+    }
+  };
+}
+
+/**
+ * Margen bruto a partir de ingresos netos y costo de lo vendido
+ * @param {Object} totals - { revenue, cost }
+ * @returns {Object} { revenue, cost, grossMargin, marginPercent }
+ */
+function margin({ revenue = 0, cost = 0 }) {
+  const grossMargin = revenue - cost;
+  
+  return {
+    revenue: roundAmount(revenue),
+    cost: roundAmount(cost),
+    grossMargin: roundAmount(grossMargin),
+    marginPercent: revenue > 0 ? roundAmount((grossMargin / revenue) * 100) : null
+  };
+}
+
+module.exports = {
+  GRANULARITIES,
+  WEEKDAYS,
+  resolveTimezone,
+  localParts,
+  toUtc,
+  resolveRanges,
+  summarize,
+  compare,
+  margin
+};
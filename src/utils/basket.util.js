@@ -0,0 +1,210 @@
+/**
+ * Análisis de canasta (productos que se compran juntos)
+ * Cada venta es una canasta con sus productos (o categorías) distintos; las líneas
+ * devueltas por completo no cuentan. Para cada par A-B se calcula:
+ * - soporte: fracción de canastas que contienen A y B
+ * - confianza A→B: fracción de canastas con A que también contienen B
+ * - lift: confianza A→B dividida por el soporte de B (> 1 indica asociación)
+ */
+const Sale = require('../models/sale.model');
+const { roundAmount } = require('./payment.util');
+
+const LEVELS = ['product', 'category'];
+
+// Redondeo de métricas con más precisión que los montos
+const round4 = value => Math.round(value * 10000) / 10000;
+
+/**
+ * Etapas que reducen cada venta a la lista de claves distintas de su canasta
+ * @param {Object} match - Filtro de ventas
+ * @param {String} level - product o category
+ */
+function basketStages(match, level) {
+  const keptItems = {
+    $filter: {
+      input: '$items',
+      as: 'i',
+      cond: { $gt: ['$$i.quantity', { $ifNull: ['$$i.returnedQuantity', 0] }] }
+    }
+  };
+  
+  if (level === 'product') {
+    return [
+      { $match: match },
+      { $project: { keys: { $setUnion: [{ $map: { input: keptItems, as: 'i', in: '$$i.product' } }, []] } } }
+    ];
+  }
+  
+  // Las ventas anteriores al registro de la categoría en la línea la toman del catálogo
+  return [
+    { $match: match },
+    {
+      $lookup: {
+        from: 'products',
+        localField: 'items.product',
+        foreignField: '_id',
+        as: 'catalog',
+        pipeline: [{ $project: { category: 1 } }]
+      }
+    },
+    {
+      $project: {
+        keys: {
+          $setUnion: [{
+            $map: {
+              input: keptItems,
+              as: 'i',
+              in: {
+                $ifNull: [
+                  '$$i.category',
+                  {
+                    $let: {
+                      vars: { index: { $indexOfArray: ['$catalog._id', '$$i.product'] } },
+                      in: { $cond: [{ $gte: ['$$index', 0] }, { $arrayElemAt: ['$catalog.category', '$$index'] }, 'otros'] }
+                    }
+                  }
+                ]
+              }
+            }
+          }, []]
+        }
+      }
+    }
+  ];
+}
+
+/**
+ * Métricas de un par a partir de sus conteos
+ */
+function pairMetrics(pairCount, countA, countB, transactions) {
+  const support = pairCount / transactions;
+  const confidenceAB = countA > 0 ? pairCount / countA : 0;
+  const confidenceBA = countB > 0 ? pairCount / countB : 0;
+  const supportB = countB / transactions;
+  
+  return {
+    transactions: pairCount,
+    support: round4(support),
+    confidenceAB: round4(confidenceAB),
+    confidenceBA: round4(confidenceBA),
+    lift: supportB > 0 ? roundAmount(confidenceAB / supportB) : 0
+  };
+}
+
+/**
+ * Calcula las asociaciones entre pares de productos o categorías
+ * @param {Object} options - { match, level, minSupport, minConfidence, limit }
+ * @returns {Promise<Object>} { transactions, pairs: [{ a, b, countA, countB, ...métricas }] }
+ */
+async function analyzePairs({ match, level = 'product', minSupport = 0.01, minConfidence = 0, limit = 50 }) {
+  // Canastas y frecuencia de cada clave
+  const [totals] = await Sale.aggregate([
+    ...basketStages(match, level),
+    {
+      $facet: {
+        transactions: [{ $match: { 'keys.0': { $exists: true } } }, { $count: 'count' }],
+        items: [{ $unwind: '$keys' }, { $group: { _id: '$keys', count: { $sum: 1 } } }]
+      }
+    }
+  ]).allowDiskUse(true);
+  
+  const transactions = totals.transactions.length > 0 ? totals.transactions[0].count : 0;
+  if (transactions === 0) {
+    return { transactions, pairs: [] };
+  }
+  
+  const counts = new Map(totals.items.map(item => [String(item._id), item.count]));
+  const minCount = Math.max(1, Math.ceil(minSupport * transactions));
+  
+  // Los pares se cuentan fuera de $facet: su resultado es un único documento limitado a 16 MB
+  const pairCounts = await Sale.aggregate([
+    ...basketStages(match, level),
+    { $match: { 'keys.1': { $exists: true } } },
+    { $project: { a: '$keys', b: '$keys' } },
+    { $unwind: '$a' },
+    { $unwind: '$b' },
+    { $match: { $expr: { $lt: ['$a', '$b'] } } },
+    { $group: { _id: { a: '$a', b: '$b' }, count: { $sum: 1 } } },
+    { $match: { count: { $gte: minCount } } }
+  ]).allowDiskUse(true);
+  
+  const pairs = pairCounts
+    .map(pair => {
+      const countA = counts.get(String(pair._id.a)) || 0;
+      const countB = counts.get(String(pair._id.b)) || 0;
+      
+      return { a: pair._id.a, b: pair._id.b, countA, countB, ...pairMetrics(pair.count, countA, countB, transactions) };
+    })
+    .filter(pair => Math.max(pair.confidenceAB, pair.confidenceBA) >= minConfidence)
+    .sort((x, y) => y.lift - x.lift || y.support - x.support)
+    .slice(0, limit);
+  
+  return { transactions, pairs };
+}
+
+/**
+ * Productos que suelen comprarse junto con un producto dado
+ * @param {Object} options - { match, productId, limit, minCount }
+ * @returns {Promise<Object>} { transactions, basketsWithProduct, related: [{ product, ...métricas }] }
+ */
+async function relatedProducts({ match, productId, limit = 5, minCount = 2 }) {
+  // Canastas que contienen el producto y conteo de los demás productos en ellas
+  const together = await Sale.aggregate([
+    ...basketStages({ ...match, 'items.product': productId }, 'product'),
+    { $match: { keys: productId } },
+    {
+      $facet: {
+        baskets: [{ $count: 'count' }],
+        others: [
+          { $unwind: '$keys' },
+          { $match: { keys: { $ne: productId } } },
+          { $group: { _id: '$keys', count: { $sum: 1 } } },
+          { $match: { count: { $gte: minCount } } }
+        ]
+      }
+    }
+  ]);
+  
+  const basketsWithProduct = together[0].baskets.length > 0 ? together[0].baskets[0].count : 0;
+  const candidates = together[0].others;
+  
+  if (basketsWithProduct === 0 || candidates.length === 0) {
+    return { basketsWithProduct, related: [] };
+  }
+  
+  // Frecuencia global de los candidatos y total de canastas para el lift
+  const [global] = await Sale.aggregate([
+    ...basketStages(match, 'product'),
+    {
+      $facet: {
+        transactions: [{ $match: { 'keys.0': { $exists: true } } }, { $count: 'count' }],
+        items: [
+          { $unwind: '$keys' },
+          { $match: { keys: { $in: candidates.map(c => c._id) } } },
+          { $group: { _id: '$keys', count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+  
+  const transactions = global.transactions.length > 0 ? global.transactions[0].count : 0;
+  const counts = new Map(global.items.map(item => [String(item._id), item.count]));
+  
+  const related = candidates
+    .map(candidate => ({
+      product: candidate._id,
+      ...pairMetrics(candidate.count, basketsWithProduct, counts.get(String(candidate._id)) || 0, transactions)
+    }))
+    // Solo asociaciones positivas, ordenadas por probabilidad de compra conjunta
+    .filter(r => r.lift > 1)
+    .sort((x, y) => y.confidenceAB - x.confidenceAB || y.lift - x.lift)
+    .slice(0, limit);
+  
+  return { transactions, basketsWithProduct, related };
+}
+
+module.exports = {
+  LEVELS,
+  analyzePairs,
+  relatedProducts
+};
@@ -0,0 +1,109 @@
+/**
+ * Cálculo de comisiones de vendedores
+ * La base de comisión son las ventas netas del mes (sin impuesto, luego de
+ * descuentos y devoluciones). Las reglas activas que aplican a un vendedor se suman.
+ */
+const { roundAmount } = require('./payment.util');
+
+/**
+ * Valida la configuración de una regla según su tipo
+ * @param {Object} rule - Datos de la regla
+ * @returns {String|null} Mensaje de error o null si es válida
+ */
+function validateRule(rule) {
+  switch (rule.type) {
+    case 'porcentaje':
+      if (rule.percentage === undefined || rule.percentage === null) {
+        return 'La regla de porcentaje requiere percentage';
+      }
+      return null;
+    case 'escalonado':
+      if (!Array.isArray(rule.tiers) || rule.tiers.length === 0) {
+        return 'La regla escalonada requiere al menos un tramo en tiers';
+      }
+      return null;
+    case 'categoria':
+      if (!Array.isArray(rule.categoryRates) || rule.categoryRates.length === 0) {
+        return 'La regla por categoría requiere categoryRates';
+      }
+      return null;
+    default:
+      return `Tipo de regla inválido: ${rule.type}`;
+  }
+}
+
+/**
+ * Indica si una regla aplica a un vendedor
+ */
+function appliesTo(rule, sellerId) {
+  return !rule.sellers || rule.sellers.length === 0 ||
+    rule.sellers.some(s => s.toString() === String(sellerId));
+}
+
+/**
+ * Calcula la comisión mensual de un vendedor
+ * @param {Array} rules - Reglas activas
+ * @param {String} sellerId - ID del vendedor
+ * @param {Object} base - { revenue, byCategory: { categoría: monto } }
+ * @returns {Object} { total, details: [{ rule, name, type, base, percentage, amount }] }
+ */
+function compute(rules, sellerId, { revenue, byCategory = {} }) {
+  const details = [];
+  
+  for (const rule of rules.filter(r => appliesTo(r, sellerId))) {
+    if (rule.type === 'porcentaje') {
+      details.push({
+        rule: rule._id,
+        name: rule.name,
+        type: rule.type,
+        base: roundAmount(revenue),
+        percentage: rule.percentage,
+        amount: roundAmount(revenue * rule.percentage / 100)
+      });
+    } else if (rule.type === 'escalonado') {
+      // Tramo más alto alcanzado por las ventas del mes
+      const tier = [...rule.tiers]
+        .sort((a, b) => b.minRevenue - a.minRevenue)
+        .find(t => revenue >= t.minRevenue);
+      const percentage = tier ? tier.percentage : 0;
+      
+      details.push({
+        rule: rule._id,
+        name: rule.name,
+        type: rule.type,
+        base: roundAmount(revenue),
+        percentage,
+        tier: tier ? tier.minRevenue : null,
+        amount: roundAmount(revenue * percentage / 100)
+      });
+    } else if (rule.type === 'categoria') {
+      for (const rate of rule.categoryRates) {
+        const categoryRevenue = byCategory[rate.category] || 0;
+        if (categoryRevenue <= 0) {
+          continue;
+        }
+        
+        details.push({
+          rule: rule._id,
+          name: rule.name,
+          type: rule.type,
+          category: rate.category,
+          base: roundAmount(categoryRevenue),
+          percentage: rate.percentage,
+          amount: roundAmount(categoryRevenue * rate.percentage / 100)
+        });
+      }
+    }
+  }
+  
+  return {
+    total: roundAmount(details.reduce((sum, d) => sum + d.amount, 0)),
+    details
+  };
+}
+
+module.exports = {
+  validateRule,
+  appliesTo,
+  compute
+};
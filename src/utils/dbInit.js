@@ -2,14 +2,20 @@ const bcrypt = require('bcrypt');
 const logger = require('./logger');
 const User = require('../models/user.model');
 const Product = require('../models/product.model');
+const InventoryMovement = require('../models/inventoryMovement.model');
 const Sale = require('../models/sale.model');
+const Counter = require('../models/counter.model');
+const TaxRate = require('../models/taxRate.model');
+const sequenceUtil = require('./sequence.util');
 
 exports.initializeDatabase = async () => {
   try {
     logger.info('Verificando datos iniciales en la base de datos...');
     await initializeUsers();
+    await initializeTaxRates();
     await initializeProducts();
     await initializeSales();
+    await initializeCounters();
     logger.info('Verificación de datos iniciales completada');
   } catch (error) {
     logger.error(`Error al inicializar la base de datos: ${error.message}`);
@@ -62,6 +68,38 @@ async function initializeUsers() {
   }
 }
 
+/**
+ * Inicializa las tarifas de impuesto por defecto si no existen
+ */
+async function initializeTaxRates() {
+  const taxRatesCount = await TaxRate.countDocuments();
+  
+  if (taxRatesCount === 0) {
+    logger.info('No se encontraron tarifas de impuesto, creando tarifas por defecto...');
+    
+    const taxRates = [
+      {
+        code: 'IVA15',
+        name: 'IVA 15%',
+        rate: 15,
+        categories: ['bebidas', 'limpieza', 'otros'],
+        isDefault: true
+      },
+      {
+        code: 'IVA0',
+        name: 'IVA 0%',
+        rate: 0,
+        categories: ['lácteos', 'frutas', 'verduras', 'carnes', 'panadería']
+      }
+    ];
+    
+    await TaxRate.insertMany(taxRates);
+    logger.info(`${taxRates.length} tarifas de impuesto creadas correctamente`);
+  } else {
+    logger.info(`Se encontraron ${taxRatesCount} tarifas de impuesto existentes`);
+  }
+}
+
 /**
  * Inicializa productos por defecto si no existen
  */
@@ -144,7 +182,17 @@ async function initializeProducts() {
       }
     ];
     
-    await Product.insertMany(products);
+    const created = await Product.insertMany(products);
+    
+    // Saldo inicial de cada producto en el kardex
+    await InventoryMovement.insertMany(created.filter(p => p.stock).map(p => ({
+      product: p._id,
+      type: 'inicial',
+      quantity: p.stock,
+      balance: p.stock,
+      unit: p.unit,
+      reason: 'Saldo inicial'
+    })));
     logger.info(`${products.length} productos creados correctamente`);
   } else {
     logger.info(`Se encontraron ${productsCount} productos existentes`);
@@ -271,3 +319,40 @@ async function initializeSales() {
     logger.info(`Se encontraron ${salesCount} ventas existentes`);
   }
 }
+
+/**
+ * Sincroniza la serie principal del año en curso con las ventas numeradas
+ * antes de existir el contador (formato V<año>-<n>), para evitar colisiones
+ */
+async function initializeCounters() {
+  const year = new Date().getFullYear();
+  const key = sequenceUtil.buildKey('sale', year);
+  
+  const legacySales = await Sale.find({
+    saleNumber: { $regex: `^V${year}-\\d+$` },
+    sequenceKey: { $exists: false }
+  }).select('saleNumber');
+  
+  if (legacySales.length === 0) {
+    return;
+  }
+  
+  logger.info(`Sincronizando ${legacySales.length} ventas con la serie ${key}...`);
+  
+  let maxSeq = 0;
+  for (const sale of legacySales) {
+    const seq = Number(sale.saleNumber.split('-').pop());
+    maxSeq = Math.max(maxSeq, seq);
+    await Sale.updateOne({ _id: sale._id }, { sequenceKey: key, sequenceNumber: seq });
+  }
+  
+  const counter = await Counter.findOne({ key });
+  if (!counter) {
+    await Counter.create({ key, name: 'sale', year, seq: maxSeq });
+  } else if (counter.seq < maxSeq) {
+    counter.seq = maxSeq;
+    await counter.save();
+  }
+  
+  logger.info(`Serie ${key} sincronizada en el número ${maxSeq}`);
+}
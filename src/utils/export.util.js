@@ -0,0 +1,229 @@
+/**
+ * Exportación de listados a CSV y XLSX en streaming
+ * Las filas se consumen de un iterable asíncrono (normalmente un cursor de Mongo)
+ * y se escriben en la respuesta a medida que llegan.
+ */
+const zipUtil = require('./zip.util');
+const analyticsUtil = require('./analytics.util');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const LANGUAGES = ['es', 'en'];
+
+/**
+ * Selecciona las columnas pedidas (columns=a,b,c) en el orden indicado
+ * @param {Array} definitions - [{ key, header: { es, en }, value(row) }]
+ * @param {String} requested - Lista separada por comas (opcional; por defecto todas)
+ * @returns {Object} { columns } o { error }
+ */
+function resolveColumns(definitions, requested) {
+  if (!requested) {
+    return { columns: definitions };
+  }
+  
+  const keys = String(requested).split(',').map(k => k.trim()).filter(Boolean);
+  const unknown = keys.filter(key => !definitions.some(d => d.key === key));
+  
+  if (unknown.length > 0) {
+    return {
+      error: `Columnas desconocidas: ${unknown.join(', ')}. Disponibles: ${definitions.map(d => d.key).join(', ')}`
+    };
+  }
+  
+  return { columns: keys.map(key => definitions.find(d => d.key === key)) };
+}
+
+/**
+ * Valida formato e idioma de la exportación
+ * @param {Object} query - { format, lang }
+ * @returns {Object} { format, lang } o { error }
+ */
+function resolveOptions({ format = 'csv', lang = 'es' }) {
+  if (!FORMATS[format]) {
+    return { error: `Formato inválido: ${format}. Valores permitidos: ${Object.keys(FORMATS).join(', ')}` };
+  }
+  
+  if (!LANGUAGES.includes(lang)) {
+    return { error: `Idioma inválido: ${lang}. Valores permitidos: ${LANGUAGES.join(', ')}` };
+  }
+  
+  return { format, lang };
+}
+
+/**
+ * Fecha en hora local de la tienda (YYYY-MM-DD HH:mm:ss)
+ */
+function formatDate(date) {
+  if (!date) {
+    return '';
+  }
+  
+  const timezone = analyticsUtil.resolveTimezone() || 'UTC';
+  const p = analyticsUtil.localParts(new Date(date), timezone);
+  const pad = n => String(n).padStart(2, '0');
+  
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+/**
+ * Celda CSV escapada. Los textos que empiezan con =, +, - o @ se prefijan con
+ * comilla simple para que las hojas de cálculo no los interpreten como fórmulas.
+ */
+function csvCell(value, delimiter) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  
+  let text = String(value);
+  
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  
+  return text;
+}
+
+/**
+ * Escapa texto para XML eliminando caracteres de control no permitidos
+ */
+function xmlEscape(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function xlsxRow(values) {
+  const cells = values.map(value => {
+    if (value === undefined || value === null || value === '') {
+      return '<c/>';
+    }
+    
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return `<c><v>${value}</v></c>`;
+    }
+    
+    if (typeof value === 'boolean') {
+      return `<c t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+    
+    return `<c t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+  });
+  
+  return `<row>${cells.join('')}</row>`;
+}
+
+/**
+ * Escribe un archivo CSV
+ */
+async function writeCsv(res, headers, rows, delimiter) {
+  const write = text => zipUtil.writeTo(res, text);
+  
+  // BOM para que Excel reconozca UTF-8
+  await write('\uFEFF' + headers.map(h => csvCell(h, delimiter)).join(delimiter) + '\r\n');
+  
+  for await (const values of rows) {
+    await write(values.map(v => csvCell(v, delimiter)).join(delimiter) + '\r\n');
+  }
+}
+
+/**
+ * Escribe un libro XLSX con una sola hoja
+ */
+async function writeXlsx(res, headers, rows, sheetName) {
+  const zip = zipUtil.createZipWriter(res);
+  
+  await zip.addFile('[Content_Types].xml', [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+    '<Default Extension="xml" ContentType="application/xml"/>',
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>',
+    '</Types>'
+  ]);
+  
+  await zip.addFile('_rels/.rels', [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>',
+    '</Relationships>'
+  ]);
+  
+  await zip.addFile('xl/workbook.xml', [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ',
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">',
+    `<sheets><sheet name="${xmlEscape(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`,
+    '</workbook>'
+  ]);
+  
+  await zip.addFile('xl/_rels/workbook.xml.rels', [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>',
+    '</Relationships>'
+  ]);
+  
+  async function* sheet() {
+    yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    yield '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>';
+    yield xlsxRow(headers);
+    
+    for await (const values of rows) {
+      yield xlsxRow(values);
+    }
+    
+    yield '</sheetData></worksheet>';
+  }
+  
+  await zip.addFile('xl/worksheets/sheet1.xml', sheet());
+  await zip.finish();
+}
+
+/**
+ * Envía la exportación como descarga
+ * @param {Object} res - Respuesta HTTP
+ * @param {Object} options - { format, lang, columns, rows (iterable asíncrono de registros),
+ *   filename, sheetName, delimiter }
+ */
+async function send(res, { format, lang, columns, rows, filename, sheetName, delimiter = ',' }) {
+  const { contentType, extension } = FORMATS[format];
+  
+  res.status(200);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+  
+  const headers = columns.map(c => c.header[lang]);
+  
+  async function* values() {
+    for await (const row of rows) {
+      yield columns.map(c => c.value(row));
+    }
+  }
+  
+  if (format === 'csv') {
+    await writeCsv(res, headers, values(), delimiter);
+  } else {
+    await writeXlsx(res, headers, values(), sheetName || filename);
+  }
+  
+  res.end();
+}
+
+module.exports = {
+  FORMATS,
+  resolveColumns,
+  resolveOptions,
+  formatDate,
+  send
+};
@@ -0,0 +1,180 @@
+/**
+ * Kardex de inventario
+ * Todo cambio de stock pasa por applyMovement, que actualiza el producto de forma
+ * atómica y registra el movimiento con el saldo resultante en la misma transacción.
+ * Cada movimiento reevalúa además las alertas de bajo stock del producto.
+ */
+const Product = require('../models/product.model');
+const InventoryMovement = require('../models/inventoryMovement.model');
+const unitUtil = require('./unit.util');
+const stockAlertUtil = require('./stockAlert.util');
+
+const MOVEMENT_TYPES = ['inicial', 'venta', 'cancelacion', 'devolucion', 'ajuste', 'compra'];
+
+// Decimales con los que se redondea el stock (la mayor precisión entre las unidades)
+const STOCK_DECIMALS = Math.max(...Object.values(unitUtil.UNITS).map(u => u.decimals));
+
+const roundStock = value => Math.round(value * Math.pow(10, STOCK_DECIMALS)) / Math.pow(10, STOCK_DECIMALS);
+
+/**
+ * Aplica un movimiento de inventario
+ * @param {Object} movement - { product (ID o documento), quantity (con signo), type, user,
+ *   reference, referenceModel, referenceNumber, reason, lots }
+ * @param {Object} options - { session, allowNegative, expectedStock }
+ *   allowNegative: permite que el stock quede negativo (ventas sin conexión)
+ *   expectedStock: solo aplica si el stock no cambió desde que se leyó (ajustes a un valor fijo)
+ * @returns {Promise<Object>} { product, movement } o { error, statusCode }
+ */
+async function applyMovement(movement, { session, allowNegative = false, expectedStock } = {}) {
+  const productId = movement.product && movement.product._id ? movement.product._id : movement.product;
+  const quantity = Number(movement.quantity);
+  
+  const filter = { _id: productId };
+  if (expectedStock !== undefined) {
+    filter.stock = expectedStock;
+  } else if (quantity < 0 && !allowNegative) {
+    filter.stock = { $gte: -quantity };
+  }
+  
+  // Actualización con pipeline para sumar y redondear en una sola operación atómica
+  const product = await Product.findOneAndUpdate(
+    filter,
+    [{ $set: { stock: { $round: [{ $add: ['$stock', quantity] }, STOCK_DECIMALS] } } }],
+    { new: true, session }
+  );
+  
+  if (!product) {
+    const current = await Product.findById(productId).session(session || null);
+    
+    if (!current) {
+      return { error: `Producto con ID ${productId} no encontrado`, statusCode: 404 };
+    }
+    
+    if (expectedStock !== undefined) {
+      return { error: `El stock de ${current.name} cambió mientras se ajustaba, intente de nuevo`, statusCode: 409 };
+    }
+    
+    return {
+      error: `Stock insuficiente para ${current.name}. Disponible: ${unitUtil.formatQuantity(current.stock, current.unit)}, Solicitado: ${unitUtil.formatQuantity(-quantity, current.unit)}`,
+      statusCode: 400
+    };
+  }
+  
+  const [entry] = await InventoryMovement.create([{
+    product: product._id,
+    type: movement.type,
+    quantity,
+    balance: product.stock,
+    unit: product.unit,
+    user: movement.user,
+    referenceModel: movement.referenceModel,
+    reference: movement.reference,
+    referenceNumber: movement.referenceNumber,
+    reason: movement.reason,
+    lots: movement.lots
+  }], { session });
+  
+  // El nuevo saldo puede abrir, escalar o resolver la alerta de stock del producto
+  await stockAlertUtil.evaluate(product, { session, movement: entry });
+  
+  return { product, movement: entry };
+}
+
+/**
+ * Registra el saldo inicial de un producto que entra al kardex con stock
+ * @param {Object} product - Producto (ya guardado)
+ * @param {Object} options - { session, user, reason }
+ * @returns {Promise<Object|null>} Movimiento creado o null si no tiene stock
+ */
+async function recordOpening(product, { session, user, reason = 'Saldo inicial' } = {}) {
+  if (!product.stock) {
+    return null;
+  }
+  
+  const [entry] = await InventoryMovement.create([{
+    product: product._id,
+    type: 'inicial',
+    quantity: product.stock,
+    balance: product.stock,
+    unit: product.unit,
+    user,
+    reason
+  }], { session });
+  
+  await stockAlertUtil.evaluate(product, { session, movement: entry });
+  
+  return entry;
+}
+
+/**
+ * Reconstruye el stock de cada producto sumando su kardex y lo compara con el stock actual
+ * @param {Object} filter - Filtro de productos (opcional)
+ * @returns {Promise<Object>} { checked, consistent, drifted: [...], untracked: [...] }
+ */
+async function checkConsistency(filter = {}) {
+  const products = await Product.find(filter).select('code name unit stock');
+  
+  const ledger = await InventoryMovement.aggregate([
+    { $match: { product: { $in: products.map(p => p._id) } } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    {
+      $group: {
+        _id: '$product',
+        total: { $sum: '$quantity' },
+        movements: { $sum: 1 },
+        lastBalance: { $last: '$balance' },
+        lastMovementAt: { $last: '$createdAt' }
+      }
+    }
+  ]);
+  const byProduct = new Map(ledger.map(entry => [entry._id.toString(), entry]));
+  
+  const drifted = [];
+  const untracked = [];
+  
+  for (const product of products) {
+    const entry = byProduct.get(product._id.toString());
+    
+    // Productos sin movimientos: su stock no tiene respaldo en el kardex
+    if (!entry) {
+      if (product.stock) {
+        untracked.push({ product: product._id, code: product.code, name: product.name, unit: product.unit, stock: product.stock });
+      }
+      continue;
+    }
+    
+    const ledgerStock = roundStock(entry.total);
+    const drift = roundStock(product.stock - ledgerStock);
+    
+    if (drift !== 0) {
+      drifted.push({
+        product: product._id,
+        code: product.code,
+        name: product.name,
+        unit: product.unit,
+        stock: product.stock,
+        ledgerStock,
+        drift,
+        lastBalance: entry.lastBalance,
+        movements: entry.movements,
+        lastMovementAt: entry.lastMovementAt
+      });
+    }
+  }
+  
+  return {
+    checked: products.length,
+    consistent: products.length - drifted.length - untracked.length,
+    drifted,
+    untracked
+  };
+}
+
+module.exports = {
+  MOVEMENT_TYPES,
+  STOCK_DECIMALS,
+  roundStock,
+  applyMovement,
+  recordOpening,
+  checkConsistency
+};
@@ -0,0 +1,299 @@
+/**
+ * Utilidades de facturación electrónica (esquema de factura 1.1.0 del SRI)
+ * Genera la clave de acceso y el XML del comprobante listo para firmar.
+ */
+const crypto = require('crypto');
+const { roundAmount } = require('./payment.util');
+const unitUtil = require('./unit.util');
+
+// Identificación del consumidor final
+const FINAL_CONSUMER_ID = '9999999999999';
+
+// Monto máximo permitido para facturar a consumidor final
+const FINAL_CONSUMER_LIMIT = Number(process.env.INVOICE_FINAL_CONSUMER_LIMIT) || 50;
+
+// Código de porcentaje de IVA según la tarifa
+const VAT_PERCENT_CODES = { 0: '0', 5: '5', 12: '2', 13: '10', 14: '3', 15: '4' };
+
+// Forma de pago según el método registrado en la venta
+const PAYMENT_CODES = {
+  efectivo: '01',
+  tarjeta_debito: '16',
+  tarjeta_credito: '19',
+  transferencia: '20'
+};
+
+/**
+ * Datos del emisor, configurables por variables de entorno
+ */
+function issuerConfig() {
+  return {
+    ruc: process.env.INVOICE_RUC || process.env.STORE_TAX_ID || '',
+    businessName: process.env.INVOICE_BUSINESS_NAME || process.env.STORE_NAME || 'Supermercado',
+    tradeName: process.env.STORE_NAME || 'Supermercado',
+    address: process.env.STORE_ADDRESS || '',
+    establishment: (process.env.INVOICE_ESTABLISHMENT || '001').padStart(3, '0'),
+    emissionPoint: (process.env.INVOICE_EMISSION_POINT || '001').padStart(3, '0'),
+    environment: process.env.INVOICE_ENVIRONMENT === '2' ? '2' : '1',
+    requiredAccounting: process.env.INVOICE_REQUIRED_ACCOUNTING || 'SI',
+    timezone: process.env.STORE_TIMEZONE
+  };
+}
+
+/**
+ * Calcula el dígito verificador módulo 11 (pesos 2 a 7 de derecha a izquierda)
+ * @param {String} digits - Cadena de dígitos
+ * @returns {Number} Dígito verificador
+ */
+function mod11(digits) {
+  let sum = 0;
+  let weight = 2;
+  
+  for (let i = digits.length - 1; i >= 0; i--) {
+    sum += Number(digits[i]) * weight;
+    weight = weight === 7 ? 2 : weight + 1;
+  }
+  
+  const check = 11 - (sum % 11);
+  if (check === 11) return 0;
+  if (check === 10) return 1;
+  return check;
+}
+
+/**
+ * Devuelve día, mes y año de una fecha en la zona horaria de la tienda
+ */
+function dateParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    day: '2-digit', month: '2-digit', year: 'numeric', ...(timezone ? { timeZone: timezone } : {})
+  }).formatToParts(date);
+  const get = type => parts.find(p => p.type === type).value;
+  return { day: get('day'), month: get('month'), year: get('year') };
+}
+
+/**
+ * Construye la clave de acceso de 49 dígitos
+ * @param {Object} data - { date, docType, ruc, environment, establishment, emissionPoint, sequential, numericCode, emissionType, timezone }
+ * @returns {String} Clave de acceso
+ */
+function buildAccessKey({
+  date, docType = '01', ruc, environment, establishment, emissionPoint,
+  sequential, numericCode, emissionType = '1', timezone
+}) {
+  const { day, month, year } = dateParts(date, timezone);
+  const code = numericCode || crypto.randomInt(0, 100000000).toString().padStart(8, '0');
+  
+  const base = `${day}${month}${year}` +
+    docType +
+    ruc.padStart(13, '0') +
+    environment +
+    establishment +
+    emissionPoint +
+    sequential.toString().padStart(9, '0') +
+    code +
+    emissionType;
+  
+  return base + mod11(base);
+}
+
+/**
+ * Resuelve los datos del comprador a partir del cliente de la venta o de los datos indicados
+ * @param {Object} customer - Cliente de la venta (opcional)
+ * @param {Object} override - Datos del comprador enviados al facturar (opcional)
+ * @returns {Object} { idType, taxId, name, address, email }
+ */
+function resolveBuyer(customer, override = {}) {
+  const taxId = (override.taxId || (customer && customer.taxId) || '').trim();
+  const name = override.name ||
+    (customer && [customer.firstName, customer.lastName].filter(Boolean).join(' ')) ||
+    'CONSUMIDOR FINAL';
+  
+  let idType;
+  if (!taxId || taxId === FINAL_CONSUMER_ID) {
+    idType = '07';
+  } else if (/^\d{13}$/.test(taxId)) {
+    idType = '04';
+  } else if (/^\d{10}$/.test(taxId)) {
+    idType = '05';
+  } else {
+    idType = '06';
+  }
+  
+  return {
+    idType,
+    taxId: idType === '07' ? FINAL_CONSUMER_ID : taxId,
+    name: idType === '07' ? 'CONSUMIDOR FINAL' : name,
+    address: override.address || (customer && customer.address),
+    email: override.email || (customer && customer.email)
+  };
+}
+
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function tag(name, value) {
+  return `<${name}>${escapeXml(value)}</${name}>`;
+}
+
+function amount(value) {
+  return roundAmount(Number(value) || 0).toFixed(2);
+}
+
+// El esquema admite hasta 6 decimales en el precio unitario
+function unitPriceAmount(value) {
+  return Math.round((Number(value) || 0) * 1000000) / 1000000;
+}
+
+function unitPriceText(value) {
+  return unitPriceAmount(value).toFixed(6).replace(/0{1,4}$/, '');
+}
+
+function vatCode(rate) {
+  return VAT_PERCENT_CODES[rate] !== undefined ? VAT_PERCENT_CODES[rate] : '4';
+}
+
+/**
+ * Genera el XML de la factura (sin firma)
+ * @param {Object} sale - Venta
+ * @param {Object} data - { issuer, buyer, accessKey, sequential, date }
+ * @returns {String} XML del comprobante
+ */
+function buildXml(sale, { issuer, buyer, accessKey, sequential, date }) {
+  const { day, month, year } = dateParts(date, issuer.timezone);
+  
+  // Bases y descuentos por línea (las ventas anteriores al motor de impuestos se toman sin IVA)
+  // Con precios que incluyen IVA, precio unitario y descuento se expresan sin impuesto para que
+  // cantidad × precioUnitario − descuento coincida con precioTotalSinImpuesto
+  const lines = sale.items.map(item => {
+    const base = item.taxableBase !== undefined ? item.taxableBase : item.subtotal;
+    const taxIncluded = item.taxableBase !== undefined && item.taxAmount > 0 &&
+      roundAmount(item.taxableBase) < roundAmount(item.subtotal);
+    const unitPrice = taxIncluded ? unitPriceAmount(item.unitPrice / (1 + (item.taxRate || 0) / 100)) : item.unitPrice;
+    const gross = roundAmount(item.quantity * unitPrice);
+    const net = taxIncluded ? base : (item.subtotal !== undefined ? item.subtotal : gross);
+    return {
+      item,
+      unitPrice,
+      gross,
+      base,
+      discount: Math.max(0, roundAmount(gross - net)),
+      rate: item.taxRate || 0,
+      tax: item.taxAmount || 0
+    };
+  });
+  
+  const totalWithoutTax = lines.reduce((sum, l) => sum + l.base, 0);
+  const totalDiscount = lines.reduce((sum, l) => sum + l.discount, 0);
+  const totalTax = lines.reduce((sum, l) => sum + l.tax, 0);
+  
+  const taxGroups = new Map();
+  for (const line of lines) {
+    const group = taxGroups.get(line.rate) || { base: 0, tax: 0 };
+    group.base += line.base;
+    group.tax += line.tax;
+    taxGroups.set(line.rate, group);
+  }
+  
+  const payments = sale.payments && sale.payments.length > 0
+    ? sale.payments
+    : [{ method: sale.paymentMethod, amount: sale.totalAmount }];
+  
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<factura id="comprobante" version="1.1.0">',
+    '<infoTributaria>',
+    tag('ambiente', issuer.environment),
+    tag('tipoEmision', '1'),
+    tag('razonSocial', issuer.businessName),
+    tag('nombreComercial', issuer.tradeName),
+    tag('ruc', issuer.ruc),
+    tag('claveAcceso', accessKey),
+    tag('codDoc', '01'),
+    tag('estab', issuer.establishment),
+    tag('ptoEmi', issuer.emissionPoint),
+    tag('secuencial', sequential.toString().padStart(9, '0')),
+    tag('dirMatriz', issuer.address),
+    '</infoTributaria>',
+    '<infoFactura>',
+    tag('fechaEmision', `${day}/${month}/${year}`),
+    tag('dirEstablecimiento', issuer.address),
+    tag('obligadoContabilidad', issuer.requiredAccounting),
+    tag('tipoIdentificacionComprador', buyer.idType),
+    tag('razonSocialComprador', buyer.name),
+    tag('identificacionComprador', buyer.taxId),
+    ...(buyer.address ? [tag('direccionComprador', buyer.address)] : []),
+    tag('totalSinImpuestos', amount(totalWithoutTax)),
+    tag('totalDescuento', amount(totalDiscount)),
+    '<totalConImpuestos>',
+    ...[...taxGroups.entries()].map(([rate, group]) => [
+      '<totalImpuesto>',
+      tag('codigo', '2'),
+      tag('codigoPorcentaje', vatCode(rate)),
+      tag('baseImponible', amount(group.base)),
+      tag('valor', amount(group.tax)),
+      '</totalImpuesto>'
+    ].join('')),
+    '</totalConImpuestos>',
+    tag('propina', '0.00'),
+    tag('importeTotal', amount(sale.totalAmount)),
+    tag('moneda', 'DOLAR'),
+    '<pagos>',
+    ...payments.map(payment => [
+      '<pago>',
+      tag('formaPago', PAYMENT_CODES[payment.method] || '01'),
+      tag('total', amount(payment.amount)),
+      '</pago>'
+    ].join('')),
+    '</pagos>',
+    '</infoFactura>',
+    '<detalles>',
+    ...lines.map(line => [
+      '<detalle>',
+      tag('codigoPrincipal', line.item.productCode),
+      // Las líneas vendidas en empaque indican el empaque (cantidad y precio son por empaque)
+      tag('descripcion', line.item.package ? `${line.item.productName} (${line.item.package})` : line.item.productName),
+      // Hasta 6 decimales admitidos por el esquema; los productos a granel usan los de su unidad
+      tag('cantidad', line.item.quantity.toFixed(Math.max(2, unitUtil.decimals(line.item.unit)))),
+      tag('precioUnitario', unitPriceText(line.unitPrice)),
+      tag('descuento', amount(line.discount)),
+      tag('precioTotalSinImpuesto', amount(line.base)),
+      '<impuestos><impuesto>',
+      tag('codigo', '2'),
+      tag('codigoPorcentaje', vatCode(line.rate)),
+      tag('tarifa', line.rate),
+      tag('baseImponible', amount(line.base)),
+      tag('valor', amount(line.tax)),
+      '</impuesto></impuestos>',
+      '</detalle>'
+    ].join('')),
+    '</detalles>',
+    ...(buyer.email ? [
+      '<infoAdicional>',
+      `<campoAdicional nombre="Email">${escapeXml(buyer.email)}</campoAdicional>`,
+      '</infoAdicional>'
+    ] : []),
+    '</factura>'
+  ].join('\n');
+  
+  return {
+    xml,
+    totalWithoutTax: roundAmount(totalWithoutTax),
+    totalTax: roundAmount(totalTax)
+  };
+}
+
+module.exports = {
+  FINAL_CONSUMER_ID,
+  FINAL_CONSUMER_LIMIT,
+  issuerConfig,
+  mod11,
+  buildAccessKey,
+  resolveBuyer,
+  buildXml
+};
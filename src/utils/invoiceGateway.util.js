@@ -0,0 +1,65 @@
+/**
+ * Punto de extensión para el envío de facturas al servicio de autorización
+ *
+ * Un gateway es un objeto con dos métodos asíncronos:
+ *   - send(invoice): envía el comprobante a recepción.
+ *     Devuelve { received: Boolean, messages: [String] }
+ *   - authorize(invoice): consulta la autorización de un comprobante recibido.
+ *     Devuelve { authorized: Boolean, authorizationNumber, authorizationDate, messages: [String] }
+ *
+ * Por defecto se usa un gateway local que simula al servicio sin conexión externa,
+ * útil en desarrollo y pruebas. Un cliente real se registra con setGateway().
+ */
+const logger = require('./logger');
+
+/**
+ * Gateway local: acepta y autoriza todo comprobante con XML y clave de acceso válidos
+ */
+const localGateway = {
+  name: 'local',
+  
+  async send(invoice) {
+    if (!invoice.xml || !/^\d{49}$/.test(invoice.accessKey)) {
+      return { received: false, messages: ['Comprobante sin XML o con clave de acceso inválida'] };
+    }
+    return { received: true, messages: [] };
+  },
+  
+  async authorize(invoice) {
+    return {
+      authorized: true,
+      // En el esquema offline el número de autorización coincide con la clave de acceso
+      authorizationNumber: invoice.accessKey,
+      authorizationDate: new Date(),
+      messages: []
+    };
+  }
+};
+
+let currentGateway = localGateway;
+
+/**
+ * Registra el gateway a utilizar
+ * @param {Object} gateway - Objeto con los métodos send y authorize
+ */
+function setGateway(gateway) {
+  if (!gateway || typeof gateway.send !== 'function' || typeof gateway.authorize !== 'function') {
+    throw new Error('El gateway de facturación debe implementar send() y authorize()');
+  }
+  
+  logger.info(`Gateway de facturación configurado: ${gateway.name || 'personalizado'}`);
+  currentGateway = gateway;
+}
+
+/**
+ * Devuelve el gateway configurado
+ */
+function getGateway() {
+  return currentGateway;
+}
+
+module.exports = {
+  localGateway,
+  setGateway,
+  getGateway
+};
@@ -0,0 +1,259 @@
+/**
+ * Capa común para listados: paginación por cursor (keyset), límite, orden por
+ * varios campos, selección de campos y total opcional.
+ *
+ * Parámetros de consulta:
+ * - limit: cantidad por página (por defecto 50, máximo 200)
+ * - sort: campos separados por comas, con "-" para orden descendente (p. ej. -createdAt,saleNumber)
+ * - fields: campos a incluir en la respuesta
+ * - after / before: cursores devueltos en la página anterior
+ * - includeTotal=true: incluye el total de registros que cumplen los filtros
+ * - bare=true: responde un arreglo simple (compatibilidad con el frontend actual);
+ *   la paginación viaja en los encabezados X-Next-Cursor, X-Prev-Cursor y X-Total-Count.
+ *   LIST_BARE_ARRAYS=true lo activa por defecto.
+ */
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Codifica los valores de orden de un documento como cursor opaco
+ */
+function encodeCursor(doc, sort) {
+  const values = sort.map(([field]) => {
+    const value = typeof doc.get === 'function' ? doc.get(field) : doc[field];
+    
+    if (value instanceof Date) {
+      return { $date: value.toISOString() };
+    }
+    
+    if (value instanceof mongoose.Types.ObjectId) {
+      return { $oid: value.toString() };
+    }
+    
+    // Campos poblados: se ordenó por su ID
+    if (value && value._id) {
+      return { $oid: value._id.toString() };
+    }
+    
+    return value === undefined ? null : value;
+  });
+  
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+/**
+ * Decodifica un cursor; devuelve null si es inválido
+ */
+function decodeCursor(cursor, sort) {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    
+    if (!Array.isArray(values) || values.length !== sort.length) {
+      return null;
+    }
+    
+    return values.map(value => {
+      if (value && value.$date) {
+        return new Date(value.$date);
+      }
+      
+      if (value && value.$oid) {
+        return new mongoose.Types.ObjectId(value.$oid);
+      }
+      
+      return value;
+    });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Interpreta los parámetros de listado
+ * @param {Object} query - Query string de la petición
+ * @param {Object} options - { sortable: [campos], defaultSort, hiddenFields: [campos] }
+ * @returns {Object} Opciones del listado o { error }
+ */
+function parse(query, { sortable, defaultSort, hiddenFields = [] }) {
+  const bare = query.bare !== undefined ? query.bare === 'true' : process.env.LIST_BARE_ARRAYS === 'true';
+  
+  // En modo compatible sin límite explícito se conserva la respuesta completa
+  let limit = null;
+  if (query.limit !== undefined || !bare) {
+    limit = query.limit !== undefined ? parseInt(query.limit, 10) : DEFAULT_LIMIT;
+    
+    if (isNaN(limit) || limit < 1) {
+      return { error: 'El parámetro limit debe ser un número mayor a cero' };
+    }
+    
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+  
+  // Orden: campos permitidos y _id como desempate para que el cursor sea único
+  const sort = [];
+  for (const token of String(query.sort || defaultSort).split(',').map(t => t.trim()).filter(Boolean)) {
+    const field = token.replace(/^[-+]/, '');
+    
+    if (!sortable.includes(field) && field !== '_id') {
+      return { error: `No se puede ordenar por ${field}. Campos permitidos: ${sortable.join(', ')}` };
+    }
+    
+    if (!sort.some(([f]) => f === field)) {
+      sort.push([field, token.startsWith('-') ? -1 : 1]);
+    }
+  }
+  
+  if (!sort.some(([field]) => field === '_id')) {
+    sort.push(['_id', sort.length > 0 ? sort[sort.length - 1][1] : 1]);
+  }
+  
+  // Selección de campos: siempre incluye los campos de orden para poder generar cursores
+  let projection = hiddenFields.length > 0 ? hiddenFields.map(f => `-${f}`).join(' ') : null;
+  if (query.fields) {
+    const fields = String(query.fields).split(',').map(f => f.trim())
+      .filter(f => f && !f.startsWith('-') && !f.startsWith('$') && !hiddenFields.includes(f));
+    projection = [...new Set([...fields, ...sort.map(([field]) => field)])].join(' ');
+  }
+  
+  if (query.after && query.before) {
+    return { error: 'Use solo uno de los parámetros after o before' };
+  }
+  
+  const cursor = query.after || query.before;
+  const cursorValues = cursor ? decodeCursor(cursor, sort) : null;
+  
+  if (cursor && !cursorValues) {
+    return { error: 'Cursor inválido' };
+  }
+  
+  return {
+    limit,
+    sort,
+    projection,
+    cursorValues,
+    backward: Boolean(query.before),
+    includeTotal: query.includeTotal === 'true',
+    bare
+  };
+}
+
+/**
+ * Condición "después del cursor" para un campo. Mongo ordena los valores nulos o
+ * faltantes antes que cualquier otro, pero $gt/$lt no comparan entre tipos, así que
+ * los nulos se tratan aparte.
+ * @returns {Object|null} Condición o null si ningún documento puede cumplirla
+ */
+function beyond(field, value, ascending) {
+  if (value === null || value === undefined) {
+    // Después de un nulo solo siguen los no nulos; antes de un nulo no hay nada
+    return ascending ? { [field]: { $ne: null } } : null;
+  }
+  
+  if (ascending) {
+    return { [field]: { $gt: value } };
+  }
+  
+  // Al descender, los nulos van después de cualquier valor
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+}
+
+/**
+ * Filtro keyset: documentos posteriores (o anteriores) al cursor según el orden
+ */
+function keysetFilter(sort, values, backward) {
+  const clauses = [];
+  
+  sort.forEach(([field, direction], index) => {
+    const ascending = backward ? direction < 0 : direction > 0;
+    const condition = beyond(field, values[index], ascending);
+    
+    if (!condition) {
+      return;
+    }
+    
+    const clause = { ...condition };
+    for (let i = 0; i < index; i++) {
+      clause[sort[i][0]] = values[i];
+    }
+    
+    clauses.push(clause);
+  });
+  
+  // Sin cláusulas posibles el cursor está al final: no hay más documentos
+  return clauses.length > 0 ? { $or: clauses } : { _id: { $exists: false } };
+}
+
+/**
+ * Ejecuta un listado paginado
+ * @param {Object} Model - Modelo de Mongoose
+ * @param {Object} filters - Filtros del listado
+ * @param {Object} list - Resultado de parse()
+ * @param {Function} customize - Ajustes adicionales de la consulta (p. ej. populate)
+ * @returns {Promise<Object>} { data, pagination }
+ */
+async function run(Model, filters, list, customize = query => query) {
+  const conditions = list.cursorValues
+    ? { $and: [filters, keysetFilter(list.sort, list.cursorValues, list.backward)] }
+    : filters;
+  
+  // Al retroceder se invierte el orden y luego se restaura
+  const sortSpec = Object.fromEntries(list.sort.map(([field, direction]) => [field, list.backward ? -direction : direction]));
+  
+  let query = Model.find(conditions).sort(sortSpec);
+  if (list.projection) {
+    query = query.select(list.projection);
+  }
+  if (list.limit) {
+    query = query.limit(list.limit + 1);
+  }
+  
+  const [docs, total] = await Promise.all([
+    customize(query),
+    list.includeTotal ? Model.countDocuments(filters) : Promise.resolve(undefined)
+  ]);
+  
+  const hasMore = list.limit ? docs.length > list.limit : false;
+  const data = hasMore ? docs.slice(0, list.limit) : docs;
+  
+  if (list.backward) {
+    data.reverse();
+  }
+  
+  const hasNext = list.backward ? true : hasMore;
+  const hasPrev = list.backward ? hasMore : Boolean(list.cursorValues);
+  
+  return {
+    data,
+    pagination: {
+      limit: list.limit,
+      nextCursor: hasNext && data.length > 0 ? encodeCursor(data[data.length - 1], list.sort) : null,
+      prevCursor: hasPrev && data.length > 0 ? encodeCursor(data[0], list.sort) : null,
+      ...(total !== undefined ? { total } : {})
+    }
+  };
+}
+
+/**
+ * Responde un listado en sobre { data, pagination } o como arreglo simple
+ */
+function send(res, result, list) {
+  if (!list.bare) {
+    return res.status(200).json(result);
+  }
+  
+  const { nextCursor, prevCursor, total } = result.pagination;
+  res.setHeader('Access-Control-Expose-Headers', 'X-Next-Cursor, X-Prev-Cursor, X-Total-Count');
+  if (nextCursor) res.setHeader('X-Next-Cursor', nextCursor);
+  if (prevCursor) res.setHeader('X-Prev-Cursor', prevCursor);
+  if (total !== undefined) res.setHeader('X-Total-Count', String(total));
+  
+  return res.status(200).json(result.data);
+}
+
+module.exports = {
+  parse,
+  run,
+  send
+};
@@ -0,0 +1,318 @@
+/**
+ * Lotes con fecha de vencimiento
+ * El stock del producto se desglosa en lotes; lo que no está en ningún lote (stock previo
+ * al control de lotes) se trata como un remanente sin vencimiento que se consume al final.
+ * Las ventas descuentan primero lo que vence primero (FEFO) y no pueden usar lotes vencidos.
+ */
+const Lot = require('../models/lot.model');
+const Product = require('../models/product.model');
+const unitUtil = require('./unit.util');
+const { STOCK_DECIMALS } = require('./inventory.util');
+const { roundAmount } = require('./payment.util');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Un lote está vencido cuando su fecha de vencimiento ya pasó
+ */
+function isExpired(lot, at = new Date()) {
+  return Boolean(lot.expirationDate) && lot.expirationDate < at;
+}
+
+/**
+ * Ordena lotes por vencimiento (FEFO) con los que no vencen al final; Mongo ordena
+ * las fechas faltantes primero. Conserva el orden previo entre lotes del mismo vencimiento.
+ */
+function sortByExpiration(lots) {
+  const time = lot => (lot.expirationDate ? lot.expirationDate.getTime() : Infinity);
+  return lots.sort((a, b) => (time(a) === time(b) ? 0 : time(a) - time(b)));
+}
+
+/**
+ * Suma (o resta) una cantidad a un lote de forma atómica, redondeando como el stock
+ * @param {Object} filter - Filtro del lote (incluye la guarda de cantidad si resta)
+ * @param {Number} delta - Cantidad con signo
+ */
+function changeLot(filter, delta, session, extra = {}) {
+  return Lot.findOneAndUpdate(
+    filter,
+    [{ $set: { quantity: { $round: [{ $add: ['$quantity', delta] }, STOCK_DECIMALS] }, ...extra } }],
+    { new: true, session }
+  );
+}
+
+/**
+ * Actualiza Product.expirationDate con el vencimiento más próximo de sus lotes con stock
+ */
+async function refreshProductExpiration(productId, session) {
+  const next = await Lot.findOne({ product: productId, quantity: { $gt: 0 }, expirationDate: { $ne: null } })
+    .sort({ expirationDate: 1 })
+    .session(session || null);
+  
+  await Product.updateOne(
+    { _id: productId },
+    next ? { $set: { expirationDate: next.expirationDate } } : { $unset: { expirationDate: 1 } },
+    { session }
+  );
+}
+
+/**
+ * Descuenta una cantidad de los lotes de un producto, primero lo que vence primero
+ * @param {Object} product - Producto (con el stock antes de descontar)
+ * @param {Number} quantity - Cantidad a descontar
+ * @param {Object} options - { session, at, lotNumber, includeExpired, allowShortage }
+ *   at: momento de la venta (para saber qué lotes están vencidos)
+ *   lotNumber: descuenta solo de ese lote (ajustes por merma de un lote puntual)
+ *   includeExpired: permite descontar de lotes vencidos (bajas por vencimiento)
+ *   allowShortage: no falla si los lotes no alcanzan (ventas sin conexión)
+ * @returns {Promise<Object>} { lots: [{ lot, lotNumber, expirationDate, quantity }] } o { error, statusCode }
+ */
+async function consume(product, quantity, { session, at = new Date(), lotNumber, includeExpired = false, allowShortage = false } = {}) {
+  if (lotNumber) {
+    const lot = await Lot.findOne({ product: product._id, lotNumber }).session(session || null);
+    
+    if (!lot) {
+      return { error: `El lote ${lotNumber} de ${product.name} no existe`, statusCode: 404 };
+    }
+    
+    if (lot.quantity < quantity) {
+      return {
+        error: `El lote ${lotNumber} de ${product.name} solo tiene ${unitUtil.formatQuantity(lot.quantity, product.unit)}`,
+        statusCode: 400
+      };
+    }
+    
+    const allocations = [{ lot: lot._id, lotNumber: lot.lotNumber, expirationDate: lot.expirationDate, quantity }];
+    return applyAllocations(product, allocations, session);
+  }
+  
+  const lots = sortByExpiration(await Lot.find({ product: product._id, quantity: { $gt: 0 } })
+    .sort({ receivedAt: 1, _id: 1 })
+    .session(session || null));
+  
+  // Producto sin control de lotes
+  if (lots.length === 0) {
+    return { lots: [] };
+  }
+  
+  const lotted = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+  const unlotted = Math.max(unitUtil.roundQuantity(product.stock - lotted, product.unit), 0);
+  const expired = lots.filter(lot => isExpired(lot, at));
+  
+  const allocations = [];
+  let remaining = quantity;
+  
+  for (const lot of lots) {
+    if (remaining <= 0) {
+      break;
+    }
+    
+    if (!includeExpired && isExpired(lot, at)) {
+      continue;
+    }
+    
+    const take = unitUtil.roundQuantity(Math.min(lot.quantity, remaining), product.unit);
+    allocations.push({ lot: lot._id, lotNumber: lot.lotNumber, expirationDate: lot.expirationDate, quantity: take });
+    remaining = unitUtil.roundQuantity(remaining - take, product.unit);
+  }
+  
+  // Lo que falta sale del remanente sin lote
+  remaining = Math.max(unitUtil.roundQuantity(remaining - unlotted, product.unit), 0);
+  
+  if (remaining > 0 && !allowShortage && !includeExpired && expired.length > 0) {
+    const expiredQuantity = expired.reduce((sum, lot) => sum + lot.quantity, 0);
+    return {
+      error: `No se puede vender ${unitUtil.formatQuantity(quantity, product.unit)} de ${product.name}: ` +
+        `${unitUtil.formatQuantity(expiredQuantity, product.unit)} están en lotes vencidos (${expired.map(lot => lot.lotNumber).join(', ')})`,
+      statusCode: 400
+    };
+  }
+  
+  return applyAllocations(product, allocations, session);
+}
+
+/**
+ * Descuenta de cada lote lo asignado, con guarda por si otro proceso lo consumió antes
+ */
+async function applyAllocations(product, allocations, session) {
+  for (const allocation of allocations) {
+    const updated = await changeLot(
+      { _id: allocation.lot, quantity: { $gte: allocation.quantity } },
+      -allocation.quantity,
+      session
+    );
+    
+    if (!updated) {
+      return { error: `El lote ${allocation.lotNumber} de ${product.name} cambió mientras se descontaba, intente de nuevo`, statusCode: 409 };
+    }
+  }
+  
+  if (allocations.length > 0) {
+    await refreshProductExpiration(product._id, session);
+  }
+  
+  return { lots: allocations };
+}
+
+/**
+ * Devuelve a sus lotes una cantidad que había salido de ellos (devoluciones y cancelaciones).
+ * Se devuelve primero a los últimos lotes asignados; lo que salió del remanente sin lote
+ * vuelve solo al stock del producto.
+ * @param {Array} allocations - Lotes de la línea (se actualiza su returnedQuantity)
+ * @param {Number} quantity - Cantidad que vuelve al inventario
+ * @param {Object} options - { session, productId, unit }
+ * @returns {Promise<Array>} Lotes a los que se devolvió [{ lot, lotNumber, expirationDate, quantity }]
+ */
+async function restore(allocations, quantity, { session, productId, unit } = {}) {
+  const restored = [];
+  let remaining = quantity;
+  
+  for (const allocation of [...(allocations || [])].reverse()) {
+    if (remaining <= 0) {
+      break;
+    }
+    
+    const available = unitUtil.roundQuantity(allocation.quantity - (allocation.returnedQuantity || 0), unit);
+    const take = unitUtil.roundQuantity(Math.min(available, remaining), unit);
+    if (take <= 0) {
+      continue;
+    }
+    
+    await changeLot({ _id: allocation.lot }, take, session);
+    allocation.returnedQuantity = unitUtil.roundQuantity((allocation.returnedQuantity || 0) + take, unit);
+    restored.push({ lot: allocation.lot, lotNumber: allocation.lotNumber, expirationDate: allocation.expirationDate, quantity: take });
+    remaining = unitUtil.roundQuantity(remaining - take, unit);
+  }
+  
+  if (restored.length > 0 && productId) {
+    await refreshProductExpiration(productId, session);
+  }
+  
+  return restored;
+}
+
+/**
+ * Ingresa mercadería a un lote (lo crea si no existe)
+ * @param {Object} product - Producto
+ * @param {Object} data - { lotNumber, expirationDate, quantity }
+ * @param {Object} options - { session, purchaseOrder }
+ * @returns {Promise<Object>} { lots: [...] } con el lote ingresado o { error, statusCode }
+ */
+async function receive(product, { lotNumber, expirationDate, quantity }, { session, purchaseOrder } = {}) {
+  const number = String(lotNumber).trim();
+  const expiration = expirationDate ? new Date(expirationDate) : null;
+  
+  if (!number) {
+    return { error: `Se requiere el número de lote para ${product.name}`, statusCode: 400 };
+  }
+  
+  if (expiration && isNaN(expiration.getTime())) {
+    return { error: `Fecha de vencimiento inválida para el lote ${number}: ${expirationDate}`, statusCode: 400 };
+  }
+  
+  const existing = await Lot.findOne({ product: product._id, lotNumber: number }).session(session || null);
+  let lot;
+  
+  if (existing) {
+    // Un mismo número de lote no puede llegar con otro vencimiento
+    if (expiration && existing.expirationDate && Math.abs(existing.expirationDate - expiration) >= DAY_MS) {
+      return {
+        error: `El lote ${number} de ${product.name} ya existe con vencimiento ${existing.expirationDate.toISOString().slice(0, 10)}`,
+        statusCode: 400
+      };
+    }
+    
+    lot = await changeLot({ _id: existing._id }, quantity, session, {
+      initialQuantity: { $round: [{ $add: ['$initialQuantity', quantity] }, STOCK_DECIMALS] },
+      expirationDate: existing.expirationDate || expiration
+    });
+  } else {
+    [lot] = await Lot.create([{
+      product: product._id,
+      lotNumber: number,
+      expirationDate: expiration || undefined,
+      quantity,
+      initialQuantity: quantity,
+      unit: product.unit,
+      purchaseOrder
+    }], { session });
+  }
+  
+  await refreshProductExpiration(product._id, session);
+  
+  return { lots: [{ lot: lot._id, lotNumber: lot.lotNumber, expirationDate: lot.expirationDate, quantity }] };
+}
+
+/**
+ * Lotes con stock que vencen dentro de los próximos días (y los ya vencidos)
+ * @param {Object} options - { days, category, includeExpired, at }
+ * @returns {Promise<Object>} { lots: [...], summary: { expired, expiring } }
+ */
+async function expiringReport({ days = 7, category, includeExpired = true, at = new Date() } = {}) {
+  const until = new Date(at.getTime() + days * DAY_MS);
+  
+  const expirationFilter = includeExpired ? { $lte: until } : { $gte: at, $lte: until };
+  
+  const lots = await Lot.aggregate([
+    { $match: { quantity: { $gt: 0 }, expirationDate: expirationFilter } },
+    { $lookup: { from: 'products', localField: 'product', foreignField: '_id', as: 'product' } },
+    { $unwind: '$product' },
+    ...(category ? [{ $match: { 'product.category': category } }] : []),
+    { $sort: { expirationDate: 1, 'product.name': 1 } },
+    {
+      $project: {
+        lotNumber: 1,
+        expirationDate: 1,
+        quantity: 1,
+        receivedAt: 1,
+        product: {
+          _id: '$product._id',
+          code: '$product.code',
+          name: '$product.name',
+          category: '$product.category',
+          unit: '$product.unit'
+        },
+        cost: '$product.cost',
+        price: '$product.price'
+      }
+    }
+  ]);
+  
+  const summary = {
+    expired: { lots: 0, costValue: 0 },
+    expiring: { lots: 0, costValue: 0 }
+  };
+  
+  const rows = lots.map(lot => {
+    const expired = lot.expirationDate < at;
+    const costValue = roundAmount(lot.quantity * (lot.cost || 0));
+    const bucket = expired ? summary.expired : summary.expiring;
+    
+    bucket.lots += 1;
+    bucket.costValue = roundAmount(bucket.costValue + costValue);
+    
+    return {
+      lot: lot._id,
+      lotNumber: lot.lotNumber,
+      product: lot.product,
+      quantity: lot.quantity,
+      expirationDate: lot.expirationDate,
+      daysLeft: Math.ceil((lot.expirationDate - at) / DAY_MS),
+      expired,
+      costValue,
+      retailValue: roundAmount(lot.quantity * (lot.price || 0))
+    };
+  });
+  
+  return { lots: rows, summary };
+}
+
+module.exports = {
+  isExpired,
+  sortByExpiration,
+  consume,
+  restore,
+  receive,
+  expiringReport,
+  refreshProductExpiration
+};
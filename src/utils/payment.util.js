@@ -0,0 +1,98 @@
+/**
+ * Utilidades para el manejo de pagos divididos de una venta
+ */
+
+const PAYMENT_METHODS = ['efectivo', 'tarjeta_credito', 'tarjeta_debito', 'transferencia'];
+
+/**
+ * Redondea un monto a 2 decimales
+ * @param {Number} amount - Monto a redondear
+ * @returns {Number} Monto redondeado
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Calcula el estado de pago según si los pagos cubren el total
+ * @param {Array} payments - Pagos registrados
+ * @param {Number} totalAmount - Total de la venta
+ * @returns {String} 'completado' si los pagos cubren el total, 'pendiente' en caso contrario
+ */
+function resolvePaymentStatus(payments, totalAmount) {
+  const paid = payments.reduce((sum, p) => sum + p.amount, 0);
+  return roundAmount(paid) >= roundAmount(totalAmount) ? 'completado' : 'pendiente';
+}
+
+/**
+ * Normaliza y valida los pagos de una venta.
+ * Acepta el arreglo `payments` o, por compatibilidad, un único `paymentMethod`.
+ * Si los pagos exceden el total, el excedente se entrega como vuelto del pago en efectivo.
+ * @param {Object} saleData - Datos recibidos de la venta
+ * @param {Number} totalAmount - Total calculado de la venta
+ * @returns {Object} { payments, paymentMethod, paymentStatus } o { error } si los datos son inválidos
+ */
+function buildPayments(saleData, totalAmount) {
+  let payments;
+  
+  if (Array.isArray(saleData.payments) && saleData.payments.length > 0) {
+    payments = saleData.payments.map(p => ({
+      method: p.method,
+      amount: Number(p.amount),
+      reference: p.reference
+    }));
+  } else if (saleData.paymentMethod) {
+    // Formato anterior: un solo método; solo se registra el pago si la venta viene completada
+    payments = saleData.paymentStatus === 'completado'
+      ? [{ method: saleData.paymentMethod, amount: totalAmount }]
+      : [];
+  } else {
+    return { error: 'El método de pago es requerido' };
+  }
+  
+  for (const payment of payments) {
+    if (!PAYMENT_METHODS.includes(payment.method)) {
+      return { error: `Método de pago inválido: ${payment.method}` };
+    }
+    
+    if (isNaN(payment.amount) || payment.amount <= 0) {
+      return { error: `Monto inválido para el pago con ${payment.method}` };
+    }
+  }
+  
+  // El excedente solo puede devolverse como vuelto en efectivo
+  const paid = payments.reduce((sum, p) => sum + p.amount, 0);
+  const excess = roundAmount(paid - totalAmount);
+  
+  if (excess > 0) {
+    const cashPayment = payments.find(p => p.method === 'efectivo');
+    
+    if (!cashPayment || cashPayment.amount < excess) {
+      return { error: 'Los pagos exceden el total de la venta y no hay efectivo suficiente para dar vuelto' };
+    }
+    
+    // Si todo el efectivo volvería como vuelto, los demás pagos ya cubren el total
+    if (roundAmount(cashPayment.amount) === excess) {
+      return { error: 'Los demás pagos ya cubren el total de la venta; el pago en efectivo no es necesario' };
+    }
+    
+    cashPayment.tendered = cashPayment.amount;
+    cashPayment.change = excess;
+    cashPayment.amount = roundAmount(cashPayment.amount - excess);
+  }
+  
+  const methods = [...new Set(payments.map(p => p.method))];
+  
+  return {
+    payments,
+    paymentMethod: methods.length > 1 ? 'mixto' : (methods[0] || saleData.paymentMethod),
+    paymentStatus: resolvePaymentStatus(payments, totalAmount)
+  };
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  roundAmount,
+  resolvePaymentStatus,
+  buildPayments
+};
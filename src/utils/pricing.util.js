@@ -0,0 +1,125 @@
+/**
+ * Cálculo de precios de una venta o carrito
+ * Aplica en orden: descuento del producto, promociones vigentes e impuestos.
+ * Se usa tanto al crear ventas como para previsualizar precios sin guardar nada.
+ * Las líneas vendidas en un empaque usan el precio del empaque y forman una línea
+ * aparte; las promociones por producto se aplican solo a la unidad base.
+ */
+const { roundAmount } = require('./payment.util');
+const taxUtil = require('./tax.util');
+const promotionUtil = require('./promotion.util');
+const unitUtil = require('./unit.util');
+
+/**
+ * Calcula los items y totales de un conjunto de productos
+ * @param {Array} entries - [{ product (documento), quantity, discount, packaging }]
+ *   packaging: empaque del producto en que se vende la línea (quantity en empaques)
+ * @param {Object} options - { couponCode, date, session }
+ * @returns {Promise<Object>} { items, subtotal, tax, totalAmount, taxBreakdown, promotionDiscount,
+ *   appliedPromotions, coupon } o { error } si el cupón no es válido
+ */
+async function priceItems(entries, { couponCode, date = new Date(), session } = {}) {
+  const promotionResult = await promotionUtil.loadActive({ date, couponCode, session });
+  
+  if (promotionResult.error) {
+    return { error: promotionResult.error };
+  }
+  
+  const taxRates = await taxUtil.loadTaxRates(session);
+  
+  // Unificar líneas repetidas del mismo producto (y del mismo empaque)
+  const merged = new Map();
+  for (const entry of entries) {
+    const productId = entry.product._id.toString();
+    const key = entry.packaging ? `${productId}:${entry.packaging.name}` : productId;
+    const current = merged.get(key);
+    
+    if (current) {
+      // Los empaques se cuentan enteros
+      const unit = entry.packaging ? unitUtil.DEFAULT_UNIT : entry.product.unit;
+      current.quantity = unitUtil.roundQuantity(current.quantity + entry.quantity, unit);
+    } else {
+      merged.set(key, { ...entry, key });
+    }
+  }
+  
+  // Precio unitario efectivo luego del descuento propio del producto
+  const lines = [...merged.values()].map(entry => {
+    const discount = entry.discount || entry.product.discount || 0;
+    const basePrice = entry.packaging ? entry.packaging.price : entry.product.price;
+    const unitPrice = basePrice * (1 - discount / 100);
+    
+    return {
+      ...entry,
+      discount,
+      category: entry.product.category,
+      basePrice,
+      unitPrice,
+      amount: roundAmount(entry.quantity * unitPrice)
+    };
+  });
+  
+  const promotionsByLine = promotionUtil.apply(lines, promotionResult.promotions, promotionResult.coupon);
+  
+  let subtotal = 0;
+  let tax = 0;
+  let totalAmount = 0;
+  let promotionDiscount = 0;
+  const appliedPromotions = new Map();
+  
+  const items = lines.map(line => {
+    const promotions = promotionsByLine.get(line.key);
+    const lineDiscount = roundAmount(promotions.reduce((sum, p) => sum + p.discountAmount, 0));
+    const lineSubtotal = roundAmount(Math.max(0, line.amount - lineDiscount));
+    
+    const { taxCode, taxRate } = taxUtil.resolveTaxRate(line.product, taxRates);
+    const lineTax = taxUtil.computeTax(lineSubtotal, taxRate);
+    
+    subtotal += lineTax.taxableBase;
+    tax += lineTax.taxAmount;
+    totalAmount += lineTax.total;
+    promotionDiscount += lineDiscount;
+    
+    for (const p of promotions) {
+      const key = p.promotion.toString();
+      const summary = appliedPromotions.get(key) || { promotion: p.promotion, name: p.name, type: p.type, discountAmount: 0 };
+      summary.discountAmount = roundAmount(summary.discountAmount + p.discountAmount);
+      appliedPromotions.set(key, summary);
+    }
+    
+    return {
+      product: line.product._id,
+      productCode: line.product.code,
+      productName: line.product.name,
+      quantity: line.quantity,
+      unit: line.product.unit || unitUtil.DEFAULT_UNIT,
+      package: line.packaging ? line.packaging.name : undefined,
+      packageFactor: line.packaging ? line.packaging.factor : undefined,
+      unitPrice: line.basePrice,
+      discount: line.discount,
+      promotions,
+      promotionDiscount: lineDiscount,
+      subtotal: lineSubtotal,
+      taxCode,
+      taxRate,
+      taxableBase: lineTax.taxableBase,
+      taxAmount: lineTax.taxAmount,
+      total: lineTax.total
+    };
+  });
+  
+  return {
+    items,
+    subtotal: roundAmount(subtotal),
+    tax: roundAmount(tax),
+    totalAmount: roundAmount(totalAmount),
+    taxBreakdown: taxUtil.summarize(items),
+    promotionDiscount: roundAmount(promotionDiscount),
+    appliedPromotions: [...appliedPromotions.values()],
+    coupon: promotionResult.coupon
+  };
+}
+
+module.exports = {
+  priceItems
+};
@@ -0,0 +1,245 @@
+/**
+ * Motor de promociones
+ * Elige de forma voraz la promoción con mayor descuento disponible, reservando las
+ * unidades que consume para que ninguna unidad reciba dos promociones, y repite
+ * hasta que no quede ninguna aplicable. Los cupones se aplican al final sobre el total.
+ */
+const Promotion = require('../models/promotion.model');
+const { roundAmount } = require('./payment.util');
+
+/**
+ * Carga las promociones vigentes en una fecha.
+ * Las promociones con código solo se incluyen si se presenta ese código.
+ * @param {Object} options - { date, couponCode, session }
+ * @returns {Promise<Object>} { promotions, coupon } o { error } si el código no es válido
+ */
+async function loadActive({ date = new Date(), couponCode, session } = {}) {
+  const code = couponCode ? couponCode.trim().toUpperCase() : null;
+  
+  const promotions = await Promotion.find({
+    isActive: true,
+    startDate: { $lte: date },
+    endDate: { $gte: date },
+    $or: [
+      { couponCode: { $exists: false } },
+      { couponCode: null },
+      ...(code ? [{ couponCode: code }] : [])
+    ]
+  }).session(session || null);
+  
+  let coupon = null;
+  
+  if (code) {
+    coupon = promotions.find(p => p.couponCode === code);
+    
+    if (!coupon) {
+      return { error: `El cupón ${code} no existe o no está vigente` };
+    }
+    
+    if (coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) {
+      return { error: `El cupón ${code} alcanzó su límite de usos` };
+    }
+  }
+  
+  return { promotions, coupon };
+}
+
+/**
+ * Indica si una línea está dentro del alcance de la promoción
+ */
+function inScope(promotion, line) {
+  const products = (promotion.products || []).map(id => id.toString());
+  
+  if (products.length === 0 && !promotion.category) {
+    return false;
+  }
+  
+  return products.includes(line.key) || (promotion.category && promotion.category === line.category);
+}
+
+/**
+ * Genera las aplicaciones candidatas de una promoción sobre las líneas disponibles
+ * @param {Object} promotion - Promoción
+ * @param {Map} lines - Líneas por ID de producto: { key, category, unitPrice, available }
+ * @returns {Array} [{ promotion, discount, claims: [{ key, units, discount }] }]
+ */
+function candidates(promotion, lines) {
+  const result = [];
+  
+  switch (promotion.type) {
+    case 'n_por_m': {
+      const n = promotion.buyQuantity;
+      const m = promotion.payQuantity || 0;
+      if (!n || m >= n) break;
+      
+      for (const line of lines.values()) {
+        if (!inScope(promotion, line)) continue;
+        
+        const groups = Math.floor(line.available / n);
+        if (groups === 0) continue;
+        
+        const discount = roundAmount(groups * (n - m) * line.unitPrice);
+        result.push({ promotion, discount, claims: [{ key: line.key, units: groups * n, discount }] });
+      }
+      break;
+    }
+    
+    case 'lleva_x_gratis_y': {
+      const x = promotion.buyQuantity;
+      const y = promotion.getQuantity;
+      if (!x || !y) break;
+      
+      for (const line of lines.values()) {
+        if (!inScope(promotion, line)) continue;
+        
+        const freeLine = promotion.getProduct ? lines.get(promotion.getProduct.toString()) : line;
+        if (!freeLine) continue;
+        
+        if (freeLine.key === line.key) {
+          const sets = Math.floor(line.available / (x + y));
+          if (sets === 0) continue;
+          
+          const discount = roundAmount(sets * y * line.unitPrice);
+          result.push({ promotion, discount, claims: [{ key: line.key, units: sets * (x + y), discount }] });
+        } else {
+          const sets = Math.min(Math.floor(line.available / x), Math.floor(freeLine.available / y));
+          if (sets === 0) continue;
+          
+          const discount = roundAmount(sets * y * freeLine.unitPrice);
+          result.push({
+            promotion,
+            discount,
+            claims: [
+              { key: line.key, units: sets * x, discount: 0 },
+              { key: freeLine.key, units: sets * y, discount }
+            ]
+          });
+        }
+      }
+      break;
+    }
+    
+    case 'porcentaje_categoria': {
+      if (!promotion.percentage) break;
+      
+      for (const line of lines.values()) {
+        if (!inScope(promotion, line) || line.available === 0) continue;
+        
+        const discount = roundAmount(line.available * line.unitPrice * promotion.percentage / 100);
+        result.push({ promotion, discount, claims: [{ key: line.key, units: line.available, discount }] });
+      }
+      break;
+    }
+    
+    case 'precio_paquete': {
+      const bundle = promotion.bundleItems || [];
+      if (bundle.length === 0 || promotion.bundlePrice === undefined) break;
+      
+      let sets = Infinity;
+      let regularPrice = 0;
+      
+      for (const bundleItem of bundle) {
+        const line = lines.get(bundleItem.product.toString());
+        if (!line) {
+          sets = 0;
+          break;
+        }
+        
+        sets = Math.min(sets, Math.floor(line.available / bundleItem.quantity));
+        regularPrice += bundleItem.quantity * line.unitPrice;
+      }
+      
+      if (!sets || regularPrice <= promotion.bundlePrice) break;
+      
+      // El ahorro del paquete se reparte entre sus productos según su precio
+      const saving = regularPrice - promotion.bundlePrice;
+      const claims = bundle.map(bundleItem => {
+        const line = lines.get(bundleItem.product.toString());
+        const share = (bundleItem.quantity * line.unitPrice) / regularPrice;
+        return { key: line.key, units: sets * bundleItem.quantity, discount: roundAmount(sets * saving * share) };
+      });
+      
+      result.push({ promotion, discount: roundAmount(sets * saving), claims });
+      break;
+    }
+    
+    default:
+      break;
+  }
+  
+  return result;
+}
+
+/**
+ * Aplica las mejores promociones a un conjunto de líneas
+ * @param {Array} lines - [{ key, category, unitPrice, quantity, amount }]
+ * @param {Array} promotions - Promociones vigentes
+ * @param {Object} coupon - Promoción de cupón presentada (opcional)
+ * @returns {Map} Descuentos por línea: key -> [{ promotion, name, type, discountAmount }]
+ */
+function apply(lines, promotions, coupon) {
+  const state = new Map(lines.map(line => [line.key, { ...line, available: line.quantity }]));
+  const applied = new Map(lines.map(line => [line.key, []]));
+  
+  const record = (key, promotion, discountAmount) => {
+    const entries = applied.get(key);
+    const existing = entries.find(e => e.promotion.toString() === promotion._id.toString());
+    
+    if (existing) {
+      existing.discountAmount = roundAmount(existing.discountAmount + discountAmount);
+    } else {
+      entries.push({ promotion: promotion._id, name: promotion.name, type: promotion.type, discountAmount });
+    }
+  };
+  
+  const rules = promotions.filter(p => p.type !== 'cupon');
+  
+  for (;;) {
+    let best = null;
+    
+    for (const promotion of rules) {
+      for (const candidate of candidates(promotion, state)) {
+        if (candidate.discount > 0 && (!best || candidate.discount > best.discount)) {
+          best = candidate;
+        }
+      }
+    }
+    
+    if (!best) break;
+    
+    for (const claim of best.claims) {
+      state.get(claim.key).available -= claim.units;
+      record(claim.key, best.promotion, claim.discount);
+    }
+  }
+  
+  // Cupón de descuento sobre el total restante, repartido entre las líneas
+  if (coupon && coupon.type === 'cupon') {
+    const remaining = lines.map(line => {
+      const discounted = applied.get(line.key).reduce((sum, e) => sum + e.discountAmount, 0);
+      return { key: line.key, amount: Math.max(0, line.amount - discounted) };
+    });
+    const base = remaining.reduce((sum, r) => sum + r.amount, 0);
+    
+    if (base > 0 && (!coupon.minPurchase || base >= coupon.minPurchase)) {
+      const total = coupon.percentage
+        ? base * coupon.percentage / 100
+        : Math.min(coupon.amount || 0, base);
+      
+      for (const r of remaining) {
+        const share = roundAmount(total * r.amount / base);
+        if (share > 0) {
+          record(r.key, coupon, share);
+        }
+      }
+    }
+  }
+  
+  return applied;
+}
+
+module.exports = {
+  loadActive,
+  candidates,
+  apply
+};
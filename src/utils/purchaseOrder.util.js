@@ -0,0 +1,577 @@
+/**
+ * Órdenes de compra a proveedores
+ * Ciclo de vida: borrador -> enviada -> recibida_parcial -> recibida, o cancelada.
+ * Cada recepción ingresa el stock por el kardex (movimientos de tipo compra) y puede
+ * actualizar el costo del producto.
+ */
+const PurchaseOrder = require('../models/purchaseOrder.model');
+const Supplier = require('../models/supplier.model');
+const Product = require('../models/product.model');
+const inventoryUtil = require('./inventory.util');
+const lotUtil = require('./lot.util');
+const stockAlertUtil = require('./stockAlert.util');
+const sequenceUtil = require('./sequence.util');
+const unitUtil = require('./unit.util');
+const { roundAmount } = require('./payment.util');
+
+// Transiciones permitidas: estado actual -> estado destino -> roles autorizados
+const TRANSITIONS = {
+  borrador: {
+    enviada: ['admin', 'employee'],
+    cancelada: ['admin', 'employee']
+  },
+  enviada: {
+    recibida_parcial: ['admin', 'employee'],
+    recibida: ['admin', 'employee'],
+    cancelada: ['admin']
+  },
+  recibida_parcial: {
+    recibida_parcial: ['admin', 'employee'],
+    recibida: ['admin', 'employee'],
+    cancelada: ['admin']
+  },
+  recibida: {},
+  cancelada: {}
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+// Estados en los que la orden todavía espera mercadería
+const OPEN_STATUSES = ['borrador', 'enviada', 'recibida_parcial'];
+
+// Cómo se actualiza Product.cost al recibir: no se toca, último costo o costo promedio ponderado
+const COST_UPDATE_METHODS = ['none', 'last', 'average'];
+
+const ORDER_PREFIX = process.env.PURCHASE_ORDER_PREFIX || 'OC';
+
+/**
+ * Verifica si una transición está permitida para el usuario
+ * @param {String} from - Estado actual
+ * @param {String} to - Estado destino
+ * @param {Object} user - Usuario autenticado
+ * @returns {Object} {} si está permitida o { error, statusCode }
+ */
+function checkTransition(from, to, user) {
+  const roles = (TRANSITIONS[from] || {})[to];
+  
+  if (!roles) {
+    const allowed = Object.keys(TRANSITIONS[from] || {});
+    return {
+      error: `Transición no permitida: ${from} → ${to}` +
+        (allowed.length > 0 ? `. Desde ${from} solo se permite pasar a: ${allowed.join(', ')}` : `. El estado ${from} es final`),
+      statusCode: 400
+    };
+  }
+  
+  // Las integraciones con API key no tienen usuario y no pueden cambiar estados
+  if (!user) {
+    return { error: 'Se requiere un usuario autenticado para cambiar el estado de la orden de compra', statusCode: 403 };
+  }
+  
+  if (!roles.includes(user.role)) {
+    return { error: `El rol ${user.role} no puede cambiar una orden de compra de ${from} a ${to}`, statusCode: 403 };
+  }
+  
+  return {};
+}
+
+/**
+ * Cambia el estado de la orden y registra la transición en su historial
+ * @param {Object} order - Documento de la orden
+ * @param {String} to - Estado destino
+ * @param {Object} options - { userId, note }
+ */
+function applyTransition(order, to, { userId, note } = {}) {
+  order.statusHistory.push({
+    from: order.status,
+    to,
+    user: userId,
+    note,
+    date: new Date()
+  });
+  order.status = to;
+}
+
+/**
+ * Entrada del producto en el catálogo del proveedor
+ */
+function catalogEntry(supplier, productId) {
+  return (supplier.products || []).find(entry => entry.product.toString() === productId.toString());
+}
+
+/**
+ * Valida las líneas de una orden y calcula subtotales
+ * @param {Array} items - [{ product, package, quantity, unitCost }]; sin unitCost se usa el costo del
+ *   catálogo del proveedor o el costo actual del producto (por unidad base, multiplicado por el
+ *   factor si la línea se pide en un empaque)
+ * @param {Object} supplier - Proveedor de la orden
+ * @returns {Promise<Object>} { items, totalAmount } o { error, statusCode }
+ */
+async function buildItems(items, supplier) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'La orden de compra debe tener al menos un producto', statusCode: 400 };
+  }
+  
+  const lines = [];
+  
+  for (const item of items) {
+    if (!item || !item.product) {
+      return { error: 'Cada línea debe indicar el producto', statusCode: 400 };
+    }
+    
+    const product = await Product.findById(item.product).catch(() => null);
+    if (!product) {
+      return { error: `Producto con ID ${item.product} no encontrado`, statusCode: 404 };
+    }
+    
+    // Pedido en empaques (cajas, six-packs): se cuentan enteros
+    let packaging = null;
+    if (item.package) {
+      packaging = unitUtil.findPackage(product, item.package);
+      if (!packaging) {
+        return { error: `El producto ${product.name} no tiene el empaque ${item.package}`, statusCode: 400 };
+      }
+    }
+    
+    const quantityUnit = packaging ? unitUtil.DEFAULT_UNIT : product.unit;
+    const parsed = unitUtil.parseQuantity(item.quantity, quantityUnit);
+    if (parsed.error) {
+      return { error: `${product.name}: ${parsed.error}`, statusCode: 400 };
+    }
+    
+    const entry = catalogEntry(supplier, product._id);
+    let unitCost = product.cost;
+    if (entry && entry.cost !== undefined) {
+      unitCost = entry.cost;
+    }
+    if (packaging) {
+      unitCost *= packaging.factor;
+    }
+    if (item.unitCost !== undefined && item.unitCost !== null) {
+      unitCost = Number(item.unitCost);
+    }
+    
+    if (!Number.isFinite(unitCost) || unitCost < 0) {
+      return { error: `Costo inválido para ${product.name}: ${item.unitCost}`, statusCode: 400 };
+    }
+    
+    // Un producto repetido (en el mismo empaque) se suma a su línea si tiene el mismo costo
+    const existing = lines.find(line => line.product.toString() === product._id.toString() &&
+      line.package === (packaging ? packaging.name : undefined));
+    if (existing) {
+      if (existing.unitCost !== roundAmount(unitCost)) {
+        return { error: `El producto ${product.name} aparece más de una vez con distinto costo`, statusCode: 400 };
+      }
+      
+      existing.quantity = unitUtil.roundQuantity(existing.quantity + parsed.quantity, quantityUnit);
+      existing.subtotal = roundAmount(existing.quantity * existing.unitCost);
+      continue;
+    }
+    
+    lines.push({
+      product: product._id,
+      productName: product.name,
+      productCode: product.code,
+      unit: product.unit,
+      package: packaging ? packaging.name : undefined,
+      packageFactor: packaging ? packaging.factor : undefined,
+      quantity: parsed.quantity,
+      receivedQuantity: 0,
+      unitCost: roundAmount(unitCost),
+      subtotal: roundAmount(parsed.quantity * roundAmount(unitCost))
+    });
+  }
+  
+  return {
+    items: lines,
+    totalAmount: roundAmount(lines.reduce((sum, line) => sum + line.subtotal, 0))
+  };
+}
+
+/**
+ * Busca un proveedor activo
+ * @returns {Promise<Object>} { supplier } o { error, statusCode }
+ */
+async function findActiveSupplier(supplierId) {
+  const supplier = await Supplier.findById(supplierId).catch(() => null);
+  
+  if (!supplier) {
+    return { error: `Proveedor con ID ${supplierId} no encontrado`, statusCode: 404 };
+  }
+  
+  if (!supplier.isActive) {
+    return { error: `El proveedor ${supplier.name} está inactivo`, statusCode: 400 };
+  }
+  
+  return { supplier };
+}
+
+/**
+ * Crea una orden de compra en borrador
+ * @param {Object} data - { supplier, items, expectedDate, notes }
+ * @param {Object} options - { userId, note }
+ * @returns {Promise<Object>} { order } o { error, statusCode }
+ */
+async function createOrder({ supplier: supplierId, items, expectedDate, notes }, { userId, note } = {}) {
+  const found = await findActiveSupplier(supplierId);
+  if (found.error) {
+    return found;
+  }
+  
+  const built = await buildItems(items, found.supplier);
+  if (built.error) {
+    return built;
+  }
+  
+  // Se numera después de validar para no dejar huecos en la serie
+  const sequence = await sequenceUtil.next({ name: 'purchaseOrder', prefix: ORDER_PREFIX, padding: 4 });
+  
+  const order = new PurchaseOrder({
+    orderNumber: sequence.number,
+    supplier: found.supplier._id,
+    supplierName: found.supplier.name,
+    items: built.items,
+    totalAmount: built.totalAmount,
+    expectedDate: expectedDate ? new Date(expectedDate) : undefined,
+    notes,
+    createdBy: userId,
+    statusHistory: [{ to: 'borrador', user: userId, note: note || 'Orden de compra creada', date: new Date() }]
+  });
+  
+  await order.save();
+  return { order };
+}
+
+/**
+ * Línea de la orden que corresponde a una línea recibida: por producto y empaque; sin
+ * empaque se usa la única línea del producto o, si hay varias, la de la unidad base
+ */
+function findOrderItem(order, line) {
+  if (!line || !line.product) {
+    return null;
+  }
+  
+  let items = order.items.filter(item => item.product.toString() === line.product.toString());
+  if (line.package) {
+    const wanted = String(line.package).trim().toLowerCase();
+    items = items.filter(item => item.package && item.package.toLowerCase() === wanted);
+  } else if (items.length > 1) {
+    items = items.filter(item => !item.package);
+  }
+  
+  return items.length === 1 ? items[0] : null;
+}
+
+/**
+ * Registra una entrega del proveedor: ingresa el stock de cada línea y actualiza la orden.
+ * Las líneas pedidas en empaques se reciben en empaques y el stock ingresa en unidades base.
+ * @param {Object} order - Orden de compra (enviada o recibida parcialmente)
+ * @param {Array} lines - [{ product, package, quantity, unitCost, lotNumber, expirationDate }]; vacío recibe todo lo pendiente
+ * @param {Object} options - { session, user, costUpdate, note }
+ * @returns {Promise<Object>} { order, received } o { error, statusCode }
+ */
+async function receive(order, lines, { session, user, costUpdate = 'none', note } = {}) {
+  if (!['enviada', 'recibida_parcial'].includes(order.status)) {
+    return { error: `No se puede recibir una orden en estado ${order.status}`, statusCode: 400 };
+  }
+  
+  if (!COST_UPDATE_METHODS.includes(costUpdate)) {
+    return { error: `costUpdate inválido. Valores permitidos: ${COST_UPDATE_METHODS.join(', ')}`, statusCode: 400 };
+  }
+  
+  // Las cantidades de las líneas en empaques se cuentan enteras
+  const quantityUnit = item => item.package ? unitUtil.DEFAULT_UNIT : item.unit;
+  const pending = item => unitUtil.roundQuantity(item.quantity - item.receivedQuantity, quantityUnit(item));
+  
+  // Sin líneas se recibe todo lo pendiente
+  const requested = Array.isArray(lines) && lines.length > 0
+    ? lines
+    : order.items.filter(item => pending(item) > 0).map(item => ({ product: item.product, package: item.package, quantity: pending(item) }));
+  
+  // Una misma línea de la orden puede llegar repartida en varias (p. ej. por lote): se acumula
+  const requestedByItem = new Map();
+  
+  const toReceive = [];
+  for (const line of requested) {
+    const item = findOrderItem(order, line);
+    if (!item) {
+      const label = line && line.package ? `${line.product} (${line.package})` : line && line.product;
+      return { error: `El producto ${label} no está en la orden ${order.orderNumber}`, statusCode: 400 };
+    }
+    
+    const parsed = unitUtil.parseQuantity(line.quantity, quantityUnit(item));
+    if (parsed.error) {
+      return { error: `${item.productName}: ${parsed.error}`, statusCode: 400 };
+    }
+    
+    const total = unitUtil.roundQuantity((requestedByItem.get(item) || 0) + parsed.quantity, quantityUnit(item));
+    if (total > pending(item)) {
+      return {
+        error: `Se intentan recibir ${unitUtil.formatItemQuantity(item, total)} de ${item.productName}, pero solo quedan ${unitUtil.formatItemQuantity(item, pending(item))} pendientes`,
+        statusCode: 400
+      };
+    }
+    requestedByItem.set(item, total);
+    
+    // El costo facturado en la entrega puede diferir del de la orden
+    const unitCost = line.unitCost !== undefined && line.unitCost !== null ? Number(line.unitCost) : item.unitCost;
+    if (!Number.isFinite(unitCost) || unitCost < 0) {
+      return { error: `Costo inválido para ${item.productName}: ${line.unitCost}`, statusCode: 400 };
+    }
+    
+    toReceive.push({
+      item,
+      quantity: parsed.quantity,
+      unitCost: roundAmount(unitCost),
+      lotNumber: line.lotNumber,
+      expirationDate: line.expirationDate
+    });
+  }
+  
+  if (toReceive.length === 0) {
+    return { error: 'No hay cantidades pendientes por recibir', statusCode: 400 };
+  }
+  
+  const receipt = { date: new Date(), user: user ? user.id : undefined, note, items: [] };
+  
+  for (const { item, quantity, unitCost, lotNumber, expirationDate } of toReceive) {
+    // Stock y costo del producto en unidades base
+    const baseQuantity = unitUtil.toBaseQuantity(quantity, item.packageFactor, item.unit);
+    const baseCost = unitCost / (item.packageFactor || 1);
+    
+    // Mercadería con lote y vencimiento (lácteos, panadería, etc.)
+    let lots;
+    if (lotNumber) {
+      const lotResult = await lotUtil.receive(
+        { _id: item.product, name: item.productName, unit: item.unit },
+        { lotNumber, expirationDate, quantity: baseQuantity },
+        { session, purchaseOrder: order._id }
+      );
+      
+      if (lotResult.error) {
+        return lotResult;
+      }
+      lots = lotResult.lots;
+    }
+    
+    const result = await inventoryUtil.applyMovement({
+      product: item.product,
+      quantity: baseQuantity,
+      lots,
+      type: 'compra',
+      user: receipt.user,
+      referenceModel: 'PurchaseOrder',
+      reference: order._id,
+      referenceNumber: order.orderNumber,
+      reason: note || `Recepción de la orden ${order.orderNumber}`
+    }, { session });
+    
+    if (result.error) {
+      return result;
+    }
+    
+    if (costUpdate !== 'none') {
+      const product = result.product;
+      let cost = baseCost;
+      
+      // Promedio ponderado con el stock que había antes de la entrega
+      if (costUpdate === 'average') {
+        const previousStock = Math.max(product.stock - baseQuantity, 0);
+        cost = (previousStock * product.cost + baseQuantity * baseCost) / (previousStock + baseQuantity);
+      }
+      
+      await Product.updateOne({ _id: product._id }, { $set: { cost: roundAmount(cost) } }, { session });
+    }
+    
+    item.receivedQuantity = unitUtil.roundQuantity(item.receivedQuantity + quantity, quantityUnit(item));
+    receipt.items.push({
+      product: item.product,
+      package: item.package,
+      quantity,
+      unitCost,
+      lotNumber: lots ? lots[0].lotNumber : undefined,
+      expirationDate: lots ? lots[0].expirationDate : undefined,
+      movement: result.movement._id
+    });
+  }
+  
+  order.receipts.push(receipt);
+  
+  const complete = order.items.every(item => pending(item) <= 0);
+  const to = complete ? 'recibida' : 'recibida_parcial';
+  const transition = checkTransition(order.status, to, user);
+  if (transition.error) {
+    return transition;
+  }
+  
+  if (order.status !== to) {
+    applyTransition(order, to, { userId: receipt.user, note: note || 'Mercadería recibida' });
+  }
+  if (complete) {
+    order.receivedAt = receipt.date;
+  }
+  
+  await order.save({ session });
+  
+  return { order, received: receipt.items };
+}
+
+/**
+ * Proveedor al que se le pide un producto: el preferido del producto; si no, el más barato
+ * (y luego el de menor plazo) entre los que lo tienen en su catálogo; si no, el proveedor
+ * cuyo nombre coincide con el texto Product.supplier
+ */
+function chooseSupplier(product, suppliers) {
+  if (product.preferredSupplier) {
+    const preferred = suppliers.find(s => s._id.toString() === product.preferredSupplier.toString());
+    if (preferred) {
+      return { supplier: preferred, entry: catalogEntry(preferred, product._id) };
+    }
+  }
+  
+  const candidates = suppliers
+    .map(supplier => ({ supplier, entry: catalogEntry(supplier, product._id) }))
+    .filter(candidate => candidate.entry)
+    .sort((a, b) => {
+      const costA = a.entry.cost !== undefined ? a.entry.cost : Infinity;
+      const costB = b.entry.cost !== undefined ? b.entry.cost : Infinity;
+      return costA - costB || a.supplier.leadTimeDays - b.supplier.leadTimeDays;
+    });
+  
+  if (candidates.length > 0) {
+    return candidates[0];
+  }
+  
+  const byName = product.supplier
+    ? suppliers.find(s => s.name.toLowerCase() === product.supplier.trim().toLowerCase())
+    : null;
+  
+  return byName ? { supplier: byName, entry: null } : null;
+}
+
+/**
+ * Convierte el listado de bajo stock y agotados en órdenes sugeridas por proveedor.
+ * A la cantidad sugerida se le descuenta lo que ya está pedido en órdenes abiertas.
+ * @param {Object} options - { supplierIds } para limitar a ciertos proveedores
+ * @returns {Promise<Object>} { orders, unassigned, withoutQuantity }
+ */
+async function suggestOrders({ supplierIds } = {}) {
+  const products = await Product.find({
+    $or: [stockAlertUtil.lowStockFilter({ includeOutOfStock: true }), stockAlertUtil.outOfStockFilter()]
+  });
+  const productIds = products.map(p => p._id);
+  
+  const onOrder = await PurchaseOrder.aggregate([
+    { $match: { status: { $in: OPEN_STATUSES }, 'items.product': { $in: productIds } } },
+    { $unwind: '$items' },
+    { $match: { 'items.product': { $in: productIds } } },
+    {
+      $group: {
+        _id: '$items.product',
+        // Lo pendiente en empaques se cuenta en unidades base
+        pending: {
+          $sum: {
+            $multiply: [
+              { $subtract: ['$items.quantity', '$items.receivedQuantity'] },
+              { $ifNull: ['$items.packageFactor', 1] }
+            ]
+          }
+        }
+      }
+    }
+  ]);
+  const pendingByProduct = new Map(onOrder.map(entry => [entry._id.toString(), entry.pending]));
+  
+  const suppliers = await Supplier.find({
+    isActive: true,
+    $or: [
+      { 'products.product': { $in: productIds } },
+      { _id: { $in: products.map(p => p.preferredSupplier).filter(Boolean) } },
+      { name: { $in: products.map(p => p.supplier).filter(Boolean) } }
+    ]
+  });
+  
+  const groups = new Map();
+  const unassigned = [];
+  const withoutQuantity = [];
+  
+  for (const product of products) {
+    const base = {
+      product: product._id,
+      productCode: product.code,
+      productName: product.name,
+      unit: product.unit,
+      stock: product.stock,
+      reorderPoint: product.reorderPoint
+    };
+    
+    const onOrderQuantity = unitUtil.roundQuantity(pendingByProduct.get(product._id.toString()) || 0, product.unit);
+    const suggested = stockAlertUtil.suggestedQuantity(product);
+    
+    // Sin reorderQuantity ni maxStock no hay con qué calcular el pedido
+    if (suggested <= 0) {
+      withoutQuantity.push({ ...base, onOrder: onOrderQuantity });
+      continue;
+    }
+    
+    let quantity = unitUtil.roundQuantity(suggested - onOrderQuantity, product.unit);
+    if (quantity <= 0) {
+      continue;
+    }
+    
+    const choice = chooseSupplier(product, suppliers);
+    if (!choice) {
+      unassigned.push({ ...base, onOrder: onOrderQuantity, quantity });
+      continue;
+    }
+    
+    if (choice.entry && choice.entry.minOrderQuantity > quantity) {
+      quantity = choice.entry.minOrderQuantity;
+    }
+    
+    const unitCost = choice.entry && choice.entry.cost !== undefined ? choice.entry.cost : product.cost;
+    const key = choice.supplier._id.toString();
+    
+    if (!groups.has(key)) {
+      groups.set(key, {
+        supplier: { _id: choice.supplier._id, name: choice.supplier.name, leadTimeDays: choice.supplier.leadTimeDays },
+        expectedDate: new Date(Date.now() + choice.supplier.leadTimeDays * 24 * 60 * 60 * 1000),
+        items: [],
+        totalAmount: 0
+      });
+    }
+    
+    const line = {
+      ...base,
+      onOrder: onOrderQuantity,
+      quantity,
+      unitCost: roundAmount(unitCost),
+      subtotal: roundAmount(quantity * roundAmount(unitCost))
+    };
+    const group = groups.get(key);
+    group.items.push(line);
+    group.totalAmount = roundAmount(group.totalAmount + line.subtotal);
+  }
+  
+  let orders = [...groups.values()];
+  if (supplierIds && supplierIds.length > 0) {
+    const wanted = supplierIds.map(String);
+    orders = orders.filter(order => wanted.includes(order.supplier._id.toString()));
+  }
+  
+  return { orders, unassigned, withoutQuantity };
+}
+
+module.exports = {
+  TRANSITIONS,
+  STATUSES,
+  OPEN_STATUSES,
+  COST_UPDATE_METHODS,
+  checkTransition,
+  applyTransition,
+  buildItems,
+  findActiveSupplier,
+  createOrder,
+  receive,
+  suggestOrders
+};
@@ -0,0 +1,316 @@
+/**
+ * Generación de tickets de venta en texto plano, ESC/POS y PDF
+ * El contenido se arma una sola vez como lista de líneas y luego se renderiza
+ * en el formato pedido, ajustado al ancho del papel (58mm u 80mm).
+ */
+const unitUtil = require('./unit.util');
+
+// Caracteres por línea en la fuente estándar de cada ancho de papel
+const PAPER_COLUMNS = { 58: 32, 80: 48 };
+
+// Ancho del papel en puntos PDF (1mm = 2.8346pt)
+const PAPER_POINTS = { 58: 164.4, 80: 226.8 };
+
+const PAYMENT_LABELS = {
+  efectivo: 'Efectivo',
+  tarjeta_credito: 'Tarjeta de crédito',
+  tarjeta_debito: 'Tarjeta de débito',
+  transferencia: 'Transferencia',
+  nota_credito: 'Nota de crédito',
+  mixto: 'Mixto'
+};
+
+/**
+ * Datos del encabezado y pie del ticket, configurables por variables de entorno
+ */
+function storeConfig() {
+  return {
+    name: process.env.STORE_NAME || 'Supermercado',
+    address: process.env.STORE_ADDRESS,
+    taxId: process.env.STORE_TAX_ID,
+    phone: process.env.STORE_PHONE,
+    timezone: process.env.STORE_TIMEZONE,
+    // Varias líneas separadas por '|'
+    footer: process.env.RECEIPT_FOOTER || '¡Gracias por su compra!'
+  };
+}
+
+function money(value) {
+  return (Number(value) || 0).toFixed(2);
+}
+
+function personName(person) {
+  if (!person) return '';
+  const fullName = [person.firstName, person.lastName].filter(Boolean).join(' ');
+  return fullName || person.username || '';
+}
+
+/**
+ * Línea con texto a la izquierda y a la derecha, truncando el texto izquierdo si no cabe
+ */
+function columns(left, right, width) {
+  const space = width - right.length - 1;
+  const text = left.length > space ? left.slice(0, space) : left;
+  return text + ' '.repeat(width - text.length - right.length) + right;
+}
+
+/**
+ * Divide un texto largo en varias líneas del ancho indicado
+ */
+function wrap(text, width) {
+  const lines = [];
+  let current = '';
+  
+  for (const word of String(text).split(/\s+/)) {
+    if (!word) continue;
+    
+    if ((current + ' ' + word).trim().length > width) {
+      if (current) lines.push(current);
+      current = word.length > width ? word.slice(0, width) : word;
+    } else {
+      current = (current + ' ' + word).trim();
+    }
+  }
+  
+  if (current) lines.push(current);
+  return lines;
+}
+
+/**
+ * Arma el contenido del ticket
+ * @param {Object} sale - Venta con seller y customer poblados
+ * @param {Object} options - { paper: 58|80, reprint }
+ * @returns {Array} Líneas: { text, align, bold, large }
+ */
+function buildLines(sale, { paper = 80, reprint = false } = {}) {
+  const width = PAPER_COLUMNS[paper] || PAPER_COLUMNS[80];
+  const store = storeConfig();
+  const lines = [];
+  const separator = () => lines.push({ text: '-'.repeat(width) });
+  const center = (text, extra = {}) => wrap(text, width).forEach(t => lines.push({ text: t, align: 'center', ...extra }));
+  
+  // Encabezado de la tienda
+  center(store.name, { bold: true, large: true });
+  if (store.address) center(store.address);
+  if (store.taxId) center(`RUC: ${store.taxId}`);
+  if (store.phone) center(`Tel: ${store.phone}`);
+  
+  if (reprint) {
+    lines.push({ text: '' });
+    center('*** REIMPRESIÓN ***', { bold: true });
+  }
+  
+  separator();
+  
+  const date = new Date(sale.createdAt).toLocaleString('es-EC', store.timezone ? { timeZone: store.timezone } : {});
+  lines.push({ text: columns('Venta:', sale.saleNumber, width) });
+  lines.push({ text: columns('Fecha:', date, width) });
+  lines.push({ text: columns('Cajero:', personName(sale.seller), width) });
+  if (sale.customer) {
+    lines.push({ text: columns('Cliente:', personName(sale.customer), width) });
+  }
+  
+  separator();
+  
+  // Detalle de productos
+  for (const item of sale.items) {
+    wrap(item.productName || item.productCode || '', width).forEach(t => lines.push({ text: t }));
+    lines.push({ text: columns(`  ${unitUtil.formatItemQuantity(item)} x ${money(item.unitPrice)}`, money(item.quantity * item.unitPrice), width) });
+    
+    if (item.discount) {
+      const discountAmount = item.quantity * item.unitPrice * item.discount / 100;
+      lines.push({ text: columns(`  Desc. ${item.discount}%`, `-${money(discountAmount)}`, width) });
+    }
+    
+    for (const promotion of item.promotions || []) {
+      lines.push({ text: columns(`  ${promotion.name}`, `-${money(promotion.discountAmount)}`, width) });
+    }
+  }
+  
+  separator();
+  
+  // Totales e impuestos
+  const taxBreakdown = sale.taxBreakdown || [];
+  const subtotal = sale.subtotal !== undefined ? sale.subtotal : sale.totalAmount - (sale.tax || 0);
+  
+  lines.push({ text: columns('Subtotal', money(subtotal), width) });
+  for (const tax of taxBreakdown) {
+    lines.push({ text: columns(`  Base IVA ${tax.rate}%`, money(tax.base), width) });
+  }
+  for (const tax of taxBreakdown) {
+    lines.push({ text: columns(`IVA ${tax.rate}%`, money(tax.tax), width) });
+  }
+  if (taxBreakdown.length === 0 && sale.tax) {
+    lines.push({ text: columns('Impuesto', money(sale.tax), width) });
+  }
+  if (sale.promotionDiscount) {
+    lines.push({ text: columns('Ahorro en promociones', money(sale.promotionDiscount), width) });
+  }
+  lines.push({ text: columns('TOTAL', money(sale.totalAmount), width), bold: true, large: true });
+  
+  separator();
+  
+  // Pagos y vuelto
+  const payments = sale.payments && sale.payments.length > 0
+    ? sale.payments
+    : [{ method: sale.paymentMethod, amount: sale.totalAmount }];
+  let change = 0;
+  
+  for (const payment of payments) {
+    const label = PAYMENT_LABELS[payment.method] || payment.method;
+    lines.push({ text: columns(label, money(payment.tendered || payment.amount), width) });
+    if (payment.reference) {
+      lines.push({ text: `  Ref: ${payment.reference}` });
+    }
+    change += payment.change || 0;
+  }
+  lines.push({ text: columns('Cambio', money(change), width), bold: true });
+  
+  if (sale.paymentStatus !== 'completado') {
+    center(`Estado: ${sale.paymentStatus.toUpperCase()}`, { bold: true });
+  }
+  
+  if (sale.refundedAmount) {
+    lines.push({ text: columns('Devoluciones', `-${money(sale.refundedAmount)}`, width) });
+  }
+  
+  separator();
+  
+  // Pie configurable
+  for (const footerLine of store.footer.split('|')) {
+    center(footerLine.trim());
+  }
+  
+  return lines;
+}
+
+/**
+ * Renderiza el ticket como texto plano
+ */
+function renderText(lines, paper = 80) {
+  const width = PAPER_COLUMNS[paper] || PAPER_COLUMNS[80];
+  
+  return lines.map(line => {
+    if (line.align === 'center') {
+      const padding = Math.max(0, Math.floor((width - line.text.length) / 2));
+      return ' '.repeat(padding) + line.text;
+    }
+    return line.text;
+  }).join('\n') + '\n';
+}
+
+// Caracteres acentuados en la página de códigos PC850
+const CP850 = {
+  'á': 0xA0, 'é': 0x82, 'í': 0xA1, 'ó': 0xA2, 'ú': 0xA3, 'ñ': 0xA4, 'Ñ': 0xA5, 'ü': 0x81, 'Ü': 0x9A,
+  'Á': 0xB5, 'É': 0x90, 'Í': 0xD6, 'Ó': 0xE0, 'Ú': 0xE9, '¿': 0xA8, '¡': 0xAD
+};
+
+function encodeCp850(text) {
+  const bytes = [];
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    bytes.push(code < 0x80 ? code : (CP850[char] || 0x3F));
+  }
+  return bytes;
+}
+
+/**
+ * Renderiza el ticket como comandos ESC/POS para impresoras térmicas
+ */
+function renderEscPos(lines) {
+  const ESC = 0x1B;
+  const GS = 0x1D;
+  const bytes = [
+    ESC, 0x40,       // Inicializar impresora
+    ESC, 0x74, 0x02  // Página de códigos PC850
+  ];
+  
+  for (const line of lines) {
+    bytes.push(ESC, 0x61, line.align === 'center' ? 0x01 : 0x00);
+    bytes.push(ESC, 0x45, line.bold ? 0x01 : 0x00);
+    // Doble alto en textos destacados (el ancho se mantiene para respetar las columnas)
+    bytes.push(GS, 0x21, line.large ? 0x01 : 0x00);
+    bytes.push(...encodeCp850(line.text), 0x0A);
+  }
+  
+  bytes.push(
+    ESC, 0x64, 0x04,  // Avanzar 4 líneas
+    GS, 0x56, 0x01    // Corte parcial
+  );
+  
+  return Buffer.from(bytes);
+}
+
+function escapePdf(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+/**
+ * Renderiza el ticket como PDF de una página del ancho del papel (Courier, WinAnsi)
+ */
+function renderPdf(lines, paper = 80) {
+  const width = PAPER_COLUMNS[paper] || PAPER_COLUMNS[80];
+  const pageWidth = PAPER_POINTS[paper] || PAPER_POINTS[80];
+  const margin = 8;
+  // Courier tiene un ancho de 0.6 em por carácter
+  const fontSize = Math.floor(((pageWidth - margin * 2) / (width * 0.6)) * 10) / 10;
+  const leading = fontSize * 1.25;
+  const pageHeight = Math.ceil(lines.length * leading + margin * 2);
+  const text = renderText(lines, paper).split('\n');
+  
+  let content = `BT /F1 ${fontSize} Tf ${leading} TL ${margin} ${pageHeight - margin - fontSize} Td\n`;
+  lines.forEach((line, index) => {
+    const font = line.bold ? '/F2' : '/F1';
+    content += `${font} ${fontSize} Tf (${escapePdf(text[index])}) Tj T*\n`;
+  });
+  content += 'ET';
+  
+  const contentBuffer = Buffer.from(content, 'latin1');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+      '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>',
+    null
+  ];
+  
+  const chunks = [Buffer.from('%PDF-1.4\n', 'latin1')];
+  const offsets = [];
+  let length = chunks[0].length;
+  
+  objects.forEach((body, index) => {
+    const number = index + 1;
+    const object = body === null
+      ? Buffer.concat([
+        Buffer.from(`${number} 0 obj\n<< /Length ${contentBuffer.length} >>\nstream\n`, 'latin1'),
+        contentBuffer,
+        Buffer.from('\nendstream\nendobj\n', 'latin1')
+      ])
+      : Buffer.from(`${number} 0 obj\n${body}\nendobj\n`, 'latin1');
+    
+    offsets.push(length);
+    chunks.push(object);
+    length += object.length;
+  });
+  
+  let xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach(offset => {
+    xref += `${offset.toString().padStart(10, '0')} 00000 n \n`;
+  });
+  xref += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`;
+  chunks.push(Buffer.from(xref, 'latin1'));
+  
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  PAPER_COLUMNS,
+  PAYMENT_LABELS,
+  storeConfig,
+  buildLines,
+  renderText,
+  renderEscPos,
+  renderPdf
+};
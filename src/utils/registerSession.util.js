@@ -0,0 +1,136 @@
+/**
+ * Utilidades para turnos de caja: búsqueda del turno abierto y cuadre de caja
+ */
+const RegisterSession = require('../models/registerSession.model');
+const Sale = require('../models/sale.model');
+const { PAYMENT_METHODS, roundAmount } = require('./payment.util');
+
+/**
+ * Busca el turno abierto de un cajero
+ * @param {String} cashierId - ID del usuario
+ * @param {Object} session - Sesión de MongoDB (opcional)
+ * @returns {Promise<Object|null>} Turno abierto o null
+ */
+async function findOpenSession(cashierId, session) {
+  if (!cashierId) {
+    return null;
+  }
+  
+  return RegisterSession.findOne({ cashier: cashierId, status: 'abierta' }).session(session || null);
+}
+
+/**
+ * Busca el turno de un cajero que estaba abierto en un momento dado
+ * (ventas registradas sin conexión que se sincronizan después)
+ * @param {String} cashierId - ID del usuario
+ * @param {Date} date - Momento de la venta
+ * @param {Object} session - Sesión de MongoDB (opcional)
+ * @returns {Promise<Object|null>} Turno (abierto o ya cerrado) o null
+ */
+async function findSessionAt(cashierId, date, session) {
+  if (!cashierId) {
+    return null;
+  }
+  
+  return RegisterSession.findOne({
+    cashier: cashierId,
+    openedAt: { $lte: date },
+    $or: [{ status: 'abierta' }, { closedAt: { $gte: date } }]
+  }).sort({ openedAt: -1 }).session(session || null);
+}
+
+/**
+ * Calcula lo esperado en caja por método de pago para un turno.
+ * Efectivo = fondo inicial + cobros en efectivo (ventas y abonos) + ingresos - retiros - reembolsos en efectivo.
+ * Las ventas canceladas no cuentan ni por sus cobros ni por sus devoluciones, salvo los abonos
+ * cobrados aparte (cuotas de una venta a crédito), que sí entraron a la caja.
+ * @param {Object} registerSession - Turno de caja
+ * @returns {Promise<Object>} { expected: { método: monto }, salesCount, salesTotal, refunds }
+ */
+async function computeExpected(registerSession) {
+  const expected = Object.fromEntries(PAYMENT_METHODS.map(method => [method, 0]));
+  
+  // Cobros recibidos en el turno. Un pago sin turno propio pertenece al turno de su venta y no
+  // cuenta si la venta se canceló (se devolvió al cliente); los abonos con turno propio sí cuentan
+  const payments = await Sale.aggregate([
+    {
+      $match: {
+        $or: [
+          { registerSession: registerSession._id, paymentStatus: { $ne: 'cancelado' } },
+          { 'payments.registerSession': registerSession._id }
+        ]
+      }
+    },
+    {
+      $project: {
+        registerSession: 1,
+        paymentStatus: 1,
+        totalAmount: 1,
+        payments: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$payments', []] } }, 0] },
+            '$payments',
+            [{ method: '$paymentMethod', amount: '$totalAmount' }]
+          ]
+        }
+      }
+    },
+    { $unwind: '$payments' },
+    {
+      $match: {
+        $or: [
+          { 'payments.registerSession': registerSession._id },
+          { 'payments.registerSession': null, registerSession: registerSession._id, paymentStatus: { $ne: 'cancelado' } }
+        ]
+      }
+    },
+    { $group: { _id: '$payments.method', total: { $sum: '$payments.amount' } } }
+  ]);
+  
+  for (const payment of payments) {
+    expected[payment._id] = (expected[payment._id] || 0) + payment.total;
+  }
+  
+  const salesSummary = await Sale.aggregate([
+    { $match: { registerSession: registerSession._id, paymentStatus: { $ne: 'cancelado' } } },
+    { $group: { _id: null, count: { $sum: 1 }, total: { $sum: '$totalAmount' } } }
+  ]);
+  
+  // Reembolsos por devoluciones procesados en este turno. Los de ventas luego canceladas
+  // no se restan: sus cobros ya quedaron fuera y la cancelación devolvió solo el resto
+  const refunds = await Sale.aggregate([
+    { $match: { 'returns.registerSession': registerSession._id, paymentStatus: { $ne: 'cancelado' } } },
+    { $unwind: '$returns' },
+    { $match: { 'returns.registerSession': registerSession._id } },
+    { $group: { _id: '$returns.refundMethod', total: { $sum: '$returns.totalRefund' } } }
+  ]);
+  
+  for (const refund of refunds) {
+    if (expected[refund._id] !== undefined) {
+      expected[refund._id] -= refund.total;
+    }
+  }
+  
+  const movements = registerSession.movements.reduce(
+    (sum, m) => sum + (m.type === 'ingreso' ? m.amount : -m.amount),
+    0
+  );
+  expected.efectivo += registerSession.openingFloat + movements;
+  
+  for (const method of Object.keys(expected)) {
+    expected[method] = roundAmount(expected[method]);
+  }
+  
+  return {
+    expected,
+    salesCount: salesSummary.length > 0 ? salesSummary[0].count : 0,
+    salesTotal: salesSummary.length > 0 ? roundAmount(salesSummary[0].total) : 0,
+    refunds: refunds.map(r => ({ method: r._id, total: roundAmount(r.total) }))
+  };
+}
+
+module.exports = {
+  findOpenSession,
+  findSessionAt,
+  computeExpected
+};
@@ -0,0 +1,284 @@
+/**
+ * Lógica compartida para registrar ventas
+ * La usan la creación directa de ventas y el cierre de carritos, para que ambos
+ * apliquen la misma numeración, control de stock, precios y pagos.
+ */
+const logger = require('./logger');
+const mongoose = require('mongoose');
+const Sale = require('../models/sale.model');
+const Product = require('../models/product.model');
+const Promotion = require('../models/promotion.model');
+const paymentUtil = require('./payment.util');
+const sequenceUtil = require('./sequence.util');
+const pricingUtil = require('./pricing.util');
+const registerSessionUtil = require('./registerSession.util');
+const accountUtil = require('./account.util');
+const unitUtil = require('./unit.util');
+const inventoryUtil = require('./inventory.util');
+const lotUtil = require('./lot.util');
+
+/**
+ * Registra una venta dentro de una transacción ya iniciada.
+ * No confirma ni aborta la transacción: eso queda a cargo de quien la llama.
+ * Si la venta queda pendiente y tiene cliente, se carga a su cuenta de crédito.
+ * @param {Object} saleData - Datos de la venta (items, payments/paymentMethod, customer, couponCode, register, notes).
+ *   Cada item indica product o barcode (los códigos de balanza traen la cantidad embebida) y opcionalmente
+ *   package (nombre del empaque); el código de barras de un empaque también lo selecciona.
+ *   La cantidad de una línea con empaque se expresa en empaques y el stock se descuenta en unidades base
+ * @param {Object} options - { session, sellerId, offline }
+ *   offline: { clientId, terminal, localCreatedAt, registerSession, allowNegativeStock } para ventas
+ *   registradas sin conexión; con allowNegativeStock la falta de stock se marca en vez de rechazarse
+ * @returns {Promise<Object>} { sale } o { error, statusCode } si los datos son inválidos
+ */
+async function registerSale(saleData, { session, sellerId, offline }) {
+  // Validar datos requeridos
+  if (!saleData.items || saleData.items.length === 0) {
+    logger.warn('Intento de crear venta sin items');
+    return { error: 'La venta debe tener al menos un item', statusCode: 400 };
+  }
+  
+  if (!saleData.paymentMethod && (!saleData.payments || saleData.payments.length === 0)) {
+    logger.warn('Intento de crear venta sin método de pago');
+    return { error: 'El método de pago es requerido', statusCode: 400 };
+  }
+  
+  // El cajero debe tener un turno de caja abierto (o el turno de la venta sin conexión)
+  const registerSession = offline && offline.registerSession
+    ? offline.registerSession
+    : await registerSessionUtil.findOpenSession(sellerId, session);
+  
+  if (!registerSession) {
+    logger.warn(`Intento de crear venta sin turno de caja abierto (usuario ${sellerId})`);
+    return { error: 'El cajero no tiene un turno de caja abierto', statusCode: 409 };
+  }
+  
+  // Generar número de venta con el contador atómico de la serie (año + caja)
+  // Debe ser la primera escritura de la transacción
+  const register = saleData.register || registerSession.register || process.env.DEFAULT_REGISTER;
+  const sequence = await sequenceUtil.next({ name: 'sale', register, session });
+  
+  // ID de la venta reservado de antemano para referenciarla en el kardex
+  const saleId = new mongoose.Types.ObjectId();
+  const stockMovement = quantity => ({
+    quantity: -quantity,
+    type: 'venta',
+    user: sellerId,
+    referenceModel: 'Sale',
+    reference: saleId,
+    referenceNumber: sequence.number
+  });
+  
+  // Verificar productos y descontar stock
+  const lines = [];
+  const stockConflicts = [];
+  const lotsByLine = new Map();
+  
+  for (const item of saleData.items) {
+    let product;
+    let packaging = null;
+    let quantity = item.quantity;
+    
+    if (!item.product && item.barcode) {
+      // Código escaneado: los de balanza traen el peso o el precio embebido
+      const resolved = await unitUtil.resolveBarcode(item.barcode, session);
+      
+      if (resolved.error) {
+        logger.warn(`Código de barras inválido en venta: ${resolved.error}`);
+        return { error: resolved.error, statusCode: resolved.statusCode };
+      }
+      
+      product = resolved.product;
+      packaging = resolved.package;
+      if (resolved.quantity !== null) {
+        quantity = resolved.quantity;
+      } else if (quantity === undefined) {
+        quantity = 1;
+      }
+    } else {
+      // Verificar existencia del producto
+      product = await Product.findById(item.product, null, { session });
+      
+      if (!product) {
+        logger.warn(`Producto con ID ${item.product} no encontrado`);
+        return { error: `Producto con ID ${item.product} no encontrado`, statusCode: 404 };
+      }
+    }
+    
+    // Empaque pedido por nombre (si no vino ya del código de barras)
+    if (!packaging && item.package) {
+      packaging = unitUtil.findPackage(product, item.package);
+      
+      if (!packaging) {
+        logger.warn(`Empaque ${item.package} no encontrado para ${product.name}`);
+        return { error: `El producto ${product.name} no tiene el empaque ${item.package}`, statusCode: 400 };
+      }
+    }
+    
+    // La cantidad respeta la precisión de la unidad del producto (enteros o decimales a granel);
+    // los empaques se venden enteros
+    const parsed = unitUtil.parseQuantity(quantity, packaging ? unitUtil.DEFAULT_UNIT : product.unit);
+    
+    if (parsed.error) {
+      logger.warn(`Cantidad inválida para ${product.name}: ${parsed.error}`);
+      return { error: `${product.name}: ${parsed.error}`, statusCode: 400 };
+    }
+    
+    quantity = parsed.quantity;
+    
+    // Stock, lotes y kardex se mueven en unidades base
+    const baseQuantity = packaging ? unitUtil.toBaseQuantity(quantity, packaging.factor, product.unit) : quantity;
+    
+    // Verificar stock suficiente
+    if (product.stock < baseQuantity) {
+      if (!offline || !offline.allowNegativeStock) {
+        logger.warn(`Stock insuficiente para producto ${product.name}`);
+        return {
+          error: `Stock insuficiente para ${product.name}. Disponible: ${unitUtil.formatQuantity(product.stock, product.unit)}, Solicitado: ${unitUtil.formatQuantity(baseQuantity, product.unit)}`,
+          statusCode: 400
+        };
+      }
+      
+      // La mercadería ya se entregó sin conexión: el stock queda negativo y se marca la venta
+      logger.warn(`Venta sin conexión deja stock negativo en ${product.name}`);
+      stockConflicts.push({
+        product: product._id,
+        productName: product.name,
+        requested: baseQuantity,
+        available: product.stock
+      });
+    }
+    
+    lines.push({ product, quantity, discount: item.discount, packaging });
+    
+    // Descontar de los lotes lo que vence primero; los lotes vencidos no se pueden vender
+    const allocation = await lotUtil.consume(product, baseQuantity, {
+      session,
+      at: offline ? offline.localCreatedAt : new Date(),
+      allowShortage: Boolean(offline && offline.allowNegativeStock)
+    });
+    
+    if (allocation.error) {
+      logger.warn(`No se pudo asignar lotes de ${product.name}: ${allocation.error}`);
+      return { error: allocation.error, statusCode: allocation.statusCode };
+    }
+    
+    const lineKey = `${product._id}:${packaging ? packaging.name : ''}`;
+    lotsByLine.set(lineKey, [...(lotsByLine.get(lineKey) || []), ...allocation.lots]);
+    
+    // Descontar stock y registrar la salida en el kardex
+    const movement = await inventoryUtil.applyMovement(
+      { product, ...stockMovement(baseQuantity), lots: allocation.lots },
+      { session, allowNegative: Boolean(offline && offline.allowNegativeStock) }
+    );
+    
+    if (movement.error) {
+      logger.warn(`No se pudo descontar stock de ${product.name}: ${movement.error}`);
+      return { error: movement.error, statusCode: movement.statusCode };
+    }
+  }
+  
+  // Calcular descuentos, promociones e impuestos en el servidor
+  const pricing = await pricingUtil.priceItems(lines, { couponCode: saleData.couponCode, session });
+  
+  if (pricing.error) {
+    logger.warn(`Cupón inválido en venta: ${pricing.error}`);
+    return { error: pricing.error, statusCode: 400 };
+  }
+  
+  // Guardar el costo vigente de cada producto para calcular márgenes históricos
+  for (const item of pricing.items) {
+    const line = lines.find(l => l.product._id.toString() === item.product.toString());
+    item.unitCost = line.product.cost;
+    item.category = line.product.category;
+    item.lots = lotsByLine.get(`${item.product}:${item.package || ''}`) || [];
+  }
+  
+  // Consumir un uso de cada cupón aplicado, respetando su límite
+  for (const applied of pricing.appliedPromotions) {
+    if (!pricing.coupon || applied.promotion.toString() !== pricing.coupon._id.toString()) {
+      continue;
+    }
+    
+    const consumed = await Promotion.findOneAndUpdate(
+      {
+        _id: applied.promotion,
+        $or: [
+          { usageLimit: { $exists: false } },
+          { usageLimit: null },
+          { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usageCount: 1 } },
+      { new: true, session }
+    );
+    
+    if (!consumed) {
+      logger.warn(`Cupón ${pricing.coupon.couponCode} sin usos disponibles`);
+      return { error: `El cupón ${pricing.coupon.couponCode} alcanzó su límite de usos`, statusCode: 400 };
+    }
+  }
+  
+  // Registrar pagos (uno o varios métodos) y derivar el estado de pago
+  const paymentResult = paymentUtil.buildPayments(saleData, pricing.totalAmount);
+  
+  if (paymentResult.error) {
+    logger.warn(`Pagos inválidos en venta: ${paymentResult.error}`);
+    return { error: paymentResult.error, statusCode: 400 };
+  }
+  
+  // Crear la venta
+  const sale = new Sale({
+    _id: saleId,
+    saleNumber: sequence.number,
+    register: sequence.register,
+    sequenceKey: sequence.key,
+    sequenceNumber: sequence.seq,
+    registerSession: registerSession._id,
+    customer: saleData.customer,
+    items: pricing.items,
+    subtotal: pricing.subtotal,
+    promotionDiscount: pricing.promotionDiscount,
+    appliedPromotions: pricing.appliedPromotions,
+    couponCode: pricing.coupon ? pricing.coupon.couponCode : undefined,
+    totalAmount: pricing.totalAmount,
+    paymentMethod: paymentResult.paymentMethod,
+    payments: paymentResult.payments,
+    paymentStatus: paymentResult.paymentStatus,
+    statusHistory: [{ from: null, to: paymentResult.paymentStatus, user: sellerId, note: 'Venta registrada' }],
+    seller: sellerId,
+    notes: saleData.notes,
+    tax: pricing.tax,
+    taxBreakdown: pricing.taxBreakdown
+  });
+  
+  // La venta sin conexión conserva la fecha en que ocurrió en la terminal
+  if (offline) {
+    sale.set({
+      clientId: offline.clientId,
+      terminal: offline.terminal,
+      createdAt: offline.localCreatedAt,
+      syncedAt: new Date(),
+      stockConflicts
+    });
+    sale.statusHistory[0].date = offline.localCreatedAt;
+    sale.statusHistory[0].note = 'Venta registrada sin conexión';
+  }
+  
+  // Las ventas pendientes de un cliente se cargan a su cuenta de crédito
+  if (sale.paymentStatus === 'pendiente' && sale.customer) {
+    const charge = await accountUtil.postCharge(sale, { session, userId: sellerId });
+    
+    if (charge.error) {
+      logger.warn(`Venta a crédito rechazada: ${charge.error}`);
+      return { error: charge.error, statusCode: charge.statusCode };
+    }
+  }
+  
+  await sale.save({ session });
+  
+  return { sale };
+}
+
+module.exports = {
+  registerSale
+};
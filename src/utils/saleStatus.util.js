@@ -0,0 +1,82 @@
+/**
+ * Máquina de estados del estado de pago de una venta
+ * Define qué transiciones están permitidas, qué roles pueden ejecutarlas y
+ * registra cada cambio en el historial de la venta.
+ */
+
+// Transiciones permitidas: estado actual -> estado destino -> roles autorizados
+const TRANSITIONS = {
+  pendiente: {
+    completado: ['admin', 'employee'],
+    cancelado: ['admin', 'employee']
+  },
+  completado: {
+    cancelado: ['admin', 'employee']
+  },
+  cancelado: {}
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+/**
+ * Verifica si una transición está permitida para el usuario.
+ * @param {String} from - Estado actual
+ * @param {String} to - Estado destino
+ * @param {Object} user - Usuario autenticado
+ * @returns {Object} {} si está permitida o { error, statusCode }
+ */
+function checkTransition(from, to, user) {
+  if (!STATUSES.includes(to)) {
+    return { error: `Estado de pago inválido: ${to}. Valores permitidos: ${STATUSES.join(', ')}`, statusCode: 400 };
+  }
+  
+  if (from === to) {
+    return { error: `La venta ya está en estado ${to}`, statusCode: 400 };
+  }
+  
+  const roles = (TRANSITIONS[from] || {})[to];
+  
+  if (!roles) {
+    const allowed = Object.keys(TRANSITIONS[from] || {});
+    return {
+      error: `Transición no permitida: ${from} → ${to}` +
+        (allowed.length > 0 ? `. Desde ${from} solo se permite pasar a: ${allowed.join(', ')}` : `. El estado ${from} es final`),
+      statusCode: 400
+    };
+  }
+  
+  // Las integraciones con API key no tienen usuario y no pueden cambiar estados
+  if (!user) {
+    return { error: 'Se requiere un usuario autenticado para cambiar el estado de la venta', statusCode: 403 };
+  }
+  
+  if (!roles.includes(user.role)) {
+    return { error: `El rol ${user.role} no puede cambiar una venta de ${from} a ${to}`, statusCode: 403 };
+  }
+  
+  return {};
+}
+
+/**
+ * Cambia el estado de la venta y registra la transición en su historial
+ * @param {Object} sale - Documento de la venta
+ * @param {String} to - Estado destino
+ * @param {Object} options - { userId, note }
+ */
+function applyTransition(sale, to, { userId, note } = {}) {
+  sale.statusHistory.push({
+    from: sale.paymentStatus,
+    to,
+    user: userId,
+    note,
+    date: new Date()
+  });
+  sale.paymentStatus = to;
+}
+
+module.exports = {
+  TRANSITIONS,
+  STATUSES,
+  checkTransition,
+  applyTransition
+};
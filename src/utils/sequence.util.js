@@ -0,0 +1,127 @@
+/**
+ * Utilidades para la numeración secuencial de documentos (ventas, facturas, órdenes de compra)
+ * Las series de ventas se separan por año y por caja/sucursal; todas se incrementan de forma atómica
+ */
+const Counter = require('../models/counter.model');
+const logger = require('./logger');
+
+const DEFAULT_PREFIX = process.env.SALE_NUMBER_PREFIX || 'V';
+const DEFAULT_PADDING = Number(process.env.SALE_NUMBER_PADDING) || 3;
+const MAX_RETRIES = 5;
+
+/**
+ * Construye la clave única de una serie
+ * @param {String} name - Tipo de documento (p. ej. 'sale')
+ * @param {Number} year - Año de la serie
+ * @param {String} register - Caja o sucursal (opcional)
+ * @returns {String} Clave de la serie
+ */
+function buildKey(name, year, register) {
+  return `${name}:${year}:${register || 'principal'}`;
+}
+
+/**
+ * Da formato a un número de la serie, p. ej. V2025-001 o V2025-CAJA1-001
+ * @param {Object} counter - Documento de la serie (prefix, padding, year, register)
+ * @param {Number} seq - Número secuencial
+ * @returns {String} Número formateado
+ */
+function formatNumber(counter, seq) {
+  const prefix = counter.prefix !== undefined ? counter.prefix : DEFAULT_PREFIX;
+  const padding = counter.padding || DEFAULT_PADDING;
+  const register = counter.register ? `${counter.register}-` : '';
+  return `${prefix}${counter.year}-${register}${seq.toString().padStart(padding, '0')}`;
+}
+
+/**
+ * Indica si un error de MongoDB es transitorio dentro de una transacción (conflicto de escritura)
+ * @param {Error} error - Error capturado
+ * @returns {Boolean}
+ */
+function isTransientError(error) {
+  return typeof error.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError');
+}
+
+/**
+ * Incrementa de forma atómica el contador de una clave y devuelve el documento actualizado.
+ * Si se pasa una sesión con transacción, el incremento se revierte junto con ella,
+ * por lo que un documento abortado no deja huecos. En ese caso debe ser la primera
+ * escritura de la transacción: ante un conflicto con otra caja se reinicia la
+ * transacción y se reintenta.
+ * @param {Object} options - { key, defaults (campos al crear la serie), session }
+ * @returns {Promise<Object>} Documento del contador
+ */
+async function increment({ key, defaults = {}, session }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await Counter.findOneAndUpdate(
+        { key },
+        { $inc: { seq: 1 }, $setOnInsert: defaults },
+        { new: true, upsert: true, session }
+      );
+    } catch (error) {
+      if (!session || !session.inTransaction() || !isTransientError(error) || attempt >= MAX_RETRIES) {
+        throw error;
+      }
+      
+      logger.warn(`Conflicto al numerar la serie ${key}, reintento ${attempt}`);
+      await session.abortTransaction();
+      await new Promise(resolve => setTimeout(resolve, 50 * attempt));
+      session.startTransaction();
+    }
+  }
+}
+
+/**
+ * Obtiene el siguiente número de venta de la serie del año y la caja
+ * @param {Object} options - { name, register, date, session, prefix, padding }
+ *   prefix y padding solo se usan al crear la serie (otros documentos, p. ej. órdenes de compra)
+ * @returns {Promise<Object>} { number, seq, key, year, register }
+ */
+async function next({ name = 'sale', register, date = new Date(), session, prefix = DEFAULT_PREFIX, padding = DEFAULT_PADDING } = {}) {
+  const year = date.getFullYear();
+  const key = buildKey(name, year, register);
+  
+  const counter = await increment({
+    key,
+    defaults: { name, year, register, prefix, padding },
+    session
+  });
+  
+  return {
+    number: formatNumber(counter, counter.seq),
+    seq: counter.seq,
+    key,
+    year,
+    register
+  };
+}
+
+/**
+ * Describe el estado de una serie: último número emitido y el siguiente
+ * @param {Object} counter - Documento de la serie
+ * @returns {Object} Resumen de la serie
+ */
+function describe(counter) {
+  return {
+    id: counter._id,
+    key: counter.key,
+    name: counter.name,
+    year: counter.year,
+    register: counter.register || null,
+    prefix: counter.prefix,
+    padding: counter.padding,
+    lastNumber: counter.seq,
+    lastFormatted: counter.seq > 0 ? formatNumber(counter, counter.seq) : null,
+    nextNumber: counter.seq + 1,
+    nextFormatted: formatNumber(counter, counter.seq + 1)
+  };
+}
+
+module.exports = {
+  buildKey,
+  formatNumber,
+  increment,
+  next,
+  describe
+};
@@ -0,0 +1,158 @@
+/**
+ * Puntos de reorden y alertas de bajo stock
+ * Cada movimiento de inventario reevalúa el producto: al llegar al punto de reorden (o
+ * agotarse) se abre una alerta, que no se repite mientras siga abierta, y se resuelve
+ * sola cuando el stock vuelve a superar el punto de reorden.
+ */
+const StockAlert = require('../models/stockAlert.model');
+const logger = require('./logger');
+const unitUtil = require('./unit.util');
+
+const ALERT_TYPES = ['bajo_stock', 'sin_stock'];
+const ALERT_STATUSES = ['activa', 'reconocida', 'resuelta'];
+
+/**
+ * Nivel de stock de un producto
+ * @returns {String|null} 'sin_stock', 'bajo_stock' o null si está por encima del punto de reorden
+ */
+function stockLevel(product) {
+  if (product.stock <= 0) {
+    return 'sin_stock';
+  }
+  
+  if (product.reorderPoint > 0 && product.stock <= product.reorderPoint) {
+    return 'bajo_stock';
+  }
+  
+  return null;
+}
+
+/**
+ * Cantidad sugerida para reponer: hasta maxStock si está definido, si no reorderQuantity
+ */
+function suggestedQuantity(product) {
+  const stock = Math.max(product.stock, 0);
+  let quantity = 0;
+  
+  if (product.maxStock > 0) {
+    quantity = product.maxStock - stock;
+  } else if (product.reorderQuantity > 0) {
+    quantity = product.reorderQuantity;
+  }
+  
+  return Math.max(unitUtil.roundQuantity(quantity, product.unit), 0);
+}
+
+/**
+ * Valida la combinación de niveles de stock de un producto
+ * @param {Object} levels - { reorderPoint, reorderQuantity, maxStock } ya combinados con los actuales
+ * @returns {String|null} Mensaje de error o null si son válidos
+ */
+function validateLevels({ reorderPoint, reorderQuantity, maxStock }) {
+  for (const [field, value] of Object.entries({ reorderPoint, reorderQuantity, maxStock })) {
+    if (value !== undefined && value !== null && (!Number.isFinite(Number(value)) || Number(value) < 0)) {
+      return `${field} debe ser un número mayor o igual a cero`;
+    }
+  }
+  
+  if (maxStock > 0 && reorderPoint > 0 && Number(maxStock) <= Number(reorderPoint)) {
+    return 'maxStock debe ser mayor que reorderPoint';
+  }
+  
+  return null;
+}
+
+/**
+ * Reevalúa las alertas de un producto luego de un cambio de stock o de sus niveles
+ * @param {Object} product - Producto actualizado (stock, reorderPoint, reorderQuantity, maxStock, unit)
+ * @param {Object} options - { session, movement }
+ * @returns {Promise<Object|null>} { alert, fired } o null si no hay alerta abierta
+ */
+async function evaluate(product, { session, movement } = {}) {
+  const level = stockLevel(product);
+  const current = await StockAlert.findOne({ product: product._id, open: true }).session(session || null);
+  
+  // Stock repuesto: se cierran las alertas abiertas
+  if (!level) {
+    if (current) {
+      current.status = 'resuelta';
+      current.open = false;
+      current.resolvedAt = new Date();
+      current.resolvedStock = product.stock;
+      await current.save({ session });
+      
+      logger.info(`Alerta de stock resuelta para ${product.name}: stock ${unitUtil.formatQuantity(product.stock, product.unit)}`);
+    }
+    return null;
+  }
+  
+  // Ya hay una alerta abierta: solo se escala si el producto pasó de bajo stock a agotado
+  if (current) {
+    if (current.type === 'bajo_stock' && level === 'sin_stock') {
+      current.type = 'sin_stock';
+      current.status = 'activa';
+      current.stock = product.stock;
+      current.suggestedQuantity = suggestedQuantity(product);
+      current.movement = movement ? movement._id : current.movement;
+      current.escalatedAt = new Date();
+      await current.save({ session });
+      
+      logger.warn(`Producto agotado: ${product.name} (${product.code})`);
+      return { alert: current, fired: true };
+    }
+    
+    return { alert: current, fired: false };
+  }
+  
+  const [alert] = await StockAlert.create([{
+    product: product._id,
+    type: level,
+    stock: product.stock,
+    reorderPoint: product.reorderPoint,
+    suggestedQuantity: suggestedQuantity(product),
+    unit: product.unit,
+    movement: movement ? movement._id : undefined
+  }], { session });
+  
+  logger.warn(level === 'sin_stock'
+    ? `Producto agotado: ${product.name} (${product.code})`
+    : `Bajo stock: ${product.name} (${product.code}) con ${unitUtil.formatQuantity(product.stock, product.unit)}, punto de reorden ${unitUtil.formatQuantity(product.reorderPoint, product.unit)}`);
+  
+  return { alert, fired: true };
+}
+
+/**
+ * Filtro de productos activos en o por debajo de su punto de reorden
+ * @param {Object} options - { includeOutOfStock } para incluir también los agotados
+ */
+function lowStockFilter({ includeOutOfStock = false } = {}) {
+  const filter = {
+    isActive: true,
+    reorderPoint: { $gt: 0 },
+    $expr: { $lte: ['$stock', '$reorderPoint'] }
+  };
+  
+  if (!includeOutOfStock) {
+    filter.stock = { $gt: 0 };
+  }
+  
+  return filter;
+}
+
+/**
+ * Filtro de productos activos agotados
+ */
+function outOfStockFilter() {
+  return { isActive: true, stock: { $lte: 0 } };
+}
+
+module.exports = {
+  ALERT_TYPES,
+  ALERT_STATUSES,
+  stockLevel,
+  suggestedQuantity,
+  validateLevels,
+  evaluate,
+  lowStockFilter,
+  outOfStockFilter
+};
@@ -0,0 +1,99 @@
+/**
+ * Utilidades para el cálculo de impuestos de las ventas
+ * La tarifa de un producto se resuelve en este orden: tarifa propia del producto,
+ * tarifa asignada a su categoría y, por último, la tarifa por defecto.
+ */
+const TaxRate = require('../models/taxRate.model');
+const { roundAmount } = require('./payment.util');
+
+// Indica si los precios de los productos ya incluyen el impuesto
+const PRICES_INCLUDE_TAX = process.env.PRICES_INCLUDE_TAX === 'true';
+
+/**
+ * Carga las tarifas activas indexadas por ID y por categoría
+ * @param {Object} session - Sesión de MongoDB (opcional)
+ * @returns {Promise<Object>} { byId, byCategory, defaultRate }
+ */
+async function loadTaxRates(session) {
+  const rates = await TaxRate.find({ isActive: true }).session(session || null);
+  
+  const byId = new Map();
+  const byCategory = new Map();
+  let defaultRate = null;
+  
+  for (const rate of rates) {
+    byId.set(rate._id.toString(), rate);
+    
+    for (const category of rate.categories) {
+      byCategory.set(category, rate);
+    }
+    
+    if (rate.isDefault) {
+      defaultRate = rate;
+    }
+  }
+  
+  return { byId, byCategory, defaultRate };
+}
+
+/**
+ * Resuelve la tarifa que corresponde a un producto
+ * @param {Object} product - Producto
+ * @param {Object} rates - Tarifas cargadas con loadTaxRates
+ * @returns {Object} { taxRateId, taxCode, taxRate }
+ */
+function resolveTaxRate(product, rates) {
+  const rate = (product.taxRate && rates.byId.get(product.taxRate.toString()))
+    || rates.byCategory.get(product.category)
+    || rates.defaultRate;
+  
+  if (!rate) {
+    return { taxRateId: undefined, taxCode: undefined, taxRate: 0 };
+  }
+  
+  return { taxRateId: rate._id, taxCode: rate.code, taxRate: rate.rate };
+}
+
+/**
+ * Calcula base imponible, impuesto y total de un importe
+ * @param {Number} amount - Importe de la línea (precio por cantidad, con descuento)
+ * @param {Number} rate - Porcentaje del impuesto
+ * @returns {Object} { taxableBase, taxAmount, total }
+ */
+function computeTax(amount, rate) {
+  if (PRICES_INCLUDE_TAX) {
+    const taxableBase = roundAmount(amount / (1 + rate / 100));
+    return { taxableBase, taxAmount: roundAmount(amount - taxableBase), total: roundAmount(amount) };
+  }
+  
+  const taxableBase = roundAmount(amount);
+  const taxAmount = roundAmount(taxableBase * rate / 100);
+  return { taxableBase, taxAmount, total: roundAmount(taxableBase + taxAmount) };
+}
+
+/**
+ * Agrupa las líneas de una venta por tarifa
+ * @param {Array} items - Items con taxCode, taxRate, taxableBase y taxAmount
+ * @returns {Array} [{ code, rate, base, tax }]
+ */
+function summarize(items) {
+  const groups = new Map();
+  
+  for (const item of items) {
+    const key = `${item.taxCode || ''}:${item.taxRate}`;
+    const group = groups.get(key) || { code: item.taxCode, rate: item.taxRate, base: 0, tax: 0 };
+    group.base = roundAmount(group.base + item.taxableBase);
+    group.tax = roundAmount(group.tax + item.taxAmount);
+    groups.set(key, group);
+  }
+  
+  return [...groups.values()];
+}
+
+module.exports = {
+  PRICES_INCLUDE_TAX,
+  loadTaxRates,
+  resolveTaxRate,
+  computeTax,
+  summarize
+};
@@ -0,0 +1,357 @@
+/**
+ * Unidades de medida, empaques y códigos de barras de balanza
+ * Los productos se venden por unidad o a granel (kg, g, l). Cada unidad define
+ * cuántos decimales admite la cantidad. Un producto puede venderse además en empaques
+ * (six-pack, caja) que equivalen a un factor de su unidad base.
+ */
+const Product = require('../models/product.model');
+
+const UNITS = {
+  unidad: { decimals: 0, symbol: 'u' },
+  kg: { decimals: 3, symbol: 'kg' },
+  g: { decimals: 0, symbol: 'g' },
+  l: { decimals: 3, symbol: 'l' }
+};
+
+const DEFAULT_UNIT = 'unidad';
+
+function decimals(unit) {
+  return (UNITS[unit] || UNITS[DEFAULT_UNIT]).decimals;
+}
+
+/**
+ * Redondea una cantidad a la precisión de su unidad (evita errores de coma flotante)
+ */
+function roundQuantity(quantity, unit) {
+  const factor = Math.pow(10, decimals(unit));
+  return Math.round(Number(quantity) * factor) / factor;
+}
+
+/**
+ * Valida una cantidad según la unidad del producto
+ * @param {*} value - Cantidad recibida
+ * @param {String} unit - Unidad del producto
+ * @param {Object} options - { allowZero } para ajustes de stock que fijan el valor en cero
+ * @returns {Object} { quantity } o { error }
+ */
+function parseQuantity(value, unit, { allowZero = false } = {}) {
+  // Solo números o textos numéricos (Number() aceptaría true, [2] o espacios)
+  const numeric = typeof value === 'number' || (typeof value === 'string' && /^\s*[-+]?(\d+\.?\d*|\.\d+)\s*$/.test(value));
+  const quantity = numeric ? Number(value) : NaN;
+  const unitName = UNITS[unit] ? unit : DEFAULT_UNIT;
+  
+  if (!Number.isFinite(quantity) || quantity < 0 || (!allowZero && quantity === 0)) {
+    return { error: `Cantidad inválida: ${value}` };
+  }
+  
+  // La cantidad no puede tener más decimales de los que admite la unidad
+  if (Math.abs(roundQuantity(quantity, unitName) - quantity) > 1e-9) {
+    const allowed = decimals(unitName);
+    return {
+      error: allowed === 0
+        ? `La cantidad debe ser un número entero para productos vendidos por ${unitName}`
+        : `La cantidad admite como máximo ${allowed} decimales para productos vendidos por ${unitName}`
+    };
+  }
+  
+  return { quantity: roundQuantity(quantity, unitName) };
+}
+
+/**
+ * Cantidad con su unidad para mostrar (p. ej. "1.250 kg" o "3")
+ */
+function formatQuantity(quantity, unit) {
+  if (!unit || unit === DEFAULT_UNIT) {
+    return String(quantity);
+  }
+  
+  return `${Number(quantity).toFixed(decimals(unit))} ${UNITS[unit].symbol}`;
+}
+
+/**
+ * Cantidad de una línea para mostrar, con el nombre del empaque si se vendió en uno
+ * (p. ej. "2 six-pack")
+ * @param {Object} item - Línea con quantity, unit y package
+ * @param {Number} quantity - Cantidad a mostrar en lugar de la de la línea (opcional)
+ */
+function formatItemQuantity(item, quantity = item.quantity) {
+  return item.package ? `${quantity} ${item.package}` : formatQuantity(quantity, item.unit);
+}
+
+/**
+ * Busca un empaque activo de un producto por nombre (sin distinguir mayúsculas)
+ * @returns {Object|null} Empaque o null si no existe
+ */
+function findPackage(product, name) {
+  const wanted = String(name || '').trim().toLowerCase();
+  
+  return (product.packages || []).find(p => p.isActive !== false && p.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Convierte una cantidad de empaques a la unidad base del producto
+ * @param {Number} quantity - Cantidad de empaques (o de unidades base si no hay factor)
+ * @param {Number} factor - Unidades base por empaque
+ * @param {String} unit - Unidad base del producto
+ */
+function toBaseQuantity(quantity, factor, unit) {
+  return roundQuantity(quantity * (factor || 1), unit);
+}
+
+/**
+ * Valida los empaques de un producto
+ * @param {Array} packages - [{ name, barcode, price, factor }]
+ * @param {String} unit - Unidad base del producto
+ * @returns {String|null} Mensaje de error o null si son válidos
+ */
+function validatePackages(packages, unit) {
+  if (packages === undefined) {
+    return null;
+  }
+  
+  if (!Array.isArray(packages)) {
+    return 'packages debe ser una lista';
+  }
+  
+  const names = new Set();
+  const barcodes = new Set();
+  
+  for (const packaging of packages) {
+    if (!packaging || !packaging.name || !String(packaging.name).trim()) {
+      return 'Cada empaque debe tener un nombre';
+    }
+    
+    const name = String(packaging.name).trim();
+    const factor = Number(packaging.factor);
+    
+    if (!Number.isFinite(factor) || factor <= 0) {
+      return `El empaque ${name} debe indicar cuántas unidades base contiene (factor mayor a cero)`;
+    }
+    
+    // El factor respeta la precisión de la unidad base (enteros para productos por unidad)
+    if (Math.abs(roundQuantity(factor, unit) - factor) > 1e-9) {
+      return `El factor del empaque ${name} no es válido para productos vendidos por ${UNITS[unit] ? unit : DEFAULT_UNIT}`;
+    }
+    
+    if (packaging.price === undefined || !Number.isFinite(Number(packaging.price)) || Number(packaging.price) < 0) {
+      return `El empaque ${name} debe tener un precio válido`;
+    }
+    
+    if (names.has(name.toLowerCase())) {
+      return `El empaque ${name} está repetido`;
+    }
+    names.add(name.toLowerCase());
+    
+    if (packaging.barcode) {
+      if (barcodes.has(String(packaging.barcode))) {
+        return `El código de barras ${packaging.barcode} está repetido en los empaques`;
+      }
+      barcodes.add(String(packaging.barcode));
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Artículos de una lista de items: las cantidades por unidad se suman (los empaques
+ * cuentan sus unidades base) y cada línea a granel cuenta como un artículo
+ */
+function countUnits(items) {
+  return items.reduce((sum, item) => {
+    if ((item.unit || DEFAULT_UNIT) === DEFAULT_UNIT) {
+      return sum + item.quantity * (item.packageFactor || 1);
+    }
+    
+    return sum + (item.package ? item.quantity : 1);
+  }, 0);
+}
+
+/**
+ * Expresión de agregación equivalente a countUnits (no se suman kg con unidades)
+ * @param {String} items - Ruta del arreglo de items (p. ej. '$items')
+ */
+function countedUnitsExpr(items) {
+  return {
+    $sum: {
+      $map: {
+        input: items,
+        as: 'i',
+        in: {
+          $cond: [
+            { $eq: [{ $ifNull: ['$$i.unit', DEFAULT_UNIT] }, DEFAULT_UNIT] },
+            { $multiply: ['$$i.quantity', { $ifNull: ['$$i.packageFactor', 1] }] },
+            { $cond: [{ $ifNull: ['$$i.package', false] }, '$$i.quantity', 1] }
+          ]
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Verifica el dígito de control de un EAN-13
+ */
+function isValidEan13(code) {
+  if (!/^\d{13}$/.test(code)) {
+    return false;
+  }
+  
+  const sum = code.slice(0, 12).split('').reduce((acc, digit, i) => acc + Number(digit) * (i % 2 === 0 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10 === Number(code[12]);
+}
+
+function parsePrefixes(value, fallback) {
+  return String(value || fallback).split(',').map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Interpreta un código EAN-13 de balanza (prefijo 2x): 2 dígitos de prefijo, el código
+ * PLU del producto y el peso (en gramos o mililitros) o el precio (en centavos) embebido.
+ * Configuración: SCALE_WEIGHT_PREFIXES (por defecto 20-24), SCALE_PRICE_PREFIXES (25-29)
+ * y SCALE_PLU_DIGITS (por defecto 5; el valor ocupa el resto hasta el dígito de control).
+ * @param {String} code - Código leído
+ * @returns {Object|null} { plu, type: 'peso'|'precio', value } o null si no es de balanza;
+ *   { error } si tiene formato de balanza pero es inválido
+ */
+function parseScaleBarcode(code) {
+  const barcode = String(code || '').trim();
+  
+  if (!/^2\d{12}$/.test(barcode)) {
+    return null;
+  }
+  
+  if (!isValidEan13(barcode)) {
+    return { error: `Dígito de control inválido en el código ${barcode}` };
+  }
+  
+  const prefix = barcode.slice(0, 2);
+  const weightPrefixes = parsePrefixes(process.env.SCALE_WEIGHT_PREFIXES, '20,21,22,23,24');
+  const pricePrefixes = parsePrefixes(process.env.SCALE_PRICE_PREFIXES, '25,26,27,28,29');
+  const pluDigits = parseInt(process.env.SCALE_PLU_DIGITS, 10) || 5;
+  
+  let type;
+  if (weightPrefixes.includes(prefix)) {
+    type = 'peso';
+  } else if (pricePrefixes.includes(prefix)) {
+    type = 'precio';
+  } else {
+    return null;
+  }
+  
+  const plu = barcode.slice(2, 2 + pluDigits);
+  const value = Number(barcode.slice(2 + pluDigits, 12));
+  
+  if (value <= 0) {
+    return { error: `El código ${barcode} no tiene peso ni precio` };
+  }
+  
+  return { plu, type, value };
+}
+
+/**
+ * Cantidad a vender según lo embebido en un código de balanza
+ * @param {Object} scan - Resultado de parseScaleBarcode
+ * @param {Object} product - Producto (unit, price)
+ * @returns {Object} { quantity } o { error }
+ */
+function scaleQuantity(scan, product) {
+  const unit = product.unit || DEFAULT_UNIT;
+  
+  if (scan.type === 'peso') {
+    if (unit === DEFAULT_UNIT) {
+      return { error: `El producto ${product.name} se vende por unidad y no por peso` };
+    }
+    
+    // La balanza informa gramos (o mililitros)
+    return { quantity: roundQuantity(unit === 'g' ? scan.value : scan.value / 1000, unit) };
+  }
+  
+  // Precio embebido en centavos: la cantidad se deriva del precio por unidad. Un producto
+  // por unidad no puede cobrar el importe de la etiqueta con una cantidad entera
+  if (unit === DEFAULT_UNIT) {
+    return { error: `El producto ${product.name} se vende por unidad y no admite códigos con precio` };
+  }
+  
+  if (!product.price) {
+    return { error: `El producto ${product.name} no tiene precio para calcular la cantidad` };
+  }
+  
+  const quantity = roundQuantity(scan.value / 100 / product.price, unit);
+  
+  if (quantity <= 0) {
+    return { error: `El precio del código no alcanza una cantidad válida de ${product.name}` };
+  }
+  
+  return { quantity };
+}
+
+/**
+ * Resuelve un código leído en el POS: código de balanza (producto por PLU y cantidad
+ * embebida), código de barras de un empaque o código de barras/código interno del
+ * producto (sin cantidad)
+ * @param {String} code - Código leído
+ * @param {Object} session - Sesión de MongoDB (opcional)
+ * @returns {Promise<Object>} { product, quantity, scan, package } o { error, statusCode };
+ *   package es el empaque leído o null si es la unidad base
+ */
+async function resolveBarcode(code, session) {
+  const scan = parseScaleBarcode(code);
+  
+  if (scan && scan.error) {
+    return { error: scan.error, statusCode: 400 };
+  }
+  
+  if (!scan) {
+    const product = await Product.findOne({
+      $or: [{ barcode: String(code) }, { code: String(code) }, { 'packages.barcode': String(code) }]
+    }).session(session || null);
+    
+    if (!product) {
+      return { error: `No existe un producto con el código ${code}`, statusCode: 404 };
+    }
+    
+    // El código propio del producto tiene prioridad sobre el de sus empaques
+    const isBase = product.barcode === String(code) || product.code === String(code);
+    const packaging = isBase ? null : (product.packages || []).find(p => p.barcode === String(code));
+    
+    if (packaging && packaging.isActive === false) {
+      return { error: `El empaque ${packaging.name} de ${product.name} no está activo`, statusCode: 400 };
+    }
+    
+    return { product, quantity: null, scan: null, package: packaging };
+  }
+  
+  // El PLU puede estar registrado con o sin ceros a la izquierda
+  const product = await Product.findOne({ plu: { $in: [scan.plu, String(Number(scan.plu))] } }).session(session || null);
+  
+  if (!product) {
+    return { error: `No existe un producto con PLU ${scan.plu}`, statusCode: 404 };
+  }
+  
+  const result = scaleQuantity(scan, product);
+  
+  if (result.error) {
+    return { error: result.error, statusCode: 400 };
+  }
+  
+  return { product, quantity: result.quantity, scan, package: null };
+}
+
+module.exports = {
+  UNITS,
+  DEFAULT_UNIT,
+  decimals,
+  roundQuantity,
+  parseQuantity,
+  formatQuantity,
+  formatItemQuantity,
+  findPackage,
+  toBaseQuantity,
+  validatePackages,
+  countUnits,
+  countedUnitsExpr,
+  parseScaleBarcode,
+  scaleQuantity,
+  resolveBarcode
+};
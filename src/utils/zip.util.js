@@ -0,0 +1,170 @@
+/**
+ * Escritor ZIP en streaming (sin dependencias)
+ * Comprime cada archivo con deflate a medida que se genera y escribe los tamaños
+ * y el CRC en un descriptor posterior, por lo que nunca guarda el contenido completo
+ * en memoria. Se usa para generar archivos XLSX.
+ */
+const zlib = require('zlib');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Tabla CRC-32 (polinomio 0xEDB88320)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer, previous = 0) {
+  let crc = previous ^ 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Fecha y hora en formato MS-DOS usado por ZIP
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Escribe en un stream respetando su contrapresión.
+ * Falla si el stream se cierra (p. ej. el cliente cortó la descarga).
+ * @param {Object} output - Stream escribible
+ * @param {String|Buffer} chunk - Datos a escribir
+ * @returns {Promise<void>}
+ */
+function writeTo(output, chunk) {
+  return new Promise((resolve, reject) => {
+    if (output.destroyed) {
+      return reject(new Error('La conexión se cerró durante la descarga'));
+    }
+    
+    if (output.write(chunk)) {
+      return resolve();
+    }
+    
+    const onDrain = () => {
+      output.removeListener('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      output.removeListener('drain', onDrain);
+      reject(new Error('La conexión se cerró durante la descarga'));
+    };
+    
+    output.once('drain', onDrain);
+    output.once('close', onClose);
+  });
+}
+
+/**
+ * Crea un escritor ZIP sobre un stream de salida
+ * @param {Object} output - Stream escribible (p. ej. la respuesta HTTP)
+ * @returns {Object} { addFile(name, source), finish() }
+ */
+function createZipWriter(output) {
+  const entries = [];
+  const { time, date } = dosDateTime(new Date());
+  let offset = 0;
+  
+  const write = buffer => {
+    offset += buffer.length;
+    return writeTo(output, buffer);
+  };
+  
+  /**
+   * Agrega un archivo cuyo contenido proviene de un iterable (síncrono o asíncrono)
+   * de strings o Buffers
+   */
+  async function addFile(name, source) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const entry = { nameBuffer, offset, crc: 0, compressedSize: 0, size: 0 };
+    
+    // Encabezado local: bit 3 (descriptor posterior) y bit 11 (nombres UTF-8)
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0808, 6);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    await write(Buffer.concat([header, nameBuffer]));
+    
+    async function* chunks() {
+      for await (const chunk of source) {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), 'utf8');
+        entry.crc = crc32(buffer, entry.crc);
+        entry.size += buffer.length;
+        yield buffer;
+      }
+    }
+    
+    const sink = new Writable({
+      write(chunk, encoding, callback) {
+        entry.compressedSize += chunk.length;
+        write(chunk).then(() => callback(), callback);
+      }
+    });
+    
+    await pipeline(Readable.from(chunks()), zlib.createDeflateRaw(), sink);
+    
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await write(descriptor);
+    
+    entries.push(entry);
+  }
+  
+  /**
+   * Escribe el directorio central y el registro de fin
+   */
+  async function finish() {
+    const centralStart = offset;
+    
+    for (const entry of entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(0x0808, 8);
+      record.writeUInt16LE(8, 10);
+      record.writeUInt16LE(time, 12);
+      record.writeUInt16LE(date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBuffer.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      await write(Buffer.concat([record, entry.nameBuffer]));
+    }
+    
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - centralStart, 12);
+    end.writeUInt32LE(centralStart, 16);
+    await write(end);
+  }
+  
+  return { addFile, finish };
+}
+
+module.exports = {
+  crc32,
+  writeTo,
+  createZipWriter
+};